@@ -0,0 +1,26 @@
+-- Create generation_runs table
+-- This table stores every code generation run with its inputs and results
+
+CREATE TABLE IF NOT EXISTS generation_runs (
+  id SERIAL PRIMARY KEY,
+  git_repo VARCHAR(255) NOT NULL,
+  branch VARCHAR(255) NOT NULL,
+  requested_by VARCHAR(255) NOT NULL,
+  -- running, completed, incomplete, failed or cancelled
+  status VARCHAR(32) NOT NULL,
+  provider VARCHAR(64),
+  model VARCHAR(255),
+  transcripts JSONB NOT NULL,
+  transcripts_until TIMESTAMP,
+  summary TEXT,
+  files JSONB NOT NULL DEFAULT '[]',
+  verification JSONB,
+  error TEXT,
+  started_at TIMESTAMP NOT NULL,
+  completed_at TIMESTAMP,
+  duration_ms INTEGER
+);
+
+-- Create index for listing runs of a branch, newest first
+CREATE INDEX IF NOT EXISTS idx_generation_runs_lookup
+ON generation_runs(git_repo, branch, started_at);
@@ -0,0 +1,14 @@
+-- Create repo_credentials table
+-- This table stores the credentials used to clone private repositories.
+-- Secrets are encrypted by the server (AES-256-GCM) before they are stored.
+
+CREATE TABLE IF NOT EXISTS repo_credentials (
+  git_repo VARCHAR(255) PRIMARY KEY,
+  -- https_token or ssh_key
+  kind VARCHAR(16) NOT NULL,
+  -- Username for HTTPS authentication (unused for SSH keys)
+  username VARCHAR(255),
+  encrypted_secret TEXT NOT NULL,
+  created_at TIMESTAMP NOT NULL,
+  updated_at TIMESTAMP NOT NULL
+);
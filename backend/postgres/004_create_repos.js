@@ -0,0 +1,162 @@
+/**
+ * Data step of 004_create_repos.sql. Before repositories were registered,
+ * transcripts, generation runs and credentials referred to a repository by
+ * the URL the client sent. Every such URL gets a repos row (one per
+ * canonical URL, without members until the operator assigns an owner),
+ * the rows are rewritten to the repository id, and credential secrets,
+ * which were encrypted with the URL as context, are encrypted again for
+ * the id.
+ * Rows that already refer to a repository are left alone, so the step can
+ * run again on databases that have repos.
+ */
+import { v4 as uuidv4 } from 'uuid';
+import { encryptSecret, decryptSecret } from '../src/db/encryption.js';
+
+// Tables whose git_repo column holds the repository
+const REPO_TABLES = ['user_transcripts', 'generation_runs', 'repo_credentials'];
+
+/**
+ * Build the canonical form of a repository URL as registration did when
+ * this migration was written. This is a frozen copy of
+ * canonicalizeRepoUrl() in src/routes/repos.js: the migration must keep
+ * producing the same canonical URLs however registration changes later, so
+ * do not edit it or import the live version instead.
+ * @param {string} repoUrl - Repository URL, scp-like address or local path
+ * @returns {string} Canonical URL
+ * @throws {Error} If the URL cannot be parsed
+ */
+function canonicalizeRepoUrl(repoUrl) {
+  const value = String(repoUrl).trim();
+  const trimSuffix = location => location.replace(/\/+$/, '').replace(/\.git$/i, '').replace(/\/+$/, '');
+
+  if (/^file:\/\//i.test(value) || value.startsWith('/')) {
+    return `file://${trimSuffix(value.replace(/^file:\/\//i, ''))}`;
+  }
+
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(value)) {
+    const url = new URL(value);
+    return trimSuffix(`${url.hostname}${url.pathname}`).toLowerCase();
+  }
+
+  // scp-like syntax: [user@]host:path
+  const scpLike = value.match(/^(?:[^@/\s]+@)?([^:/\s]+):(?!\/)(.+)$/);
+  if (scpLike) {
+    return trimSuffix(`${scpLike[1]}/${scpLike[2].replace(/^\/+/, '')}`).toLowerCase();
+  }
+
+  throw new Error('Unsupported repository URL');
+}
+
+/**
+ * Find the branch used most often with a set of repository URLs
+ * @param {Object} client - Database client
+ * @param {Array<string>} urls - Repository URLs as stored
+ * @returns {Promise<string>} Branch name (default: main)
+ */
+async function findDefaultBranch(client, urls) {
+  const result = await client.query(
+    `SELECT branch, COUNT(*) AS uses
+     FROM (
+       SELECT branch FROM user_transcripts WHERE git_repo = ANY($1)
+       UNION ALL
+       SELECT branch FROM generation_runs WHERE git_repo = ANY($1)
+     ) branches
+     GROUP BY branch
+     ORDER BY uses DESC, branch
+     LIMIT 1`,
+    [urls]
+  );
+  return result.rows[0]?.branch || 'main';
+}
+
+/**
+ * Move the credentials stored for a set of repository URLs to the
+ * repository id. When several URLs had credentials, the most recently
+ * updated ones are kept; credentials already stored for the id win.
+ * @param {Object} client - Database client
+ * @param {string} repoId - Repository UUID
+ * @param {Array<string>} urls - Repository URLs as stored
+ * @returns {Promise<void>}
+ */
+async function rekeyCredentials(client, repoId, urls) {
+  const result = await client.query(
+    'SELECT * FROM repo_credentials WHERE git_repo = ANY($1) ORDER BY updated_at DESC',
+    [urls]
+  );
+  if (result.rows.length === 0) {
+    return;
+  }
+
+  const existing = await client.query('SELECT 1 FROM repo_credentials WHERE git_repo = $1', [repoId]);
+  const [latest] = result.rows;
+
+  if (existing.rows.length === 0) {
+    let secret = null;
+    try {
+      secret = decryptSecret(latest.encrypted_secret, latest.git_repo);
+    } catch (error) {
+      if (error.message.startsWith('CREDENTIALS_ENCRYPTION_KEY')) {
+        throw new Error(`Cannot migrate repository credentials: ${error.message}`);
+      }
+      // Undecryptable credentials could not be used before either
+      console.error(`Dropping credentials of repo ${repoId} that cannot be decrypted; register them again`);
+    }
+
+    if (secret !== null) {
+      await client.query(
+        `INSERT INTO repo_credentials (git_repo, kind, username, encrypted_secret, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [repoId, latest.kind, latest.username, encryptSecret(secret, repoId), latest.created_at, latest.updated_at]
+      );
+    }
+  }
+
+  await client.query('DELETE FROM repo_credentials WHERE git_repo = ANY($1)', [urls]);
+}
+
+/**
+ * Register the repositories of URL-keyed rows and rewrite the rows to the
+ * repository ids
+ * @param {Object} client - Database client inside the migration transaction
+ * @returns {Promise<void>}
+ */
+export async function migrate(client) {
+  const unions = REPO_TABLES
+    .map(table => `SELECT git_repo FROM ${table} WHERE git_repo NOT IN (SELECT id::text FROM repos)`)
+    .join(' UNION ');
+  const result = await client.query(unions);
+
+  // Group the URLs by canonical URL, so each repository is registered once
+  const urlsByCanonical = new Map();
+  for (const { git_repo: url } of result.rows) {
+    let canonicalUrl;
+    try {
+      canonicalUrl = canonicalizeRepoUrl(url);
+    } catch (error) {
+      console.error(`Skipping rows of repository ${JSON.stringify(url)}: ${error.message}`);
+      continue;
+    }
+    urlsByCanonical.set(canonicalUrl, [...(urlsByCanonical.get(canonicalUrl) || []), url]);
+  }
+
+  for (const [canonicalUrl, urls] of urlsByCanonical) {
+    urls.sort();
+    const existing = await client.query('SELECT id FROM repos WHERE canonical_url = $1', [canonicalUrl]);
+    let repoId = existing.rows[0]?.id;
+
+    if (!repoId) {
+      repoId = uuidv4();
+      await client.query(
+        `INSERT INTO repos (id, url, canonical_url, default_branch, created_by, created_at)
+         VALUES ($1, $2, $3, $4, 'migration', NOW())`,
+        [repoId, urls[0], canonicalUrl, await findDefaultBranch(client, urls)]
+      );
+    }
+
+    await client.query('UPDATE user_transcripts SET git_repo = $1 WHERE git_repo = ANY($2)', [repoId, urls]);
+    await client.query('UPDATE generation_runs SET git_repo = $1 WHERE git_repo = ANY($2)', [repoId, urls]);
+    await rekeyCredentials(client, repoId, urls);
+
+    console.log(`Migrated ${urls.length} URL(s) of ${canonicalUrl} to repo ${repoId}`);
+  }
+}
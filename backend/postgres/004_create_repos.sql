@@ -0,0 +1,15 @@
+-- Create repos table
+-- This table stores registered repositories. Transcripts, generation runs
+-- and credentials refer to a repository by its id. Rows written before,
+-- which hold the repository URL, are moved over by 004_create_repos.js.
+
+CREATE TABLE IF NOT EXISTS repos (
+  id UUID PRIMARY KEY,
+  -- URL as registered, used for cloning
+  url TEXT NOT NULL,
+  -- Host and path without scheme, credentials, port or .git suffix, lowercased
+  canonical_url VARCHAR(512) NOT NULL UNIQUE,
+  default_branch VARCHAR(255) NOT NULL,
+  created_by VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP NOT NULL
+);
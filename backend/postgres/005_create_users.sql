@@ -0,0 +1,32 @@
+-- Create users, api_tokens and repo_members tables
+-- Users sign in with a password and receive API tokens; only the SHA-256
+-- hash of a token is stored. Repository membership decides who can read a
+-- repository's transcripts and run code generation on it.
+
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(64) NOT NULL UNIQUE,
+  -- scrypt:<salt>:<hash>, base64
+  password_hash TEXT NOT NULL,
+  created_at TIMESTAMP NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS api_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  name VARCHAR(255),
+  created_at TIMESTAMP NOT NULL,
+  last_used_at TIMESTAMP,
+  expires_at TIMESTAMP,
+  revoked_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS repo_members (
+  repo_id UUID NOT NULL REFERENCES repos(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  -- owner or member
+  role VARCHAR(16) NOT NULL,
+  created_at TIMESTAMP NOT NULL,
+  PRIMARY KEY (repo_id, user_id)
+);
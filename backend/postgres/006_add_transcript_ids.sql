@@ -0,0 +1,13 @@
+-- Give every utterance in user_transcripts a stable id
+-- Rows could only be addressed by their content so far. The id lets later
+-- features edit, delete and reference individual utterances; updated_at and
+-- original_transcription keep the recognized text when a transcript is
+-- corrected.
+
+ALTER TABLE user_transcripts ADD COLUMN IF NOT EXISTS id BIGSERIAL PRIMARY KEY;
+ALTER TABLE user_transcripts ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP;
+ALTER TABLE user_transcripts ADD COLUMN IF NOT EXISTS original_transcription TEXT;
+
+-- Code generation reads a branch's transcripts regardless of who spoke
+CREATE INDEX IF NOT EXISTS idx_user_transcripts_branch
+ON user_transcripts(git_repo, branch, timestamp);
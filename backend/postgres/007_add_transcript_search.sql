@@ -0,0 +1,9 @@
+-- Full-text search over user_transcripts
+-- The tsvector is generated from the (corrected) transcription, so edits
+-- are searchable right away.
+
+ALTER TABLE user_transcripts ADD COLUMN IF NOT EXISTS search_vector tsvector
+  GENERATED ALWAYS AS (to_tsvector('english', transcription)) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_user_transcripts_search
+ON user_transcripts USING GIN (search_vector);
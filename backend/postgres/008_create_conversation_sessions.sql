@@ -0,0 +1,32 @@
+-- Create conversation_sessions table
+-- A session is a named part of a branch's conversation that users start and
+-- end explicitly. Transcripts said while a session is open belong to it, and
+-- code generation can run over one session instead of the last hour.
+
+CREATE TABLE IF NOT EXISTS conversation_sessions (
+  id BIGSERIAL PRIMARY KEY,
+  git_repo VARCHAR(255) NOT NULL,
+  branch VARCHAR(255) NOT NULL,
+  name VARCHAR(200) NOT NULL,
+  started_by VARCHAR(255) NOT NULL,
+  started_at TIMESTAMP NOT NULL,
+  ended_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_sessions_lookup
+ON conversation_sessions(git_repo, branch, started_at);
+
+-- A branch has at most one open session
+CREATE UNIQUE INDEX IF NOT EXISTS idx_conversation_sessions_open
+ON conversation_sessions(git_repo, branch) WHERE ended_at IS NULL;
+
+ALTER TABLE user_transcripts ADD COLUMN IF NOT EXISTS session_id BIGINT
+  REFERENCES conversation_sessions(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_user_transcripts_session
+ON user_transcripts(session_id, timestamp);
+
+-- recent (the last hour of the branch), session or selection (chosen transcripts)
+ALTER TABLE generation_runs ADD COLUMN IF NOT EXISTS source VARCHAR(16) NOT NULL DEFAULT 'recent';
+ALTER TABLE generation_runs ADD COLUMN IF NOT EXISTS session_id BIGINT
+  REFERENCES conversation_sessions(id) ON DELETE SET NULL;
@@ -0,0 +1,8 @@
+-- Record which redaction rules were applied
+-- Transcripts are redacted before they are stored and prompts before they
+-- are sent to the LLM. Only rule names and counts are kept, e.g.
+-- [{"rule": "email", "count": 1}], never the redacted values.
+
+ALTER TABLE user_transcripts ADD COLUMN IF NOT EXISTS redactions JSONB NOT NULL DEFAULT '[]';
+
+ALTER TABLE generation_runs ADD COLUMN IF NOT EXISTS redactions JSONB NOT NULL DEFAULT '[]';
@@ -0,0 +1,11 @@
+-- Per-repository transcript retention
+-- Transcripts older than retention_days are purged by the backend; with
+-- retention_mode 'unreferenced' only those no generation run received.
+-- NULL retention_days keeps transcripts forever.
+
+ALTER TABLE repos ADD COLUMN IF NOT EXISTS retention_days INTEGER;
+ALTER TABLE repos ADD COLUMN IF NOT EXISTS retention_mode VARCHAR(16) NOT NULL DEFAULT 'all';
+
+-- Finds the runs that received a transcript, by id or speaker
+CREATE INDEX IF NOT EXISTS idx_generation_runs_transcripts
+ON generation_runs USING GIN (transcripts jsonb_path_ops);
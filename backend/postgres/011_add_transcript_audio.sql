@@ -0,0 +1,5 @@
+-- Archived utterance audio
+-- Path of the WAV file of a transcript, relative to AUDIO_ARCHIVE_DIR.
+-- NULL when audio archiving was off or the audio could not be kept.
+
+ALTER TABLE user_transcripts ADD COLUMN IF NOT EXISTS audio_file VARCHAR(255);
@@ -0,0 +1,76 @@
+/**
+ * Operator command: make a user the owner of a registered repository.
+ * Repositories registered before user accounts existed have no members,
+ * and nobody can take them over through the API; the server operator picks
+ * their owner with this command, who can then add the other members.
+ *
+ * Usage: npm run assign-owner -- <repoId or repoUrl> <userName>
+ */
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import {
+  connectDatabase,
+  closeDatabase,
+  getUserByUsername,
+  getRepoMemberRole,
+  putRepoMember
+} from '../db/database.js';
+import { findRepo } from '../routes/repos.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Make a user the owner of a repository. Stored credentials and the other
+ * members are left as they are.
+ * @param {string} repoRef - Repository UUID or URL in any form
+ * @param {string} userName - Name of an existing user
+ * @returns {Promise<{repo: Object, user: Object, previousRole: string|null}>} Repository, user and the role the user had before
+ * @throws {Error} If the repository or the user does not exist
+ */
+export async function assignOwner(repoRef, userName) {
+  const repo = UUID_PATTERN.test(repoRef)
+    ? await findRepo({ repoId: repoRef })
+    : await findRepo({ repoUrl: repoRef });
+  if (!repo) {
+    throw new Error(`Repository ${repoRef} is not registered`);
+  }
+
+  const user = await getUserByUsername(userName);
+  if (!user) {
+    throw new Error(`User ${userName} does not exist`);
+  }
+
+  const previousRole = await getRepoMemberRole(repo.id, user.id);
+  await putRepoMember(repo.id, user.id, 'owner');
+  console.log(`Operator made ${user.username} owner of repo ${repo.id} (was ${previousRole || 'not a member'})`);
+
+  return { repo, user, previousRole };
+}
+
+/**
+ * Run the command with the arguments after the script name
+ * @param {Array<string>} args - repoId or repoUrl, then userName
+ * @returns {Promise<void>}
+ */
+async function main(args) {
+  if (args.length !== 2) {
+    console.error('Usage: npm run assign-owner -- <repoId or repoUrl> <userName>');
+    process.exitCode = 1;
+    return;
+  }
+
+  dotenv.config();
+  await connectDatabase();
+  try {
+    await assignOwner(args[0], args[1]);
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    await closeDatabase();
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  await main(process.argv.slice(2));
+}
@@ -1,155 +1,112 @@
-import { readFile, readdir, rm } from 'fs/promises';
-import { existsSync } from 'fs';
-import { join } from 'path';
-import { tmpdir } from 'os';
-import { simpleGit } from 'simple-git';
 import { createPatch } from 'diff';
-import OpenAI from 'openai';
-
-// Lazy initialization of OpenAI client (initialized when first needed)
-let openaiClient = null;
-
-/**
- * Get or initialize the OpenAI client
- * @returns {OpenAI} The OpenAI client instance
- */
-function getOpenAIClient() {
-  if (!openaiClient) {
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error('OpenAI API key not configured. Set OPENAI_API_KEY environment variable.');
-    }
-    openaiClient = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-  }
-  return openaiClient;
-}
+import { acquireWorkspace } from './workspaceCache.js';
+import { redactSecrets } from './gitCredentials.js';
+import { createProvider } from './providers/index.js';
+import { applyFileEdits } from './edits.js';
+import { validateChanges } from './validation.js';
+import { getVerifyCommand, runVerification } from './testRunner.js';
+import { createContextBudget } from './contextBudget.js';
+import { createRedactor } from '../redaction/redactor.js';
+import {
+  getFileContent,
+  listRepoFilesTool,
+  getFileContentTool,
+  readFileLines,
+  listDirectory,
+  searchRepo,
+  gitLog,
+  gitBlame
+} from './repoTools.js';
+
+// Upper bound on the serialized size of a single tool result
+const MAX_TOOL_RESULT_CHARS = 60000;
+
+// Number of times the agent may fix changes that failed validation
+const MAX_REPAIR_ROUNDS = parseInt(process.env.AGENT_REPAIR_ROUNDS || '2', 10);
+
+// Number of times the agent may fix changes that failed the verification command
+const MAX_VERIFY_ROUNDS = parseInt(process.env.AGENT_VERIFY_ROUNDS || '1', 10);
+
+// Tools whose filePath argument is reported as a file read in progress events
+const FILE_READING_TOOLS = ['get_file_content', 'read_file_lines', 'git_blame'];
+
+// Tools that need git history, which local workspaces do not provide
+const HISTORY_TOOLS = ['git_log', 'git_blame'];
+
+// Tool implementations keyed by tool name
+const TOOL_HANDLERS = {
+  list_repo_files: listRepoFilesTool,
+  get_file_content: getFileContentTool,
+  read_file_lines: readFileLines,
+  list_directory: listDirectory,
+  search_repo: searchRepo,
+  git_log: gitLog,
+  git_blame: gitBlame
+};
 
 /**
- * Clean up temporary directory (ignores errors)
- * @param {string} tempDir - Temporary directory path
+ * Create a user message for the model. Personal data and secrets are
+ * redacted from every prompt the agent writes; tool results are sent as
+ * read, since edits must match the files exactly.
+ * @param {string} content - Prompt text
+ * @param {Object} redactor - Redactor from createRedactor()
+ * @returns {Object} Chat message
  */
-async function cleanupTempDir(tempDir) {
-  if (!tempDir || !existsSync(tempDir)) return;
-  
-  try {
-    await rm(tempDir, { recursive: true, force: true });
-  } catch (error) {
-    console.warn('Warning: Failed to clean up temp directory:', error.message);
-  }
+function createUserMessage(content, redactor) {
+  return { role: 'user', content: redactor.redact(content).text };
 }
 
 /**
- * Clone repository to a temporary directory
- * @param {string} repoUrl - Git repository URL
- * @param {string} branch - Branch name
- * @returns {Promise<{repoPath: string, tempDir: string}>} Repository path and temp directory
+ * Format conversation transcripts into a readable text string
+ * @param {Array<Object>} conversations - Array of conversation transcripts
+ * @returns {string} Formatted conversation text
  */
-async function cloneRepository(repoUrl, branch) {
-  const tempDir = join(tmpdir(), `repo-${Date.now()}`);
-  const repoPath = join(tempDir, 'repo');
-
-  console.log(`Cloning repository ${repoUrl} to ${tempDir}...`);
-  
-  const git = simpleGit();
-  await git.clone(repoUrl, repoPath, ['--depth', '1', '--branch', branch]);
-  
-  return { repoPath, tempDir };
+function formatConversations(conversations) {
+  return conversations
+    .map(conv => `[${conv.timestamp}] ${conv.username}: ${conv.transcription}`)
+    .join('\n');
 }
 
 /**
- * Get all files in a directory recursively
- * @param {string} dir - Directory path
- * @param {string} baseDir - Base directory for relative paths
- * @returns {Promise<Array<string>>} Array of file paths relative to baseDir
+ * Build the user prompt from the conversation and, for incremental runs,
+ * the previous run on the branch
+ * @param {Array<Object>} conversations - Array of conversation transcripts
+ * @param {Object|null} previousRun - Previous completed run on the branch, or null
+ * @returns {string} User prompt text
  */
-async function getAllFiles(dir, baseDir = dir) {
-  const files = [];
-  const entries = await readdir(dir, { withFileTypes: true });
+function createUserPrompt(conversations, previousRun) {
+  const conversationText = formatConversations(conversations);
 
-  for (const entry of entries) {
-    if (entry.name.startsWith('.')) continue;
-
-    const fullPath = join(dir, entry.name);
-    const relativePath = fullPath.replace(baseDir + '/', '');
-
-    if (entry.isDirectory()) {
-      const subFiles = await getAllFiles(fullPath, baseDir);
-      files.push(...subFiles);
-    } else if (entry.isFile()) {
-      files.push(relativePath);
-    }
+  if (!previousRun) {
+    return `Based on the following conversation, generate the necessary code changes:\n\n${conversationText}`;
   }
 
-  return files;
-}
+  const changedFiles = previousRun.files.length > 0
+    ? previousRun.files.map(filename => `- ${filename}`).join('\n')
+    : '(no files were changed)';
 
-/**
- * Get list of all files in a git repository
- * @param {string} repoUrl - Git repository URL
- * @param {string} branch - Branch name
- * @returns {Promise<Array<string>>} Array of file paths
- */
-async function listRepoFiles(repoUrl, branch) {
-  let tempDir = null;
+  return `Code was already generated for this branch at ${previousRun.completedAt}. That run handled every request in the conversation up to then.
 
-  try {
-    const { repoPath, tempDir: dir } = await cloneRepository(repoUrl, branch);
-    tempDir = dir;
-    const files = await getAllFiles(repoPath, repoPath);
-    await cleanupTempDir(tempDir);
-    return files;
-  } catch (error) {
-    await cleanupTempDir(tempDir);
-    throw new Error(`Failed to list files: ${error.message}`);
-  }
-}
+Summary of the previous run:
+${previousRun.summary}
 
-/**
- * Get content of a specific file from a git repository
- * @param {string} repoUrl - Git repository URL
- * @param {string} branch - Branch name
- * @param {string} filePath - Path to the file relative to repo root
- * @returns {Promise<string>} File content
- */
-async function getFileContent(repoUrl, branch, filePath) {
-  let tempDir = null;
+Files changed by the previous run:
+${changedFiles}
 
-  try {
-    const { repoPath, tempDir: dir } = await cloneRepository(repoUrl, branch);
-    tempDir = dir;
+The previous changes were delivered as patches and may not be on the branch yet; read the files to see their current state.
 
-    const fullPath = join(repoPath, filePath);
-    if (!existsSync(fullPath)) {
-      throw new Error(`File not found: ${filePath}`);
-    }
+The conversation below only contains messages since the previous run. Generate the code changes for the new requests; do not redo work the previous run already did unless the conversation asks to change it:
 
-    const content = await readFile(fullPath, 'utf-8');
-    await cleanupTempDir(tempDir);
-    return content;
-  } catch (error) {
-    await cleanupTempDir(tempDir);
-    throw new Error(`Failed to get file content: ${error.message}`);
-  }
-}
-
-/**
- * Format conversation transcripts into a readable text string
- * @param {Array<Object>} conversations - Array of conversation transcripts
- * @returns {string} Formatted conversation text
- */
-function formatConversations(conversations) {
-  return conversations
-    .map(conv => `[${conv.timestamp}] ${conv.username}: ${conv.transcription}`)
-    .join('\n');
+${conversationText}`;
 }
 
 /**
  * Create agent tools configuration for OpenAI API
+ * @param {boolean} [includeHistoryTools] - Include git_log and git_blame (default: true)
  * @returns {Array<Object>} Array of tool definitions
  */
-function createAgentTools() {
-  return [
+function createAgentTools(includeHistoryTools = true) {
+  const tools = [
     {
       type: 'function',
       function: {
@@ -185,24 +142,168 @@ function createAgentTools() {
           required: ['filePath']
         }
       }
+    },
+    {
+      type: 'function',
+      function: {
+        name: 'read_file_lines',
+        description: `Reads a range of lines from a file. Each returned line is prefixed with its line number.
+        Prefer this over get_file_content for large files or when you only need part of a file, e.g. around a search match.
+        At most 400 lines are returned per call.`,
+        parameters: {
+          type: 'object',
+          properties: {
+            filePath: {
+              type: 'string',
+              description: 'The path to the file relative to the repository root'
+            },
+            startLine: {
+              type: 'integer',
+              description: 'First line to read (1-based)'
+            },
+            endLine: {
+              type: 'integer',
+              description: 'Last line to read (inclusive). Defaults to startLine + 399.'
+            }
+          },
+          required: ['filePath', 'startLine']
+        }
+      }
+    },
+    {
+      type: 'function',
+      function: {
+        name: 'list_directory',
+        description: `Lists the files and subdirectories of a single directory, with file sizes.
+        Use this to explore large repositories one level at a time instead of listing every file.`,
+        parameters: {
+          type: 'object',
+          properties: {
+            path: {
+              type: 'string',
+              description: 'Directory relative to the repository root. Omit or use "" for the root.'
+            }
+          },
+          required: []
+        }
+      }
+    },
+    {
+      type: 'function',
+      function: {
+        name: 'search_repo',
+        description: `Searches the contents of all files in the repository for a text or regular expression.
+        Returns each matching line with its file, line number and surrounding context lines.
+        Use this to find definitions, usages and the files relevant to a change.`,
+        parameters: {
+          type: 'object',
+          properties: {
+            pattern: {
+              type: 'string',
+              description: 'Text to search for, or a JavaScript regular expression when isRegex is true'
+            },
+            isRegex: {
+              type: 'boolean',
+              description: 'Treat pattern as a regular expression (default: false)'
+            },
+            caseSensitive: {
+              type: 'boolean',
+              description: 'Match case (default: false)'
+            },
+            path: {
+              type: 'string',
+              description: 'Only search inside this directory, relative to the repository root'
+            },
+            contextLines: {
+              type: 'integer',
+              description: 'Lines of context before and after each match (default: 2, max: 5)'
+            },
+            maxResults: {
+              type: 'integer',
+              description: 'Maximum number of matches to return (default: 50, max: 200)'
+            }
+          },
+          required: ['pattern']
+        }
+      }
+    },
+    {
+      type: 'function',
+      function: {
+        name: 'git_log',
+        description: `Shows recent commits of the branch, optionally only those touching one file.
+        Returns the abbreviated hash, author, date and subject of each commit.`,
+        parameters: {
+          type: 'object',
+          properties: {
+            filePath: {
+              type: 'string',
+              description: 'Only show commits that changed this file'
+            },
+            maxCount: {
+              type: 'integer',
+              description: 'Maximum number of commits (default: 10, max: 50)'
+            }
+          },
+          required: []
+        }
+      }
+    },
+    {
+      type: 'function',
+      function: {
+        name: 'git_blame',
+        description: `Shows the commit, author and date that last changed each line in a range of a file.
+        At most 200 lines are returned per call.`,
+        parameters: {
+          type: 'object',
+          properties: {
+            filePath: {
+              type: 'string',
+              description: 'The path to the file relative to the repository root'
+            },
+            startLine: {
+              type: 'integer',
+              description: 'First line (1-based, default: 1)'
+            },
+            endLine: {
+              type: 'integer',
+              description: 'Last line (inclusive)'
+            }
+          },
+          required: ['filePath']
+        }
+      }
     }
   ];
+
+  return includeHistoryTools ? tools : tools.filter(tool => !HISTORY_TOOLS.includes(tool.function.name));
 }
 
 /**
  * Create system prompt for the code generation agent
  * @param {string} repoUrl - Git repository URL
  * @param {string} branch - Branch name
+ * @param {boolean} [local] - Whether the tools read the developer's local workspace
  * @returns {string} System prompt text
  */
-function createSystemPrompt(repoUrl, branch) {
+function createSystemPrompt(repoUrl, branch, local = false) {
+  const historyStep = local
+    ? ''
+    : '\n   - Call git_log or git_blame when the history of a file helps to understand it';
+  const source = local
+    ? `- The files come from the developer's local workspace on branch ${branch}, including changes that are not committed or pushed yet; files ignored by .gitignore are not available`
+    : `- The repository URL is: ${repoUrl}
+- The branch is: ${branch}`;
+
   return `You are an AI code generation agent. Based on the conversation transcript provided, analyze the requirements and generate code changes.
 
 Your task:
 1. Analyze the conversation to understand what code changes are needed
 2. Use the available tools to explore the repository structure and relevant files:
-   - First, call list_repo_files to see all files in the repository
-   - Then, call get_file_content for each file you need to read or modify
+   - Call list_directory or list_repo_files to see the repository structure
+   - Call search_repo to find the code related to the requested change
+   - Call read_file_lines or get_file_content for each file you need to read or modify${historyStep}
 3. After exploring the codebase, generate code changes
 4. Some of the requirements may have been already met,
    only generate code changes if the requirements have not been met.
@@ -212,20 +313,41 @@ CRITICAL: You MUST output your final response in valid JSON format with this exa
   "summary": "A brief summary of the changes made, e.g., 'I added ..' ",
   "files": [
     {
-      "filename": "path/to/file.js",
-      "new_content": "complete file content with changes"
+      "filename": "path/to/existing.js",
+      "edits": [
+        { "type": "search_replace", "search": "exact text currently in the file", "replace": "text to put in its place" },
+        { "type": "replace_lines", "startLine": 10, "endLine": 12, "original": "current text of lines 10-12", "content": "new text for those lines" }
+      ]
+    },
+    {
+      "filename": "path/to/other.js",
+      "diff": "@@ -3,3 +3,3 @@\\n context line\\n-removed line\\n+added line\\n context line"
+    },
+    {
+      "filename": "path/to/new-file.js",
+      "new_content": "complete content of the new file"
     }
   ]
 }
 
+Each file entry uses exactly one of these forms:
+- "edits": a list of edits to an existing file
+  - search_replace: "search" must be copied exactly from the file (including whitespace) and must occur exactly once in the original file; add surrounding lines to make it unique
+  - replace_lines: "startLine" and "endLine" are 1-based and inclusive, as shown by read_file_lines; "original" must be the current text of those lines.
+    Line numbers always refer to the file as you read it, before any of your edits. To insert lines without replacing any, use endLine = startLine - 1; to delete lines, use "content": ""
+  - Edits of one file must not overlap
+- "diff": a unified diff of an existing file with at least 3 lines of context around each change
+- "new_content": the complete content, for new files or small files that are mostly rewritten
+
+Every edit is checked against the original file. If an edit does not match, you will be told exactly which one and why, and must respond again with the complete corrected JSON.
+
 Important:
 - Feel free to add new files if they are not already present in the repository.
 - Only include files that need to be changed or created
-- Provide the complete content for each file (not just diffs)
-- Make sure the code is syntactically correct and follows best practices
+- Prefer "edits" for existing files; never rewrite a large file with "new_content"
+- Make sure the code is syntactically correct and follows best practices; your patches are applied to a clean checkout and JS/TS/JSON/YAML files are parsed before they are accepted
 - The filename must be relative to the repository root (as returned by list_repo_files)
-- The repository URL is: ${repoUrl}
-- The branch is: ${branch}
+${source}
 - When you are ready to output the final result, respond with ONLY the JSON object, no additional text before or after`;
 }
 
@@ -233,24 +355,43 @@ Important:
  * Execute a tool call and return the result
  * @param {string} toolName - Name of the tool to execute
  * @param {Object} toolArgs - Arguments for the tool
- * @param {string} repoUrl - Git repository URL
- * @param {string} branch - Branch name
+ * @param {Object} workspace - Workspace handle from acquireWorkspace()
+ * @param {number} [maxChars] - Maximum serialized size of the result
  * @returns {Promise<Object>} Tool execution result
  */
-async function executeToolCall(toolName, toolArgs, repoUrl, branch) {
+async function executeToolCall(toolName, toolArgs, workspace, maxChars = MAX_TOOL_RESULT_CHARS) {
+  const handler = TOOL_HANDLERS[toolName];
+  if (!handler) {
+    return { error: `Unknown tool: ${toolName}` };
+  }
+
   try {
-    if (toolName === 'list_repo_files') {
-      return { files: await listRepoFiles(repoUrl, branch) };
-    } else if (toolName === 'get_file_content') {
-      return { content: await getFileContent(repoUrl, branch, toolArgs.filePath) };
-    } else {
-      return { error: `Unknown tool: ${toolName}` };
-    }
+    return limitToolResult(await handler(workspace, toolArgs), Math.min(maxChars, MAX_TOOL_RESULT_CHARS));
   } catch (error) {
     return { error: error.message };
   }
 }
 
+/**
+ * Cap the serialized size of a tool result. Individual tools already
+ * limit their output; this is the last line of defence for the context window.
+ * @param {Object} result - Tool execution result
+ * @param {number} maxChars - Maximum serialized size
+ * @returns {Object} Result, or a truncated stand-in if it is too large
+ */
+function limitToolResult(result, maxChars) {
+  const serialized = JSON.stringify(result);
+  if (serialized.length <= maxChars) {
+    return result;
+  }
+
+  return {
+    truncated: true,
+    partialResult: serialized.substring(0, maxChars),
+    note: 'Result too large and was truncated. Narrow the request, e.g. with read_file_lines, list_directory or a more specific search_repo pattern.'
+  };
+}
+
 /**
  * Parse agent response and extract JSON result
  * @param {string} content - Response content from the agent
@@ -269,65 +410,178 @@ function parseAgentResponse(content) {
 }
 
 /**
- * Generate patch for a single file
- * @param {Object} file - File object with filename and new_content
- * @param {string} repoUrl - Git repository URL
- * @param {string} branch - Branch name
- * @returns {Promise<Object>} File with patch
+ * Apply the edits of every file in the agent response to the original files
+ * @param {Array<Object>} files - File entries from the agent response
+ * @param {Object} workspace - Workspace handle from acquireWorkspace()
+ * @returns {Promise<{changes: Array<Object>, errors: Array<string>}>} Resolved file contents and anchor errors
  */
-async function generateFilePatch(file, repoUrl, branch) {
-  try {
-    let originalContent = '';
+async function resolveFileChanges(files, workspace) {
+  const changes = [];
+  const errors = [];
+
+  for (const file of files) {
+    if (!file?.filename) {
+      errors.push('A file entry is missing "filename"');
+      continue;
+    }
+
+    let originalContent = null;
     try {
-      originalContent = await getFileContent(repoUrl, branch, file.filename);
+      originalContent = await getFileContent(workspace, file.filename);
     } catch {
       // File doesn't exist (new file)
     }
 
+    const { content, errors: fileErrors } = applyFileEdits(file, originalContent);
+    if (fileErrors.length > 0) {
+      errors.push(...fileErrors);
+    } else {
+      changes.push({ filename: file.filename, originalContent, newContent: content });
+    }
+  }
+
+  return { changes, errors };
+}
+
+/**
+ * Build the feedback message sent to the agent when its edits do not apply
+ * @param {Array<string>} errors - Anchor errors
+ * @returns {string} Feedback message
+ */
+function formatEditErrors(errors) {
+  return `Some of your edits could not be applied to the original files, so none of the changes were accepted:
+
+${errors.map(error => `- ${error}`).join('\n')}
+
+Re-read the affected files if needed, fix these edits and respond again with the complete JSON object including all files.`;
+}
+
+/**
+ * Generate patch for a single file
+ * @param {Object} change - Resolved change with filename, originalContent and newContent
+ * @returns {Object} File with patch
+ */
+function generateFilePatch(change) {
+  try {
     return {
-      filename: file.filename,
+      filename: change.filename,
       patch: createPatch(
-        file.filename,
-        originalContent,
-        file.new_content,
-        `Original ${file.filename}`,
-        `Modified ${file.filename}`
+        change.filename,
+        change.originalContent ?? '',
+        change.newContent,
+        `Original ${change.filename}`,
+        `Modified ${change.filename}`
       )
     };
   } catch (error) {
-    console.error(`Error generating patch for ${file.filename}:`, error);
+    console.error(`Error generating patch for ${change.filename}:`, error);
     return {
-      filename: file.filename,
-      patch: `Error generating patch: ${error.message}\n\nOriginal content:\n${file.new_content}`
+      filename: change.filename,
+      patch: `Error generating patch: ${error.message}\n\nOriginal content:\n${change.newContent}`
     };
   }
 }
 
 /**
  * Convert file changes to patches
- * @param {Array<Object>} files - Array of file objects with filename and new_content
- * @param {string} repoUrl - Git repository URL
- * @param {string} branch - Branch name
- * @returns {Promise<Array<Object>>} Array of files with patches
+ * @param {Array<Object>} changes - Resolved changes from resolveFileChanges()
+ * @returns {Array<Object>} Array of files with patches
+ */
+function generatePatches(changes) {
+  return changes.map(change => generateFilePatch(change));
+}
+
+/**
+ * Build the feedback message sent to the agent when its changes fail validation
+ * @param {Array<Object>} files - Files with filename and validation result
+ * @returns {string} Feedback message
+ */
+function formatValidationErrors(files) {
+  const failures = files
+    .filter(file => file.validation.status === 'failed')
+    .map(file => `${file.filename}:\n${file.validation.errors.map(error => `  - ${error}`).join('\n')}`);
+
+  return `Your changes were checked by applying the patches to a clean checkout and parsing the changed files. These problems were found:
+
+${failures.join('\n\n')}
+
+Fix these problems and respond again with the complete JSON object including all files.`;
+}
+
+/**
+ * Build the feedback message sent to the agent when the verification command fails
+ * @param {Object} verification - Verification result
+ * @returns {string} Feedback message
+ */
+function formatVerificationFailure(verification) {
+  const outcome = verification.status === 'timeout'
+    ? 'timed out'
+    : `failed with exit code ${verification.exitCode}`;
+
+  return `Your changes were applied to a clean checkout and the verification command \`${verification.command}\` ${outcome}. Output:
+
+${verification.output}
+
+Fix the problems and respond again with the complete JSON object including all files.`;
+}
+
+/**
+ * Build the message telling the agent to stop exploring and answer
+ * @param {string} reason - Why the run has to finish: 'iterations', 'context' or 'run'
+ * @returns {string} Finalize message
+ */
+function formatFinalizeRequest(reason) {
+  const why = {
+    iterations: 'You have reached the maximum number of steps for this run.',
+    context: 'The conversation has reached the size limit of the context window.',
+    run: 'This run has used up its token budget.'
+  }[reason];
+
+  return `${why} Tools are no longer available. Finalize now: respond with ONLY the JSON object described above, containing the changes you can make with what you have read so far. If you cannot make any changes, return an empty "files" array and explain why in the summary.`;
+}
+
+/**
+ * Create a function that reports progress events with the elapsed run time
+ * @param {Function} [onProgress] - Progress listener
+ * @returns {Function} Reporter taking a stage and event details
  */
-async function generatePatches(files, repoUrl, branch) {
-  return Promise.all(files.map(file => generateFilePatch(file, repoUrl, branch)));
+function createProgressReporter(onProgress) {
+  const startTime = Date.now();
+
+  return (stage, details = {}) => {
+    if (!onProgress) return;
+
+    try {
+      onProgress({ stage, elapsedMs: Date.now() - startTime, ...details });
+    } catch (error) {
+      console.warn('Warning: Progress listener failed:', error.message);
+    }
+  };
 }
 
 /**
  * Process tool calls from the agent message
  * @param {Array<Object>} toolCalls - Array of tool call objects
- * @param {string} repoUrl - Git repository URL
- * @param {string} branch - Branch name
+ * @param {Object} workspace - Workspace handle from acquireWorkspace()
+ * @param {Function} reportProgress - Progress reporter from createProgressReporter()
+ * @param {AbortSignal} [signal] - Stops before the next tool call when aborted
+ * @param {Function} [resultLimit] - Returns the maximum result size given the responses collected so far
  * @returns {Promise<Array<Object>>} Array of tool response messages
  */
-async function processToolCalls(toolCalls, repoUrl, branch) {
+async function processToolCalls(toolCalls, workspace, reportProgress, signal, resultLimit = () => MAX_TOOL_RESULT_CHARS) {
   const toolResponses = [];
 
   for (const toolCall of toolCalls) {
+    signal?.throwIfAborted();
     const toolName = toolCall.function.name;
     const toolArgs = JSON.parse(toolCall.function.arguments || '{}');
-    const toolResult = await executeToolCall(toolName, toolArgs, repoUrl, branch);
+
+    reportProgress('tool_call', { tool: toolName, args: toolArgs });
+    const toolResult = await executeToolCall(toolName, toolArgs, workspace, resultLimit(toolResponses));
+
+    if (FILE_READING_TOOLS.includes(toolName) && !toolResult.error) {
+      reportProgress('file_read', { filePath: toolArgs.filePath });
+    }
 
     toolResponses.push({
       role: 'tool',
@@ -341,59 +595,158 @@ async function processToolCalls(toolCalls, repoUrl, branch) {
 
 /**
  * Run a single iteration of the agent conversation
- * @param {OpenAI} client - OpenAI client instance
+ * @param {Object} provider - LLM provider from createProvider()
  * @param {Array<Object>} messages - Current conversation messages
  * @param {Array<Object>} tools - Agent tools configuration
+ * @param {AbortSignal} [signal] - Aborts the model request
+ * @param {boolean} [finalizing] - Forbid tool calls, so the agent has to answer
  * @returns {Promise<Object>} Response message from the agent
  */
-async function runAgentIteration(client, messages, tools) {
-  const response = await client.chat.completions.create({
-    model: process.env.OPENAI_MODEL || 'gpt-4-turbo-preview',
-    messages: messages,
-    tools: tools,
-    temperature: 0.7,
-    response_format: { type: 'json_object' }
-  });
-
-  return response.choices[0].message;
+async function runAgentIteration(provider, messages, tools, signal, finalizing = false) {
+  return provider.complete({ messages, tools, signal, ...(finalizing ? { toolChoice: 'none' } : {}) });
 }
 
 /**
  * Run the agent conversation loop
- * @param {OpenAI} client - OpenAI client instance
+ * @param {Object} provider - LLM provider from createProvider()
  * @param {Array<Object>} messages - Initial conversation messages
  * @param {Array<Object>} tools - Agent tools configuration
- * @param {string} repoUrl - Git repository URL
- * @param {string} branch - Branch name
- * @param {number} maxIterations - Maximum number of iterations
- * @returns {Promise<Object>} Final agent response result
+ * @param {Object} workspace - Workspace handle from acquireWorkspace()
+ * @param {Object} [options] - Loop options
+ * @param {string|null} [options.verifyCommand] - Command that verifies the changes, or null to skip
+ * @param {Function} [options.reportProgress] - Progress reporter from createProgressReporter()
+ * @param {AbortSignal} [options.signal] - Cancels the run at the next step
+ * @param {number} [options.maxIterations] - Maximum number of iterations
+ * @param {Object} [options.budget] - Token budget from createContextBudget()
+ * @param {Object} [options.redactor] - Redactor for the prompts the loop adds, from createRedactor()
+ * @returns {Promise<Object>} Final agent response result; `incomplete` is set when the agent gave no usable answer
  */
-async function runAgentLoop(client, messages, tools, repoUrl, branch, maxIterations = 10) {
+async function runAgentLoop(provider, messages, tools, workspace, {
+  verifyCommand = null,
+  reportProgress = createProgressReporter(),
+  signal,
+  maxIterations = 10,
+  budget = createContextBudget({ tools }),
+  redactor = createRedactor()
+} = {}) {
+  let repairRound = 0;
+  let verifyRound = 0;
+  let finalizing = false;
+
   for (let iteration = 0; iteration < maxIterations; iteration++) {
-    const message = await runAgentIteration(client, messages, tools);
+    signal?.throwIfAborted();
+
+    const compactedCount = budget.compact(messages);
+    if (compactedCount > 0) {
+      console.log(`Compacted ${compactedCount} old tool results to free context space`);
+      reportProgress('context_compacted', { results: compactedCount, promptTokens: budget.promptTokens(messages) });
+    }
+
+    if (!finalizing) {
+      const reason = iteration === maxIterations - 1 ? 'iterations' : budget.exhaustedReason(messages);
+      if (reason) {
+        // Last request of the run: the agent must answer with what it has
+        finalizing = true;
+        console.warn(`Asking agent to finalize (${reason} budget exhausted)`);
+        reportProgress('finalizing', { reason, ...budget.usage() });
+        messages.push(createUserMessage(formatFinalizeRequest(reason), redactor));
+      }
+    }
+
+    reportProgress('iteration', { iteration: iteration + 1, maxIterations });
+    const message = await runAgentIteration(provider, messages, tools, signal, finalizing);
+    budget.recordCall(messages, message);
     messages.push(message);
 
     if (message.tool_calls?.length > 0) {
+      if (finalizing) {
+        break;
+      }
       // Process tool calls
-      const toolResponses = await processToolCalls(message.tool_calls, repoUrl, branch);
+      const toolResponses = await processToolCalls(
+        message.tool_calls,
+        workspace,
+        reportProgress,
+        signal,
+        (collected) => budget.toolResultLimit([...messages, ...collected])
+      );
       messages.push(...toolResponses);
     } else {
       // Agent has finished and provided the final answer
+      let result;
       try {
-        const result = parseAgentResponse(message.content);
-        result.files = await generatePatches(result.files, repoUrl, branch);
-        return result;
+        result = parseAgentResponse(message.content);
       } catch (error) {
         console.error('Error parsing agent response:', error);
         return {
           summary: typeof message.content === 'string' ? message.content.substring(0, 200) : 'Code generation completed',
-          files: []
+          files: [],
+          incomplete: true
         };
       }
+
+      reportProgress('applying_edits', { fileCount: result.files.length });
+      const { changes, errors } = await resolveFileChanges(result.files, workspace);
+      if (errors.length > 0 && finalizing) {
+        // No requests left for a retry, so keep the edits that did apply
+        console.warn(`Dropping ${errors.length} edits that failed to apply on the final request`);
+        reportProgress('edits_rejected', { errors });
+        result.summary += ` (${errors.length} edit(s) could not be applied and were dropped)`;
+      } else if (errors.length > 0) {
+        // Let the agent retry with the exact anchors that failed
+        console.warn(`Agent edits failed to apply (${errors.length} errors), asking agent to retry`);
+        reportProgress('edits_rejected', { errors });
+        messages.push(createUserMessage(formatEditErrors(errors), redactor));
+        continue;
+      }
+
+      result.files = generatePatches(changes);
+
+      signal?.throwIfAborted();
+      reportProgress('validating', { files: changes.map(change => change.filename) });
+      const validations = await validateChanges(workspace, changes, result.files);
+      result.files.forEach((file, index) => {
+        file.validation = validations[index];
+      });
+
+      const hasFailures = validations.some(validation => validation.status === 'failed');
+      reportProgress('validated', {
+        passed: validations.filter(validation => validation.status === 'passed').length,
+        failed: validations.filter(validation => validation.status === 'failed').length
+      });
+
+      if (hasFailures && !finalizing && repairRound < MAX_REPAIR_ROUNDS) {
+        repairRound++;
+        console.warn(`Generated changes failed validation, repair round ${repairRound} of ${MAX_REPAIR_ROUNDS}`);
+        reportProgress('repairing', { reason: 'validation', round: repairRound, maxRounds: MAX_REPAIR_ROUNDS });
+        messages.push(createUserMessage(formatValidationErrors(result.files), redactor));
+        continue;
+      }
+
+      if (verifyCommand && !hasFailures && result.files.length > 0) {
+        reportProgress('verifying', { command: verifyCommand });
+        result.verification = await runVerification(workspace, result.files, verifyCommand, signal);
+        console.log(`Verification ${result.verification.status} in ${result.verification.durationMs}ms`);
+        reportProgress('verified', { status: result.verification.status, durationMs: result.verification.durationMs });
+
+        if (result.verification.status !== 'passed' && !finalizing && verifyRound < MAX_VERIFY_ROUNDS) {
+          verifyRound++;
+          reportProgress('repairing', { reason: 'verification', round: verifyRound, maxRounds: MAX_VERIFY_ROUNDS });
+          messages.push(createUserMessage(formatVerificationFailure(result.verification), redactor));
+          continue;
+        }
+      }
+
+      return result;
     }
   }
 
-  throw new Error('Agent exceeded maximum iterations');
+  console.warn('Agent did not produce a final answer within its budget');
+  return {
+    summary: 'The agent ran out of its step or token budget before producing any changes. Try again with a narrower request.',
+    files: [],
+    incomplete: true
+  };
 }
 
 /**
@@ -401,33 +754,77 @@ async function runAgentLoop(client, messages, tools, repoUrl, branch, maxIterati
  * @param {string} repoUrl - Git repository URL
  * @param {string} branch - Branch name
  * @param {Array<Object>} conversations - Array of conversation transcripts
+ * @param {Object} [options] - Generation options
+ * @param {Object} [options.provider] - LLM provider (default: configured through LLM_PROVIDER)
+ * @param {string|null} [options.verifyCommand] - Test/lint command run against the changes (default: AGENT_VERIFY_COMMAND)
+ * @param {Function} [options.onProgress] - Called with progress events ({stage, elapsedMs, ...details})
+ * @param {AbortSignal} [options.signal] - Cancels the model request, tool execution and cloning
+ * @param {Object} [options.previousRun] - Previous run on the branch, when only newer transcripts are passed
+ * @param {Object} [options.workspace] - Workspace to use instead of a cached clone, e.g. from createLocalWorkspace()
+ * @param {Object} [options.credentials] - Credentials for cloning a private repository ({kind, username, secret})
+ * @param {Object} [options.redactor] - Redactor for the prompts, whose applied() lists what was redacted (default: configured through REDACTION_* variables)
  * @returns {Promise<Object>} Generated code with summary and file changes
  */
-export async function generateCodeFromConversation(repoUrl, branch, conversations) {
-  const client = getOpenAIClient();
+export async function generateCodeFromConversation(repoUrl, branch, conversations, options = {}) {
+  const provider = options.provider || createProvider();
+  const redactor = options.redactor || createRedactor();
+  const reportProgress = createProgressReporter(options.onProgress);
+  let workspace = null;
 
   try {
-    const conversationText = formatConversations(conversations);
     console.log(`\n=== Starting Code Generation ===`);
-    console.log(`Repo: ${repoUrl}, Branch: ${branch}, Messages: ${conversations.length}\n`);
+    console.log(`Repo: ${redactSecrets(repoUrl, options.credentials)}, Branch: ${branch}, Messages: ${conversations.length}`);
+    if (options.previousRun) {
+      console.log(`Building on previous run from ${options.previousRun.completedAt}`);
+    }
+    console.log(`Provider: ${provider.name}, Model: ${provider.model}\n`);
 
-    const tools = createAgentTools();
-    const systemPrompt = createSystemPrompt(repoUrl, branch);
-    const userPrompt = `Based on the following conversation, generate the necessary code changes:\n\n${conversationText}`;
+    const local = Boolean(options.workspace?.local);
+    const tools = createAgentTools(!local);
+    const systemPrompt = createSystemPrompt(redactSecrets(repoUrl, options.credentials), branch, local);
+    const userPrompt = createUserPrompt(conversations, options.previousRun || null);
 
     const messages = [
       { role: 'system', content: systemPrompt },
-      { role: 'user', content: userPrompt }
+      createUserMessage(userPrompt, redactor)
     ];
 
-    const result = await runAgentLoop(client, messages, tools, repoUrl, branch);
+    // One workspace is shared by every tool call and patch in this run
+    reportProgress('preparing_workspace', { repoUrl: redactSecrets(repoUrl, options.credentials), branch, local });
+    workspace = options.workspace || await acquireWorkspace(repoUrl, branch, options.signal, options.credentials);
+    reportProgress('workspace_ready', { sha: workspace.sha, local });
+
+    let verifyCommand = options.verifyCommand !== undefined ? options.verifyCommand : getVerifyCommand();
+    if (local && verifyCommand) {
+      // The local files are only reachable through the extension, so there is nothing to run the command in
+      console.log('Skipping verification command for local workspace');
+      verifyCommand = null;
+    }
+    const budget = createContextBudget({ tools });
+    const result = await runAgentLoop(provider, messages, tools, workspace, {
+      verifyCommand,
+      reportProgress,
+      signal: options.signal,
+      budget,
+      redactor
+    });
+    reportProgress('completed', { fileCount: result.files.length });
+
+    const { spentTokens, runTokens } = budget.usage();
+    console.log(`Estimated tokens used: ${spentTokens} of ${runTokens}`);
 
     console.log('\n=== Code Generation Complete ===');
     console.log(JSON.stringify(result, null, 2));
     return result;
   } catch (error) {
-    console.error('Error in code generation:', error);
+    if (options.signal?.aborted) {
+      console.log('\n=== Code Generation Cancelled ===');
+    } else {
+      console.error('Error in code generation:', error);
+    }
     throw error;
+  } finally {
+    workspace?.release();
   }
 }
 
@@ -0,0 +1,183 @@
+// Size of the model's context window, in tokens
+const CONTEXT_TOKENS = parseInt(process.env.AGENT_CONTEXT_TOKENS || '128000', 10);
+
+// Total tokens (prompts plus responses) a single run may spend
+const RUN_TOKEN_BUDGET = parseInt(process.env.AGENT_RUN_TOKEN_BUDGET || '600000', 10);
+
+// Tokens kept free in the context window for the model's response
+const RESPONSE_RESERVE_TOKENS = 8000;
+
+// Old tool results are compacted once the prompt fills this share of the usable context window
+const COMPACT_THRESHOLD = 0.75;
+
+// Rough characters per token; errs on the side of overestimating for code
+const CHARS_PER_TOKEN = 3.5;
+
+// Per-message overhead of the chat format (role, separators)
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Tool results are never truncated below this size, so the agent always sees something useful
+const MIN_TOOL_RESULT_CHARS = 2000;
+
+/**
+ * Estimate the number of tokens in a piece of text. Providers use different
+ * tokenizers, so this is an approximation based on the character count.
+ * @param {string} text - Text
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(text) {
+  return text ? Math.ceil(text.length / CHARS_PER_TOKEN) : 0;
+}
+
+/**
+ * Estimate the tokens a chat message takes up in the prompt
+ * @param {Object} message - Chat message
+ * @returns {number} Estimated token count
+ */
+export function countMessageTokens(message) {
+  let tokens = MESSAGE_OVERHEAD_TOKENS;
+
+  if (typeof message.content === 'string') {
+    tokens += estimateTokens(message.content);
+  }
+  for (const toolCall of message.tool_calls || []) {
+    tokens += estimateTokens(toolCall.function.name) + estimateTokens(toolCall.function.arguments);
+  }
+
+  return tokens;
+}
+
+/**
+ * Find the name and arguments of the tool call that produced a tool message
+ * @param {Array<Object>} messages - Conversation messages
+ * @param {string} toolCallId - Tool call ID
+ * @returns {{name: string, args: Object}|null} Tool call, or null if not found
+ */
+function findToolCall(messages, toolCallId) {
+  for (const message of messages) {
+    const toolCall = message.tool_calls?.find(call => call.id === toolCallId);
+    if (toolCall) {
+      try {
+        return { name: toolCall.function.name, args: JSON.parse(toolCall.function.arguments || '{}') };
+      } catch {
+        return { name: toolCall.function.name, args: {} };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Create the token budget for one agent run. Tracks the estimated size of
+ * the prompt against the context window and the tokens spent by the run.
+ * @param {Object} [options] - Budget options
+ * @param {Array<Object>} [options.tools] - Tool definitions sent with every request
+ * @param {number} [options.contextTokens] - Context window size (default: AGENT_CONTEXT_TOKENS)
+ * @param {number} [options.runTokens] - Token budget of the run (default: AGENT_RUN_TOKEN_BUDGET)
+ * @returns {Object} Budget with promptTokens(), toolResultLimit(), compact(), recordCall(), exhaustedReason() and usage()
+ */
+export function createContextBudget({
+  tools = [],
+  contextTokens = CONTEXT_TOKENS,
+  runTokens = RUN_TOKEN_BUDGET
+} = {}) {
+  const toolTokens = estimateTokens(JSON.stringify(tools));
+  const compacted = new Set();
+  let spentTokens = 0;
+
+  /**
+   * Estimate the size of the prompt for the next request
+   * @param {Array<Object>} messages - Conversation messages
+   * @returns {number} Estimated token count
+   */
+  const promptTokens = (messages) =>
+    messages.reduce((sum, message) => sum + countMessageTokens(message), toolTokens);
+
+  return {
+    promptTokens,
+
+    /**
+     * Maximum size of the next tool result, so it leaves room in the context
+     * window for the results that follow it and for the response
+     * @param {Array<Object>} messages - Conversation messages, including results already added this turn
+     * @returns {number} Maximum serialized length in characters
+     */
+    toolResultLimit(messages) {
+      const free = contextTokens - RESPONSE_RESERVE_TOKENS - promptTokens(messages);
+      return Math.max(MIN_TOOL_RESULT_CHARS, Math.floor((free / 2) * CHARS_PER_TOKEN));
+    },
+
+    /**
+     * Replace the oldest tool results with short stand-ins until the prompt
+     * fits under the compaction threshold. Results of the latest tool calls
+     * are kept, since the agent has not seen them yet.
+     * @param {Array<Object>} messages - Conversation messages, modified in place
+     * @returns {number} Number of tool results compacted
+     */
+    compact(messages) {
+      const threshold = (contextTokens - RESPONSE_RESERVE_TOKENS) * COMPACT_THRESHOLD;
+      let tokens = promptTokens(messages);
+      if (tokens <= threshold) {
+        return 0;
+      }
+
+      const lastAssistant = messages.findLastIndex(message => message.role === 'assistant');
+      let count = 0;
+
+      for (let i = 0; i < lastAssistant && tokens > threshold; i++) {
+        const message = messages[i];
+        if (message.role !== 'tool' || compacted.has(message.tool_call_id)) {
+          continue;
+        }
+
+        const toolCall = findToolCall(messages, message.tool_call_id);
+        const before = countMessageTokens(message);
+        message.content = JSON.stringify({
+          compacted: true,
+          tool: toolCall?.name,
+          args: toolCall?.args,
+          note: 'This result was removed to free context space. Call the tool again if you still need it.'
+        });
+        compacted.add(message.tool_call_id);
+        tokens -= before - countMessageTokens(message);
+        count++;
+      }
+
+      return count;
+    },
+
+    /**
+     * Record the tokens spent by a model request
+     * @param {Array<Object>} messages - Messages sent with the request
+     * @param {Object} reply - Assistant message returned by the request
+     */
+    recordCall(messages, reply) {
+      spentTokens += promptTokens(messages) + countMessageTokens(reply);
+    },
+
+    /**
+     * Check whether another request with tools still fits the budget
+     * @param {Array<Object>} messages - Conversation messages
+     * @returns {string|null} 'context' or 'run' when the budget is exhausted, otherwise null
+     */
+    exhaustedReason(messages) {
+      const tokens = promptTokens(messages);
+      if (tokens + RESPONSE_RESERVE_TOKENS > contextTokens) {
+        return 'context';
+      }
+      // Leave enough of the run budget for one more request to finalize with
+      if (spentTokens + 2 * (tokens + RESPONSE_RESERVE_TOKENS) > runTokens) {
+        return 'run';
+      }
+      return null;
+    },
+
+    /**
+     * Get the tokens spent so far
+     * @returns {{spentTokens: number, runTokens: number}} Estimated usage
+     */
+    usage() {
+      return { spentTokens, runTokens };
+    }
+  };
+}
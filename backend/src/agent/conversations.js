@@ -0,0 +1,88 @@
+/**
+ * Choose the transcripts a code generation on a branch works from. Shared
+ * by the WebSocket handler that starts generations and the route that
+ * previews what the next one will receive.
+ */
+import {
+  getRecentTranscriptionsForBranch,
+  getLastCompletedGenerationRun,
+  getSession,
+  getOpenSession,
+  getSessionTranscriptions,
+  getTranscriptionsByIds
+} from '../db/database.js';
+
+// Without a conversation session, older conversations are not sent to the code agent
+export const CONVERSATION_WINDOW_MINUTES = 60;
+
+// Largest number of transcripts a user can pick for one generation
+const MAX_SELECTED_TRANSCRIPTS = 500;
+
+/**
+ * Get the previous completed run on a branch, in the form the agent uses
+ * to build on it
+ * @param {string} repoId - Repository ID
+ * @param {string} branch - Branch name
+ * @param {string|null} sessionId - Conversation session the run was over, or null for the recent conversation
+ * @returns {Promise<Object|null>} Previous run ({coveredUntil, completedAt, summary, files}) or null
+ */
+async function getPreviousRun(repoId, branch, sessionId = null) {
+  const run = await getLastCompletedGenerationRun(repoId, branch, sessionId);
+  if (!run) {
+    return null;
+  }
+
+  return {
+    coveredUntil: run.transcripts_until,
+    completedAt: run.completed_at.toISOString(),
+    summary: run.summary,
+    files: run.files.map(file => file.filename)
+  };
+}
+
+/**
+ * Get the transcripts the next code generation on a branch will receive:
+ * - chosen transcripts (`transcriptIds`), as they are
+ * - a chosen session (`sessionId`), or else the branch's open session: its
+ *   transcripts after the previous completed run over that session
+ * - otherwise those of the last hour after the previous completed run over
+ *   the recent conversation
+ * @param {string} repoId - Repository ID
+ * @param {string} branch - Branch name
+ * @param {Object} [selection] - What to generate from
+ * @param {string} [selection.sessionId] - Conversation session ID
+ * @param {Array<string>} [selection.transcriptIds] - Transcription IDs
+ * @returns {Promise<Object>} { source, session, previousRun, conversations }, or { error } for an invalid selection
+ */
+export async function getConversationsForNextRun(repoId, branch, { sessionId, transcriptIds } = {}) {
+  if (transcriptIds) {
+    const ids = Array.isArray(transcriptIds) ? transcriptIds.map(String) : [];
+    if (ids.length === 0 || ids.length > MAX_SELECTED_TRANSCRIPTS || !ids.every(id => /^\d{1,18}$/.test(id))) {
+      return { error: `Select between 1 and ${MAX_SELECTED_TRANSCRIPTS} transcripts` };
+    }
+    const conversations = await getTranscriptionsByIds(repoId, branch, ids);
+    return { source: 'selection', session: null, previousRun: null, conversations };
+  }
+
+  let session;
+  if (sessionId) {
+    session = /^\d{1,18}$/.test(String(sessionId)) ? await getSession(sessionId) : null;
+    if (!session || session.git_repo !== repoId || session.branch !== branch) {
+      return { error: 'Conversation session not found on this branch' };
+    }
+  } else {
+    session = await getOpenSession(repoId, branch);
+  }
+
+  if (session) {
+    const previousRun = await getPreviousRun(repoId, branch, session.id);
+    const conversations = await getSessionTranscriptions(session.id, previousRun?.coveredUntil);
+    return { source: 'session', session, previousRun, conversations };
+  }
+
+  const previousRun = await getPreviousRun(repoId, branch);
+  const conversations = await getRecentTranscriptionsForBranch(
+    repoId, branch, CONVERSATION_WINDOW_MINUTES, previousRun?.coveredUntil
+  );
+  return { source: 'recent', session: null, previousRun, conversations };
+}
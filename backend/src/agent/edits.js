@@ -0,0 +1,268 @@
+import { parsePatch, applyPatch } from 'diff';
+
+/**
+ * Count non-overlapping occurrences of a string
+ * @param {string} content - Text to search in
+ * @param {string} search - Text to search for
+ * @returns {Array<number>} Indexes of the occurrences
+ */
+function findOccurrences(content, search) {
+  const indexes = [];
+  let index = content.indexOf(search);
+
+  while (index !== -1) {
+    indexes.push(index);
+    index = content.indexOf(search, index + search.length);
+  }
+
+  return indexes;
+}
+
+/**
+ * Convert a character index to a 1-based line number
+ * @param {string} content - Text
+ * @param {number} index - Character index
+ * @returns {number} Line number
+ */
+function lineNumberAt(content, index) {
+  return content.substring(0, index).split('\n').length;
+}
+
+/**
+ * Strip trailing whitespace from every line, for lenient anchor comparison
+ * @param {string} text - Text
+ * @returns {string} Normalized text
+ */
+function normalizeLines(text) {
+  return text.split('\n').map(line => line.trimEnd()).join('\n').replace(/\n+$/, '');
+}
+
+/**
+ * Find the character offset at which each line starts
+ * @param {Array<string>} lines - Lines of the file
+ * @returns {Array<number>} Offsets, one per line
+ */
+function getLineOffsets(lines) {
+  const offsets = [];
+  let offset = 0;
+  for (const line of lines) {
+    offsets.push(offset);
+    offset += line.length + 1;
+  }
+  return offsets;
+}
+
+/**
+ * Locate a line-range replacement in the original file. Line numbers refer
+ * to the original file.
+ * @param {string} label - Edit label used in error messages
+ * @param {string} content - Original file content
+ * @param {Array<string>} lines - Lines of the original file
+ * @param {Array<number>} offsets - Line offsets from getLineOffsets()
+ * @param {Object} edit - replace_lines edit
+ * @returns {{span: Object|null, error: string|null}} Replaced character range and text, or an anchor error
+ */
+function locateLineEdit(label, content, lines, offsets, edit) {
+  const { startLine, endLine, original } = edit;
+
+  if (!Number.isInteger(startLine) || !Number.isInteger(endLine) || startLine < 1 || endLine < startLine - 1) {
+    return { span: null, error: `${label}: startLine and endLine must be integers with 1 <= startLine <= endLine + 1` };
+  }
+  if (endLine > lines.length) {
+    return { span: null, error: `${label}: range is past the end of the file, which has ${lines.length} lines` };
+  }
+  if (typeof edit.content !== 'string') {
+    return { span: null, error: `${label}: missing "content" with the new text of the lines; use "" to delete them` };
+  }
+  // An empty range (endLine = startLine - 1) inserts before startLine and has nothing to check
+  const isInsertion = endLine === startLine - 1;
+  if (!isInsertion && typeof original !== 'string') {
+    return { span: null, error: `${label}: missing "original" with the current text of the lines being replaced` };
+  }
+
+  const actual = lines.slice(startLine - 1, endLine).join('\n');
+  if (!isInsertion && normalizeLines(actual) !== normalizeLines(original)) {
+    return { span: null, error: `${label}: "original" does not match the file. Lines ${startLine}-${endLine} currently are:\n${actual}` };
+  }
+
+  const replacement = edit.content === '' ? [] : edit.content.replace(/\n$/, '').split('\n');
+  const lineEnd = line => offsets[line - 1] + lines[line - 1].length;
+
+  if (isInsertion) {
+    const text = replacement.join('\n');
+    const span = startLine <= lines.length
+      ? { start: offsets[startLine - 1], end: offsets[startLine - 1], text: replacement.length > 0 ? `${text}\n` : '' }
+      : { start: content.length, end: content.length, text: replacement.length > 0 ? `\n${text}` : '' };
+    return { span, error: null };
+  }
+
+  if (replacement.length > 0) {
+    return { span: { start: offsets[startLine - 1], end: lineEnd(endLine), text: replacement.join('\n') }, error: null };
+  }
+
+  // Deleting lines also deletes one line break next to them
+  if (endLine < lines.length) {
+    return { span: { start: offsets[startLine - 1], end: offsets[endLine], text: '' }, error: null };
+  }
+  return { span: { start: startLine > 1 ? lineEnd(startLine - 1) : 0, end: content.length, text: '' }, error: null };
+}
+
+/**
+ * Locate a search/replace edit in the original file. The search text must
+ * occur exactly once.
+ * @param {string} label - Edit label used in error messages
+ * @param {string} content - Original file content
+ * @param {Object} edit - search_replace edit
+ * @returns {{span: Object|null, error: string|null}} Replaced character range and text, or an anchor error
+ */
+function locateSearchReplace(label, content, { search, replace }) {
+  if (typeof search !== 'string' || search.length === 0) {
+    return { span: null, error: `${label}: "search" must be a non-empty string` };
+  }
+  if (typeof replace !== 'string') {
+    return { span: null, error: `${label}: missing "replace" with the new text; use "" to delete the search text` };
+  }
+
+  const occurrences = findOccurrences(content, search);
+
+  if (occurrences.length === 0) {
+    const firstLine = search.split('\n').find(line => line.trim()) || '';
+    const hint = firstLine && content.includes(firstLine.trim())
+      ? ` The first line of the search text appears at line ${lineNumberAt(content, content.indexOf(firstLine.trim()))}; check the following lines and whitespace.`
+      : '';
+    return { span: null, error: `${label}: search text not found in the file.${hint}` };
+  }
+  if (occurrences.length > 1) {
+    const lineNumbers = occurrences.map(index => lineNumberAt(content, index)).join(', ');
+    return { span: null, error: `${label}: search text matches ${occurrences.length} times (lines ${lineNumbers}); include more surrounding lines so it is unique` };
+  }
+
+  return { span: { start: occurrences[0], end: occurrences[0] + search.length, text: replace }, error: null };
+}
+
+/**
+ * Check that located edits do not touch the same text. Edits that start at
+ * the same place overlap too, since their order would be ambiguous.
+ * @param {string} filename - File name used in error messages
+ * @param {Array<Object>} spans - Located edits with their number and label
+ * @returns {Array<string>} Overlap errors
+ */
+function findOverlaps(filename, spans) {
+  const sorted = [...spans].sort((a, b) => a.start - b.start || a.end - b.end);
+  const errors = [];
+
+  for (let i = 1; i < sorted.length; i++) {
+    const previous = sorted[i - 1];
+    if (sorted[i].start < previous.end || sorted[i].start === previous.start) {
+      errors.push(`${sorted[i].label}: overlaps edit #${previous.number}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Apply a unified diff hunk by hunk so a failure names the hunk
+ * @param {string} filename - File name used in error messages
+ * @param {string} content - Original file content
+ * @param {string} diffText - Unified diff for the file
+ * @returns {{content: string, errors: Array<string>}} New content and anchor errors
+ */
+function applyUnifiedDiff(filename, content, diffText) {
+  let patches;
+  try {
+    patches = parsePatch(diffText);
+  } catch (error) {
+    return { content, errors: [`${filename}: invalid unified diff: ${error.message}`] };
+  }
+
+  const hunks = patches.flatMap(patch => patch.hunks);
+  if (hunks.length === 0) {
+    return { content, errors: [`${filename}: unified diff contains no hunks`] };
+  }
+
+  let current = content;
+  const errors = [];
+
+  hunks.forEach((hunk, index) => {
+    const applied = applyPatch(current, { hunks: [hunk] });
+    if (applied === false) {
+      const expected = hunk.lines
+        .filter(line => line.startsWith(' ') || line.startsWith('-'))
+        .map(line => line.substring(1))
+        .join('\n');
+      errors.push(`${filename}: diff hunk #${index + 1} (@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@) does not match the file. Its context and removed lines were:\n${expected}`);
+    } else {
+      current = applied;
+    }
+  });
+
+  return { content: current, errors };
+}
+
+/**
+ * Apply the edits of one file entry from the agent response
+ * @param {Object} file - File entry with new_content, edits or diff
+ * @param {string|null} originalContent - Current file content, or null for a new file
+ * @returns {{content: string|null, errors: Array<string>}} New content and anchor errors
+ */
+export function applyFileEdits(file, originalContent) {
+  const { filename } = file;
+
+  if (typeof file.new_content === 'string') {
+    return { content: file.new_content, errors: [] };
+  }
+
+  if (originalContent === null) {
+    return { content: null, errors: [`${filename}: file does not exist; provide "new_content" to create it`] };
+  }
+
+  if (typeof file.diff === 'string') {
+    return applyUnifiedDiff(filename, originalContent, file.diff);
+  }
+
+  if (!Array.isArray(file.edits) || file.edits.length === 0) {
+    return { content: null, errors: [`${filename}: provide one of "edits", "diff" or "new_content"`] };
+  }
+
+  const numbered = file.edits.map((edit, index) => ({ edit, number: index + 1 }));
+  const unknown = numbered.filter(({ edit }) => !['replace_lines', 'search_replace'].includes(edit?.type));
+  if (unknown.length > 0) {
+    return {
+      content: null,
+      errors: unknown.map(({ edit, number }) => `${filename}: edit #${number} has unknown type "${edit?.type}"; use "search_replace" or "replace_lines"`)
+    };
+  }
+
+  // Every edit is located in the original file before any is applied
+  const lines = originalContent.split('\n');
+  const offsets = getLineOffsets(lines);
+  const spans = [];
+  const errors = [];
+
+  for (const { edit, number } of numbered) {
+    const label = edit.type === 'replace_lines'
+      ? `${filename}: edit #${number} (replace_lines ${edit.startLine}-${edit.endLine})`
+      : `${filename}: edit #${number} (search_replace)`;
+    const { span, error } = edit.type === 'replace_lines'
+      ? locateLineEdit(label, originalContent, lines, offsets, edit)
+      : locateSearchReplace(label, originalContent, edit);
+
+    if (error) {
+      errors.push(error);
+    } else {
+      spans.push({ ...span, number, label });
+    }
+  }
+
+  errors.push(...findOverlaps(filename, spans));
+  if (errors.length > 0) {
+    return { content: null, errors };
+  }
+
+  // Apply from the end of the file, so earlier offsets stay valid
+  let content = originalContent;
+  for (const { start, end, text } of [...spans].sort((a, b) => b.start - a.start)) {
+    content = content.substring(0, start) + text + content.substring(end);
+  }
+  return { content, errors };
+}
@@ -0,0 +1,94 @@
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+// Credential helper that answers git's "get" request from the environment,
+// so the token never appears on a command line or in a file
+const CREDENTIAL_HELPER = '!f() { test "$1" = get && echo "username=$HIYA_GIT_USERNAME" && echo "password=$HIYA_GIT_PASSWORD"; }; f';
+
+/**
+ * Remove credentials from text that may be logged or sent to a client:
+ * the registered secret and any user:password embedded in URLs
+ * @param {string} text - Text to clean
+ * @param {Object|null} [credentials] - Repository credentials
+ * @returns {string} Text without secrets
+ */
+export function redactSecrets(text, credentials = null) {
+  let redacted = String(text).replace(/(\w+:\/\/)[^/\s@]+@/g, '$1***@');
+
+  if (credentials?.secret) {
+    for (const line of credentials.secret.split('\n').map(part => part.trim()).filter(part => part.length >= 8)) {
+      redacted = redacted.split(line).join('***');
+    }
+  }
+  return redacted;
+}
+
+/**
+ * Build the git environment for HTTPS token authentication
+ * @param {Object} credentials - Repository credentials
+ * @returns {Object} Environment variables
+ */
+function buildTokenEnv(credentials) {
+  return {
+    // Reset inherited helpers, then use ours
+    GIT_CONFIG_COUNT: '2',
+    GIT_CONFIG_KEY_0: 'credential.helper',
+    GIT_CONFIG_VALUE_0: '',
+    GIT_CONFIG_KEY_1: 'credential.helper',
+    GIT_CONFIG_VALUE_1: CREDENTIAL_HELPER,
+    HIYA_GIT_USERNAME: credentials.username || 'x-access-token',
+    HIYA_GIT_PASSWORD: credentials.secret
+  };
+}
+
+/**
+ * Write an SSH deploy key to a private file and build the git environment
+ * that uses it
+ * @param {Object} credentials - Repository credentials
+ * @param {string} dir - Private directory for the key file
+ * @returns {Promise<Object>} Environment variables
+ */
+async function buildSshEnv(credentials, dir) {
+  const keyPath = join(dir, 'deploy_key');
+  const key = credentials.secret.endsWith('\n') ? credentials.secret : `${credentials.secret}\n`;
+  await writeFile(keyPath, key, { mode: 0o600 });
+
+  return {
+    GIT_SSH_COMMAND: `ssh -i '${keyPath}' -o IdentitiesOnly=yes -o BatchMode=yes -o StrictHostKeyChecking=accept-new`
+  };
+}
+
+/**
+ * Run a git operation with repository credentials. The operation receives
+ * the environment variables to pass to git; an SSH key is written to a
+ * private temporary file for the duration of the operation only. Errors
+ * are rethrown with secrets removed from their message.
+ * @param {Object|null} credentials - Repository credentials ({kind, username, secret}), or null for none
+ * @param {Function} operation - Called with the git environment variables
+ * @returns {Promise<*>} Result of the operation
+ */
+export async function withGitCredentials(credentials, operation) {
+  const env = { GIT_TERMINAL_PROMPT: '0' };
+  const dir = credentials?.kind === 'ssh_key' ? await mkdtemp(join(tmpdir(), 'hiya-git-auth-')) : null;
+
+  try {
+    if (credentials?.kind === 'ssh_key') {
+      Object.assign(env, await buildSshEnv(credentials, dir));
+    } else if (credentials?.kind === 'https_token') {
+      Object.assign(env, buildTokenEnv(credentials));
+    }
+
+    return await operation(env);
+  } catch (error) {
+    if (error instanceof Error) {
+      error.message = redactSecrets(error.message, credentials);
+      error.stack = redactSecrets(error.stack, credentials);
+    }
+    throw error;
+  } finally {
+    if (dir) {
+      await rm(dir, { recursive: true, force: true });
+    }
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * Reject paths that cannot be relative to the workspace root. The extension
+ * checks this again against the real workspace folder.
+ * @param {string} filePath - Path relative to the workspace root
+ * @returns {string} The path
+ * @throws {Error} If the path is absolute or leaves the workspace
+ */
+function checkRelativePath(filePath = '') {
+  if (filePath.startsWith('/') || /^[a-zA-Z]:/.test(filePath) || filePath.split(/[\\/]/).includes('..')) {
+    throw new Error(`Path is outside the workspace: ${filePath}`);
+  }
+  return filePath;
+}
+
+/**
+ * Create a workspace handle backed by the developer's open VS Code workspace.
+ * File operations are sent to the extension, which answers from disk while
+ * leaving out files matched by .gitignore and files over its size limit.
+ * Local workspaces have no commit, history or scratch checkouts.
+ * @param {string} repoUrl - Git repository URL
+ * @param {string} branch - Branch name
+ * @param {Function} request - Sends an operation to the extension: (operation, args) => Promise<result>
+ * @returns {Object} Workspace handle
+ */
+export function createLocalWorkspace(repoUrl, branch, request) {
+  return {
+    local: true,
+    repoUrl,
+    branch,
+    sha: null,
+
+    /**
+     * List all files that are not ignored
+     * @returns {Promise<Array<string>>} File paths relative to the workspace root
+     */
+    async listFiles() {
+      const { files } = await request('list_files', {});
+      return files;
+    },
+
+    /**
+     * Read a file
+     * @param {string} filePath - Path relative to the workspace root
+     * @returns {Promise<string>} File content
+     */
+    async readFile(filePath) {
+      const { content } = await request('read_file', { path: checkRelativePath(filePath) });
+      return content;
+    },
+
+    /**
+     * List the entries of a directory
+     * @param {string} path - Directory relative to the workspace root
+     * @returns {Promise<Object>} Directory path and entries with name, type and size
+     */
+    listDirectory(path) {
+      return request('list_directory', { path: checkRelativePath(path) });
+    },
+
+    /**
+     * Search file contents
+     * @param {Object} args - Normalized search arguments
+     * @returns {Promise<Object>} Matches in the same shape as searchRepo()
+     */
+    search(args) {
+      return request('search', { ...args, path: checkRelativePath(args.path) });
+    },
+
+    release() {}
+  };
+}
@@ -0,0 +1,58 @@
+import { createOpenAIProvider } from './openaiProvider.js';
+import { createReplayProvider, createRecordingProvider } from './replayProvider.js';
+
+/**
+ * Create an LLM provider from environment configuration.
+ * Called once per code generation run so replay and recording fixtures
+ * start from the beginning for every run.
+ * @param {Object} env - Environment variables
+ * @returns {Object} Provider with a complete() method
+ */
+export function createProvider(env = process.env) {
+  const providerName = env.LLM_PROVIDER || 'openai';
+  let created;
+
+  switch (providerName) {
+    case 'openai':
+      if (!env.OPENAI_API_KEY) {
+        throw new Error('OpenAI API key not configured. Set OPENAI_API_KEY environment variable.');
+      }
+      created = createOpenAIProvider({
+        name: 'openai',
+        apiKey: env.OPENAI_API_KEY,
+        model: env.OPENAI_MODEL || 'gpt-4-turbo-preview'
+      });
+      break;
+
+    case 'openai-compatible':
+      if (!env.LLM_BASE_URL || !env.LLM_MODEL) {
+        throw new Error('OpenAI-compatible provider not configured. Set LLM_BASE_URL and LLM_MODEL environment variables.');
+      }
+      created = createOpenAIProvider({
+        name: 'openai-compatible',
+        apiKey: env.LLM_API_KEY || 'not-needed',
+        baseURL: env.LLM_BASE_URL,
+        model: env.LLM_MODEL,
+        jsonMode: env.LLM_JSON_MODE !== 'false'
+      });
+      break;
+
+    case 'replay':
+      if (!env.LLM_REPLAY_FIXTURE) {
+        throw new Error('Replay provider not configured. Set LLM_REPLAY_FIXTURE environment variable.');
+      }
+      created = createReplayProvider({ fixturePath: env.LLM_REPLAY_FIXTURE });
+      break;
+
+    default:
+      throw new Error(`Unknown LLM provider: ${providerName}`);
+  }
+
+  if (env.LLM_RECORD_FIXTURE) {
+    created = createRecordingProvider(created, env.LLM_RECORD_FIXTURE);
+  }
+
+  return created;
+}
+
+export { createOpenAIProvider, createReplayProvider, createRecordingProvider };
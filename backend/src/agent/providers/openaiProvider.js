@@ -0,0 +1,43 @@
+import OpenAI from 'openai';
+
+/**
+ * Create a provider backed by the OpenAI chat completions API.
+ * Also works with any OpenAI-compatible endpoint when baseURL is set.
+ * @param {Object} options - Provider options
+ * @param {string} options.name - Provider name used in logs
+ * @param {string} options.apiKey - API key
+ * @param {string} [options.baseURL] - Base URL of an OpenAI-compatible endpoint
+ * @param {string} options.model - Model name
+ * @param {boolean} [options.jsonMode] - Request JSON object responses (default: true)
+ * @returns {Object} Provider with a complete() method
+ */
+export function createOpenAIProvider({ name, apiKey, baseURL, model, jsonMode = true }) {
+  const client = new OpenAI({ apiKey, baseURL });
+
+  return {
+    name,
+    model,
+
+    /**
+     * Run one chat completion
+     * @param {Object} request - Completion request
+     * @param {Array<Object>} request.messages - Conversation messages
+     * @param {Array<Object>} request.tools - Tool definitions
+     * @param {AbortSignal} [request.signal] - Aborts the HTTP request
+     * @param {string} [request.toolChoice] - Tool choice, e.g. 'none' to force a text answer
+     * @returns {Promise<Object>} Assistant message
+     */
+    async complete({ messages, tools, signal, toolChoice }) {
+      const response = await client.chat.completions.create({
+        model,
+        messages,
+        tools,
+        ...(toolChoice ? { tool_choice: toolChoice } : {}),
+        temperature: 0.7,
+        ...(jsonMode ? { response_format: { type: 'json_object' } } : {})
+      }, { signal });
+
+      return response.choices[0].message;
+    }
+  };
+}
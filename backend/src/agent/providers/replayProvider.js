@@ -0,0 +1,73 @@
+import { readFileSync } from 'fs';
+import { writeFile } from 'fs/promises';
+
+/**
+ * Load a replay fixture from disk
+ * @param {string} fixturePath - Path to the fixture JSON file
+ * @returns {Object} Parsed fixture
+ */
+function loadFixture(fixturePath) {
+  const fixture = JSON.parse(readFileSync(fixturePath, 'utf-8'));
+
+  if (!Array.isArray(fixture.responses)) {
+    throw new Error(`Invalid replay fixture ${fixturePath}: missing responses array`);
+  }
+  return fixture;
+}
+
+/**
+ * Create a provider that serves recorded assistant messages in order.
+ * Each complete() call returns the next response from the fixture, so a
+ * run is fully deterministic and needs no network access.
+ * @param {Object} options - Provider options
+ * @param {string} options.fixturePath - Path to the fixture JSON file
+ * @returns {Object} Provider with a complete() method
+ */
+export function createReplayProvider({ fixturePath }) {
+  const fixture = loadFixture(fixturePath);
+  let position = 0;
+
+  return {
+    name: 'replay',
+    model: fixture.model || 'replay',
+
+    async complete({ signal } = {}) {
+      signal?.throwIfAborted();
+      if (position >= fixture.responses.length) {
+        throw new Error(`Replay fixture ${fixturePath} exhausted after ${fixture.responses.length} responses`);
+      }
+      return structuredClone(fixture.responses[position++]);
+    }
+  };
+}
+
+/**
+ * Wrap a provider so every response it returns is written to a fixture
+ * file that the replay provider can serve later
+ * @param {Object} provider - Provider to record
+ * @param {string} fixturePath - Path of the fixture JSON file to write
+ * @returns {Object} Provider with a complete() method
+ */
+export function createRecordingProvider(provider, fixturePath) {
+  const fixture = {
+    provider: provider.name,
+    model: provider.model,
+    responses: []
+  };
+
+  return {
+    name: provider.name,
+    model: provider.model,
+
+    async complete(request) {
+      const message = await provider.complete(request);
+      fixture.responses.push({
+        role: message.role,
+        content: message.content ?? null,
+        ...(message.tool_calls?.length ? { tool_calls: message.tool_calls } : {})
+      });
+      await writeFile(fixturePath, JSON.stringify(fixture, null, 2), 'utf-8');
+      return message;
+    }
+  };
+}
@@ -0,0 +1,372 @@
+import { readFile, readdir, stat, realpath } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join, resolve, relative, sep } from 'path';
+import { Worker } from 'worker_threads';
+import { simpleGit } from 'simple-git';
+
+// Result-size limits for tool output sent back to the agent
+const MAX_LISTED_FILES = 2000;
+const MAX_FILE_CHARS = 100000;
+const MAX_RANGE_LINES = 400;
+const MAX_SEARCH_RESULTS = 200;
+const DEFAULT_SEARCH_RESULTS = 50;
+const MAX_CONTEXT_LINES = 5;
+const MAX_SEARCH_FILE_BYTES = 1024 * 1024;
+// Patterns come from the agent; a search that runs longer is stopped
+const SEARCH_TIMEOUT_MS = 10000;
+const MAX_LOG_ENTRIES = 50;
+const MAX_BLAME_LINES = 200;
+
+/**
+ * Resolve a repository-relative path inside a workspace. Symlinks committed
+ * to the repository are followed before the check, so a link cannot lead
+ * to files outside the repository.
+ * @param {Object} workspace - Workspace handle from acquireWorkspace()
+ * @param {string} filePath - Path relative to the repository root
+ * @returns {Promise<string>} Absolute path
+ * @throws {Error} If the path points outside the repository
+ */
+async function resolveRepoPath(workspace, filePath = '') {
+  const root = resolve(workspace.repoPath);
+  const fullPath = resolve(root, filePath);
+  const isInside = (candidate, base) => candidate === base || candidate.startsWith(base + sep);
+
+  if (!isInside(fullPath, root)) {
+    throw new Error(`Path is outside the repository: ${filePath}`);
+  }
+  if (existsSync(fullPath) && !isInside(await realpath(fullPath), await realpath(root))) {
+    throw new Error(`Path is outside the repository: ${filePath}`);
+  }
+  return fullPath;
+}
+
+/**
+ * Get all files in a directory recursively
+ * @param {string} dir - Directory path
+ * @param {string} baseDir - Base directory for relative paths
+ * @returns {Promise<Array<string>>} Array of file paths relative to baseDir
+ */
+async function getAllFiles(dir, baseDir = dir) {
+  const files = [];
+  const entries = await readdir(dir, { withFileTypes: true });
+
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) continue;
+
+    const fullPath = join(dir, entry.name);
+    const relativePath = fullPath.replace(baseDir + '/', '');
+
+    if (entry.isDirectory()) {
+      const subFiles = await getAllFiles(fullPath, baseDir);
+      files.push(...subFiles);
+    } else if (entry.isFile()) {
+      files.push(relativePath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Get list of all files in a workspace
+ * @param {Object} workspace - Workspace handle from acquireWorkspace()
+ * @returns {Promise<Array<string>>} Array of file paths
+ */
+export async function listRepoFiles(workspace) {
+  try {
+    if (workspace.local) {
+      return await workspace.listFiles();
+    }
+    return await getAllFiles(workspace.repoPath, workspace.repoPath);
+  } catch (error) {
+    throw new Error(`Failed to list files: ${error.message}`);
+  }
+}
+
+/**
+ * Get content of a specific file from a workspace
+ * @param {Object} workspace - Workspace handle from acquireWorkspace()
+ * @param {string} filePath - Path to the file relative to repo root
+ * @returns {Promise<string>} File content
+ */
+export async function getFileContent(workspace, filePath) {
+  try {
+    if (workspace.local) {
+      return await workspace.readFile(filePath);
+    }
+
+    const fullPath = await resolveRepoPath(workspace, filePath);
+    if (!existsSync(fullPath)) {
+      throw new Error(`File not found: ${filePath}`);
+    }
+
+    return await readFile(fullPath, 'utf-8');
+  } catch (error) {
+    throw new Error(`Failed to get file content: ${error.message}`);
+  }
+}
+
+/**
+ * List all files, capped to keep the result within the agent's context
+ * @param {Object} workspace - Workspace handle from acquireWorkspace()
+ * @returns {Promise<Object>} Tool result
+ */
+export async function listRepoFilesTool(workspace) {
+  const files = await listRepoFiles(workspace);
+
+  if (files.length > MAX_LISTED_FILES) {
+    return {
+      files: files.slice(0, MAX_LISTED_FILES),
+      truncated: true,
+      totalFiles: files.length,
+      note: 'File list truncated. Use list_directory or search_repo to explore specific parts of the repository.'
+    };
+  }
+  return { files };
+}
+
+/**
+ * Read a whole file, capped to keep the result within the agent's context
+ * @param {Object} workspace - Workspace handle from acquireWorkspace()
+ * @param {Object} args - Tool arguments
+ * @param {string} args.filePath - Path to the file relative to repo root
+ * @returns {Promise<Object>} Tool result
+ */
+export async function getFileContentTool(workspace, { filePath }) {
+  const content = await getFileContent(workspace, filePath);
+
+  if (content.length > MAX_FILE_CHARS) {
+    return {
+      content: content.substring(0, MAX_FILE_CHARS),
+      truncated: true,
+      totalLines: content.split('\n').length,
+      note: 'File content truncated. Use read_file_lines to read the rest of the file.'
+    };
+  }
+  return { content };
+}
+
+/**
+ * Read a range of lines from a file
+ * @param {Object} workspace - Workspace handle from acquireWorkspace()
+ * @param {Object} args - Tool arguments
+ * @param {string} args.filePath - Path to the file relative to repo root
+ * @param {number} args.startLine - First line to read (1-based)
+ * @param {number} [args.endLine] - Last line to read (inclusive)
+ * @returns {Promise<Object>} Tool result with numbered lines
+ */
+export async function readFileLines(workspace, { filePath, startLine = 1, endLine }) {
+  const lines = (await getFileContent(workspace, filePath)).split('\n');
+  const start = Math.max(1, Math.floor(startLine));
+  const requestedEnd = Math.floor(endLine || start + MAX_RANGE_LINES - 1);
+  const end = Math.min(lines.length, requestedEnd, start + MAX_RANGE_LINES - 1);
+
+  if (start > lines.length) {
+    throw new Error(`startLine ${start} is past the end of ${filePath} (${lines.length} lines)`);
+  }
+
+  const content = lines
+    .slice(start - 1, end)
+    .map((line, index) => `${start + index}: ${line}`)
+    .join('\n');
+
+  return {
+    filePath,
+    startLine: start,
+    endLine: end,
+    totalLines: lines.length,
+    content,
+    ...(end < Math.min(requestedEnd, lines.length) ? { truncated: true } : {})
+  };
+}
+
+/**
+ * List the entries of a single directory
+ * @param {Object} workspace - Workspace handle from acquireWorkspace()
+ * @param {Object} args - Tool arguments
+ * @param {string} [args.path] - Directory relative to repo root (default: root)
+ * @returns {Promise<Object>} Tool result
+ */
+export async function listDirectory(workspace, { path = '' } = {}) {
+  if (workspace.local) {
+    return workspace.listDirectory(path);
+  }
+
+  const dir = await resolveRepoPath(workspace, path);
+  const dirEntries = await readdir(dir, { withFileTypes: true });
+  const entries = [];
+
+  for (const entry of dirEntries) {
+    if (entry.name === '.git') continue;
+
+    if (entry.isDirectory()) {
+      entries.push({ name: entry.name, type: 'directory' });
+    } else if (entry.isFile()) {
+      const { size } = await stat(join(dir, entry.name));
+      entries.push({ name: entry.name, type: 'file', size });
+    }
+  }
+
+  entries.sort((a, b) => a.type.localeCompare(b.type) || a.name.localeCompare(b.name));
+  return { path: relative(workspace.repoPath, dir) || '.', entries };
+}
+
+/**
+ * Build the regular expression for a search
+ * @param {string} pattern - Search pattern
+ * @param {boolean} isRegex - Whether the pattern is a regular expression
+ * @param {boolean} caseSensitive - Whether matching is case sensitive
+ * @returns {RegExp} Regular expression
+ */
+function buildSearchRegex(pattern, isRegex, caseSensitive) {
+  const source = isRegex ? pattern : pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  try {
+    return new RegExp(source, caseSensitive ? '' : 'i');
+  } catch (error) {
+    throw new Error(`Invalid regular expression: ${error.message}`);
+  }
+}
+
+/**
+ * Match a pattern against files in a worker thread, terminating the worker
+ * if it runs longer than SEARCH_TIMEOUT_MS
+ * @param {Object} search - Data for searchWorker.js
+ * @returns {Promise<{matches: Array<Object>, truncated: boolean}>} Matches
+ * @throws {Error} If the search times out or fails
+ */
+function runSearchWorker(search) {
+  return new Promise((resolvePromise, reject) => {
+    const worker = new Worker(new URL('./searchWorker.js', import.meta.url), { workerData: search });
+    const timer = setTimeout(() => {
+      worker.terminate();
+      reject(new Error(`Search timed out after ${SEARCH_TIMEOUT_MS / 1000}s; use a simpler pattern or a narrower path`));
+    }, SEARCH_TIMEOUT_MS);
+
+    worker.once('message', result => {
+      clearTimeout(timer);
+      resolvePromise(result);
+    });
+    worker.once('error', error => {
+      clearTimeout(timer);
+      reject(new Error(`Search failed: ${error.message}`));
+    });
+  });
+}
+
+/**
+ * Search file contents for a pattern
+ * @param {Object} workspace - Workspace handle from acquireWorkspace()
+ * @param {Object} args - Tool arguments
+ * @param {string} args.pattern - Text or regular expression to search for
+ * @param {boolean} [args.isRegex] - Treat pattern as a JavaScript regular expression
+ * @param {boolean} [args.caseSensitive] - Match case (default: false)
+ * @param {string} [args.path] - Limit the search to a directory
+ * @param {number} [args.contextLines] - Lines of context around each match
+ * @param {number} [args.maxResults] - Maximum number of matches
+ * @returns {Promise<Object>} Tool result with matches
+ */
+export async function searchRepo(workspace, {
+  pattern,
+  isRegex = false,
+  caseSensitive = false,
+  path = '',
+  contextLines = 2,
+  maxResults = DEFAULT_SEARCH_RESULTS
+}) {
+  if (!pattern) {
+    throw new Error('pattern is required');
+  }
+
+  const regex = buildSearchRegex(pattern, isRegex, caseSensitive);
+  const context = Math.min(Math.max(0, contextLines), MAX_CONTEXT_LINES);
+  const limit = Math.min(Math.max(1, maxResults), MAX_SEARCH_RESULTS);
+  if (workspace.local) {
+    return workspace.search({ pattern, isRegex, caseSensitive, path, contextLines: context, maxResults: limit });
+  }
+
+  const searchRoot = await resolveRepoPath(workspace, path);
+  const files = await getAllFiles(searchRoot, workspace.repoPath);
+  const { matches, truncated } = await runSearchWorker({
+    repoPath: workspace.repoPath,
+    files,
+    source: regex.source,
+    flags: regex.flags,
+    context,
+    limit,
+    maxFileBytes: MAX_SEARCH_FILE_BYTES
+  });
+
+  return {
+    matches,
+    ...(truncated ? { truncated: true, note: `Stopped after ${limit} matches. Narrow the pattern or path.` } : {})
+  };
+}
+
+/**
+ * Show the commit history of the repository or of one file
+ * @param {Object} workspace - Workspace handle from acquireWorkspace()
+ * @param {Object} args - Tool arguments
+ * @param {string} [args.filePath] - Limit history to this file
+ * @param {number} [args.maxCount] - Maximum number of commits
+ * @returns {Promise<Object>} Tool result with commits
+ */
+export async function gitLog(workspace, { filePath, maxCount = 10 } = {}) {
+  await workspace.ensureHistory();
+
+  const count = Math.min(Math.max(1, maxCount), MAX_LOG_ENTRIES);
+  const args = ['log', `--max-count=${count}`, '--date=short', '--format=%h%x09%an%x09%ad%x09%s'];
+  if (filePath) {
+    await resolveRepoPath(workspace, filePath);
+    args.push('--', filePath);
+  }
+
+  const output = await simpleGit(workspace.repoPath).raw(args);
+  const commits = output
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      const [commit, author, date, ...subject] = line.split('\t');
+      return { commit, author, date, subject: subject.join('\t') };
+    });
+
+  return { commits };
+}
+
+/**
+ * Show who last changed each line of a file
+ * @param {Object} workspace - Workspace handle from acquireWorkspace()
+ * @param {Object} args - Tool arguments
+ * @param {string} args.filePath - Path to the file relative to repo root
+ * @param {number} [args.startLine] - First line (1-based)
+ * @param {number} [args.endLine] - Last line (inclusive)
+ * @returns {Promise<Object>} Tool result with annotated lines
+ */
+export async function gitBlame(workspace, { filePath, startLine = 1, endLine }) {
+  const totalLines = (await getFileContent(workspace, filePath)).split('\n').length;
+  await workspace.ensureHistory();
+
+  const start = Math.min(Math.max(1, Math.floor(startLine)), totalLines);
+  const end = Math.min(Math.floor(endLine || start + MAX_BLAME_LINES - 1), start + MAX_BLAME_LINES - 1, totalLines);
+  const output = await simpleGit(workspace.repoPath)
+    .raw(['blame', '--line-porcelain', '-L', `${start},${end}`, '--', filePath]);
+
+  const lines = [];
+  let current = null;
+
+  for (const line of output.split('\n')) {
+    const header = line.match(/^([0-9a-f]{40}) \d+ (\d+)/);
+    if (header) {
+      current = { commit: header[1].substring(0, 8), line: parseInt(header[2], 10) };
+    } else if (current && line.startsWith('author ')) {
+      current.author = line.substring(7);
+    } else if (current && line.startsWith('author-time ')) {
+      current.date = new Date(parseInt(line.substring(12), 10) * 1000).toISOString().substring(0, 10);
+    } else if (current && line.startsWith('\t')) {
+      current.text = line.substring(1);
+      lines.push(current);
+      current = null;
+    }
+  }
+
+  return { filePath, lines };
+}
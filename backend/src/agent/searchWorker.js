@@ -0,0 +1,45 @@
+/**
+ * Worker for search_repo: matches the agent's pattern against repository
+ * files off the main thread. A pattern with catastrophic backtracking then
+ * only stalls this worker, which searchRepo() terminates after a timeout,
+ * instead of every connection of the server.
+ */
+import { parentPort, workerData } from 'worker_threads';
+import { readFileSync, statSync } from 'fs';
+import { join } from 'path';
+
+const { repoPath, files, source, flags, context, limit, maxFileBytes } = workerData;
+const regex = new RegExp(source, flags);
+const matches = [];
+let truncated = false;
+
+for (const file of files) {
+  const fullPath = join(repoPath, file);
+  if (statSync(fullPath).size > maxFileBytes) continue;
+
+  const content = readFileSync(fullPath, 'utf-8');
+  if (content.includes('\0')) continue;
+
+  const lines = content.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    if (!regex.test(lines[i])) continue;
+
+    if (matches.length >= limit) {
+      truncated = true;
+      break;
+    }
+
+    const from = Math.max(0, i - context);
+    const to = Math.min(lines.length, i + context + 1);
+    matches.push({
+      file,
+      line: i + 1,
+      text: lines[i],
+      context: lines.slice(from, to).map((line, index) => `${from + index + 1}: ${line}`).join('\n')
+    });
+  }
+
+  if (truncated) break;
+}
+
+parentPort.postMessage({ matches, truncated });
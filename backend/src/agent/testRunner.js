@@ -0,0 +1,198 @@
+import { spawn } from 'child_process';
+import { writeFile, mkdtemp, rm } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { simpleGit } from 'simple-git';
+
+const VERIFY_TIMEOUT_MS = parseInt(process.env.AGENT_VERIFY_TIMEOUT_MS || '300000', 10);
+const VERIFY_OUTPUT_LIMIT = parseInt(process.env.AGENT_VERIFY_OUTPUT_LIMIT || '20000', 10);
+
+// Environment variables passed through to the verification command; everything
+// else (API keys, database credentials) stays out of the child process
+const ALLOWED_ENV = ['PATH', 'LANG', 'LC_ALL', 'TERM', 'NODE_OPTIONS', 'npm_config_cache'];
+
+/**
+ * Get the configured verification command. The command comes from the
+ * repository being changed, so it only runs inside AGENT_VERIFY_WRAPPER
+ * (a container or sandbox such as docker, bwrap or firejail); without one,
+ * verification is disabled.
+ * @returns {string|null} Shell command, or null when verification is disabled
+ */
+export function getVerifyCommand() {
+  const command = process.env.AGENT_VERIFY_COMMAND || null;
+  if (command && !process.env.AGENT_VERIFY_WRAPPER) {
+    console.warn('Warning: AGENT_VERIFY_COMMAND is set but AGENT_VERIFY_WRAPPER is not; skipping verification');
+    return null;
+  }
+  return command;
+}
+
+/**
+ * Quote a string as one shell word
+ * @param {string} value - String to quote
+ * @returns {string} Single-quoted string
+ */
+function shellQuote(value) {
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Build the environment for the verification command
+ * @param {string} checkoutPath - Checkout the command runs in
+ * @returns {Object} Environment variables
+ */
+function buildVerifyEnv(checkoutPath) {
+  const env = { CI: '1', HOME: checkoutPath };
+  for (const name of ALLOWED_ENV) {
+    if (process.env[name]) {
+      env[name] = process.env[name];
+    }
+  }
+  return env;
+}
+
+/**
+ * Keep the end of the output, where test runners report failures
+ * @param {string} output - Full output
+ * @returns {{output: string, truncated: boolean}} Capped output
+ */
+function capOutput(output) {
+  if (output.length <= VERIFY_OUTPUT_LIMIT) {
+    return { output, truncated: false };
+  }
+
+  const omitted = output.length - VERIFY_OUTPUT_LIMIT;
+  return {
+    output: `[... ${omitted} characters omitted ...]\n${output.substring(omitted)}`,
+    truncated: true
+  };
+}
+
+/**
+ * Run a shell command through a wrapper, in its own process group with a
+ * timeout and an output cap. The process group, minimal environment and
+ * timeout do not isolate the command from the server's files or network;
+ * only the wrapper does.
+ * @param {string} wrapper - Command prefix that isolates the command, e.g. a docker run invocation
+ * @param {string} command - Shell command, run as one `sh -c` argument of the wrapper
+ * @param {string} cwd - Working directory
+ * @param {AbortSignal} [signal] - Kills the command when aborted
+ * @returns {Promise<Object>} Exit code, timeout flag and captured output
+ */
+function runWrappedCommand(wrapper, command, cwd, signal) {
+  return new Promise((resolve) => {
+    const child = spawn(`${wrapper} sh -c ${shellQuote(command)}`, {
+      cwd,
+      env: buildVerifyEnv(cwd),
+      shell: true,
+      detached: true,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    let timedOut = false;
+
+    // Only the tail is kept, so memory stays bounded for chatty commands
+    const append = (chunk) => {
+      output += chunk.toString();
+      if (output.length > VERIFY_OUTPUT_LIMIT * 2) {
+        output = output.substring(output.length - VERIFY_OUTPUT_LIMIT * 2);
+      }
+    };
+    child.stdout.on('data', append);
+    child.stderr.on('data', append);
+
+    const killGroup = () => {
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch {
+        // Process group already exited
+      }
+    };
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      killGroup();
+    }, VERIFY_TIMEOUT_MS);
+    signal?.addEventListener('abort', killGroup);
+
+    const finish = (result) => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', killGroup);
+      resolve(result);
+    };
+
+    child.on('error', (error) => {
+      finish({ exitCode: null, timedOut, output: error.message });
+    });
+
+    child.on('close', (exitCode) => {
+      finish({ exitCode, timedOut, output });
+    });
+  });
+}
+
+/**
+ * Apply generated patches to a scratch checkout and run the verification
+ * command there, inside AGENT_VERIFY_WRAPPER
+ * @param {Object} workspace - Workspace handle from acquireWorkspace()
+ * @param {Array<Object>} files - Files with filename and patch
+ * @param {string} command - Shell command to run, e.g. "npm ci && npm test"
+ * @param {AbortSignal} [signal] - Kills the command when aborted
+ * @returns {Promise<Object>} Verification result
+ */
+export async function runVerification(workspace, files, command, signal) {
+  const wrapper = process.env.AGENT_VERIFY_WRAPPER;
+  if (!wrapper) {
+    return {
+      command,
+      status: 'error',
+      exitCode: null,
+      durationMs: 0,
+      output: 'AGENT_VERIFY_WRAPPER is not set; refusing to run the verification command outside a sandbox',
+      truncated: false
+    };
+  }
+
+  const scratch = await workspace.createScratchCheckout();
+  const patchDir = await mkdtemp(join(tmpdir(), 'hiya-verify-'));
+  const startTime = Date.now();
+
+  try {
+    const patchPath = join(patchDir, 'changes.patch');
+    await writeFile(patchPath, files.map(file => file.patch).join('\n'), 'utf-8');
+    await simpleGit(scratch.path).raw(['apply', '-p0', patchPath]);
+
+    console.log(`Running verification command in ${scratch.path}: ${command}`);
+    const { exitCode, timedOut, output } = await runWrappedCommand(wrapper, command, scratch.path, signal);
+    signal?.throwIfAborted();
+
+    let status = exitCode === 0 ? 'passed' : 'failed';
+    if (timedOut) {
+      status = 'timeout';
+    }
+
+    return {
+      command,
+      status,
+      exitCode,
+      durationMs: Date.now() - startTime,
+      ...capOutput(output)
+    };
+  } catch (error) {
+    if (signal?.aborted) {
+      throw error;
+    }
+    return {
+      command,
+      status: 'error',
+      exitCode: null,
+      durationMs: Date.now() - startTime,
+      output: error.message,
+      truncated: false
+    };
+  } finally {
+    await rm(patchDir, { recursive: true, force: true });
+    await scratch.remove();
+  }
+}
@@ -0,0 +1,158 @@
+import { writeFile, mkdtemp, rm } from 'fs/promises';
+import { join, extname, basename } from 'path';
+import { tmpdir } from 'os';
+import { simpleGit } from 'simple-git';
+import ts from 'typescript';
+import YAML from 'yaml';
+
+const SCRIPT_EXTENSIONS = ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.mts', '.cts', '.tsx'];
+const YAML_EXTENSIONS = ['.yaml', '.yml'];
+
+/**
+ * Check whether a JSON file is allowed to contain comments
+ * @param {string} filename - File path
+ * @returns {boolean}
+ */
+function isJsonWithComments(filename) {
+  return /^(ts|js)config.*\.json$/.test(basename(filename)) || filename.startsWith('.vscode/');
+}
+
+/**
+ * Check a JavaScript or TypeScript file for syntax errors
+ * @param {string} filename - File path
+ * @param {string} content - File content
+ * @returns {Array<string>} Syntax errors
+ */
+function checkScriptSyntax(filename, content) {
+  const { diagnostics = [] } = ts.transpileModule(content, {
+    fileName: filename,
+    reportDiagnostics: true,
+    compilerOptions: {
+      allowJs: true,
+      jsx: ts.JsxEmit.Preserve,
+      target: ts.ScriptTarget.Latest
+    }
+  });
+
+  return diagnostics
+    .filter(diagnostic => diagnostic.category === ts.DiagnosticCategory.Error)
+    .map(diagnostic => {
+      const message = ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n');
+      if (!diagnostic.file || diagnostic.start === undefined) {
+        return message;
+      }
+      const { line, character } = diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start);
+      return `line ${line + 1}, column ${character + 1}: ${message}`;
+    });
+}
+
+/**
+ * Check a JSON file for syntax errors
+ * @param {string} filename - File path
+ * @param {string} content - File content
+ * @returns {Array<string>} Syntax errors
+ */
+function checkJsonSyntax(filename, content) {
+  if (isJsonWithComments(filename)) {
+    const { error } = ts.parseConfigFileTextToJson(filename, content);
+    return error ? [ts.flattenDiagnosticMessageText(error.messageText, '\n')] : [];
+  }
+
+  try {
+    JSON.parse(content);
+    return [];
+  } catch (error) {
+    return [error.message];
+  }
+}
+
+/**
+ * Check a YAML file for syntax errors
+ * @param {string} content - File content
+ * @returns {Array<string>} Syntax errors
+ */
+function checkYamlSyntax(content) {
+  return YAML.parseAllDocuments(content)
+    .flatMap(document => document.errors || [])
+    .map(error => error.message);
+}
+
+/**
+ * Check the syntax of a file's new content, for the file types we can parse
+ * @param {string} filename - File path
+ * @param {string} content - New file content
+ * @returns {Array<string>} Syntax errors
+ */
+export function checkSyntax(filename, content) {
+  const extension = extname(filename).toLowerCase();
+
+  if (SCRIPT_EXTENSIONS.includes(extension)) {
+    return checkScriptSyntax(filename, content);
+  }
+  if (extension === '.json') {
+    return checkJsonSyntax(filename, content);
+  }
+  if (YAML_EXTENSIONS.includes(extension)) {
+    return checkYamlSyntax(content);
+  }
+  return [];
+}
+
+/**
+ * Check that a patch applies cleanly to a checkout
+ * @param {string} checkoutPath - Checkout to apply against
+ * @param {string} patchDir - Directory for temporary patch files
+ * @param {Object} file - File with filename and patch
+ * @param {number} index - Position of the file, used for the patch file name
+ * @returns {Promise<Array<string>>} Apply errors
+ */
+async function checkPatchApplies(checkoutPath, patchDir, file, index) {
+  const patchPath = join(patchDir, `${index}.patch`);
+  await writeFile(patchPath, file.patch, 'utf-8');
+
+  try {
+    await simpleGit(checkoutPath).raw(['apply', '--check', '-p0', patchPath]);
+    return [];
+  } catch (error) {
+    return [error.message.trim()];
+  }
+}
+
+/**
+ * Validate generated changes: every patch must apply to a scratch checkout
+ * of the workspace commit, and JS/TS/JSON/YAML files must parse. Local
+ * workspaces have no checkout on the server, so only the syntax is checked;
+ * their patches are built from the file contents the extension just sent.
+ * @param {Object} workspace - Workspace handle from acquireWorkspace()
+ * @param {Array<Object>} changes - Resolved changes with filename and newContent
+ * @param {Array<Object>} files - Files with filename and patch, in the same order
+ * @returns {Promise<Array<{status: string, errors: Array<string>}>>} Validation result per file
+ */
+export async function validateChanges(workspace, changes, files) {
+  if (workspace.local) {
+    return changes.map(change => {
+      const errors = checkSyntax(change.filename, change.newContent).map(error => `Syntax error: ${error}`);
+      return { status: errors.length > 0 ? 'failed' : 'passed', errors };
+    });
+  }
+
+  const scratch = await workspace.createScratchCheckout();
+  const patchDir = await mkdtemp(join(tmpdir(), 'hiya-patches-'));
+
+  try {
+    const results = [];
+
+    for (let i = 0; i < files.length; i++) {
+      const errors = [
+        ...(await checkPatchApplies(scratch.path, patchDir, files[i], i)),
+        ...checkSyntax(changes[i].filename, changes[i].newContent).map(error => `Syntax error: ${error}`)
+      ];
+      results.push({ status: errors.length > 0 ? 'failed' : 'passed', errors });
+    }
+
+    return results;
+  } finally {
+    await rm(patchDir, { recursive: true, force: true });
+    await scratch.remove();
+  }
+}
@@ -0,0 +1,373 @@
+import { mkdir, readdir, lstat, rm } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { createHash } from 'crypto';
+import { simpleGit } from 'simple-git';
+import { withGitCredentials, redactSecrets } from './gitCredentials.js';
+
+// Workspaces live in a subdirectory of the configured directory, which is
+// never removed itself
+const CACHE_ROOT = join(process.env.WORKSPACE_CACHE_DIR || tmpdir(), 'hiya-workspaces');
+const MAX_ENTRIES = parseInt(process.env.WORKSPACE_CACHE_MAX_ENTRIES || '8', 10);
+const MAX_BYTES = parseInt(process.env.WORKSPACE_CACHE_MAX_MB || '2048', 10) * 1024 * 1024;
+const HISTORY_DEPTH = parseInt(process.env.WORKSPACE_HISTORY_DEPTH || '500', 10);
+
+// Names of the directories the cache creates: clones and scratch checkouts
+const WORKSPACE_NAME_PATTERN = /^(?:[0-9a-f]{12}-\d+|scratch-\d+-[a-z0-9]+)$/;
+
+// Cached workspaces keyed by repo URL, branch and commit SHA
+const entries = new Map();
+
+// In-flight acquisitions keyed by repo URL and branch, so concurrent runs share one clone
+const pending = new Map();
+
+let cacheRootReady = null;
+
+/**
+ * Build the cache key for a workspace
+ * @param {string} repoUrl - Git repository URL
+ * @param {string} branch - Branch name
+ * @param {string} sha - Commit SHA
+ * @returns {string} Cache key
+ */
+function buildKey(repoUrl, branch, sha) {
+  return `${repoUrl}#${branch}@${sha}`;
+}
+
+/**
+ * Prepare the cache root directory. Workspaces left behind by a previous
+ * process are not tracked in memory, so they are removed; anything else in
+ * the directory is left alone.
+ * @returns {Promise<void>}
+ */
+function ensureCacheRoot() {
+  if (!cacheRootReady) {
+    cacheRootReady = (async () => {
+      await mkdir(CACHE_ROOT, { recursive: true });
+      for (const name of await readdir(CACHE_ROOT)) {
+        if (WORKSPACE_NAME_PATTERN.test(name)) {
+          await rm(join(CACHE_ROOT, name), { recursive: true, force: true });
+        }
+      }
+    })();
+  }
+  return cacheRootReady;
+}
+
+/**
+ * Calculate the disk usage of a directory
+ * @param {string} dir - Directory path
+ * @returns {Promise<number>} Size in bytes
+ */
+async function getDirectorySize(dir) {
+  let size = 0;
+  const dirEntries = await readdir(dir, { withFileTypes: true });
+
+  for (const entry of dirEntries) {
+    const fullPath = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      size += await getDirectorySize(fullPath);
+    } else {
+      size += (await lstat(fullPath)).size;
+    }
+  }
+
+  return size;
+}
+
+/**
+ * Create a git client that stops running commands when the signal aborts
+ * @param {string} [baseDir] - Working directory
+ * @param {AbortSignal} [signal] - Abort signal
+ * @param {Object} [env] - Extra environment variables, e.g. from withGitCredentials()
+ * @returns {SimpleGit} Git client
+ */
+function gitClient(baseDir, signal, env) {
+  const git = simpleGit({
+    ...(baseDir ? { baseDir } : {}),
+    ...(signal ? { abort: signal } : {})
+  });
+  return env ? git.env({ ...process.env, ...env }) : git;
+}
+
+/**
+ * Resolve the commit SHA a remote branch currently points to
+ * @param {string} repoUrl - Git repository URL
+ * @param {string} branch - Branch name
+ * @param {Object|null} credentials - Repository credentials
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<string>} Commit SHA
+ */
+async function resolveRemoteSha(repoUrl, branch, credentials, signal) {
+  const output = await withGitCredentials(credentials, env =>
+    gitClient(null, signal, env).listRemote([repoUrl, `refs/heads/${branch}`]));
+  const sha = output.split(/\s+/)[0];
+
+  if (!sha) {
+    throw new Error(`Branch ${branch} not found in ${redactSecrets(repoUrl)}`);
+  }
+  return sha;
+}
+
+/**
+ * Check that a remote repository is reachable and find its default branch
+ * @param {string} repoUrl - Git repository URL
+ * @param {Object|null} [credentials] - Repository credentials
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<string|null>} Default branch, or null if the remote does not advertise one (e.g. an empty repository)
+ * @throws {Error} If the repository cannot be reached
+ */
+export async function probeRemote(repoUrl, credentials = null, signal) {
+  const output = await withGitCredentials(credentials, env =>
+    gitClient(null, signal, env).listRemote(['--symref', repoUrl, 'HEAD']));
+  const match = output.match(/^ref: refs\/heads\/(\S+)\s+HEAD$/m);
+  return match ? match[1] : null;
+}
+
+/**
+ * Shallow clone a branch into a new workspace directory
+ * @param {string} repoUrl - Git repository URL
+ * @param {string} branch - Branch name
+ * @param {Object|null} credentials - Repository credentials
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<string>} Repository path
+ */
+async function cloneWorkspace(repoUrl, branch, credentials, signal) {
+  const digest = createHash('sha1').update(`${repoUrl}#${branch}`).digest('hex').substring(0, 12);
+  const repoPath = join(CACHE_ROOT, `${digest}-${Date.now()}`);
+
+  console.log(`Cloning repository ${redactSecrets(repoUrl)} (${branch}) to ${repoPath}...`);
+
+  try {
+    await withGitCredentials(credentials, env =>
+      gitClient(null, signal, env).clone(repoUrl, repoPath, ['--depth', '1', '--branch', branch]));
+  } catch (error) {
+    await rm(repoPath, { recursive: true, force: true });
+    throw error;
+  }
+
+  return repoPath;
+}
+
+/**
+ * Move an existing workspace to the latest commit of its branch
+ * @param {Object} entry - Cache entry
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<void>}
+ */
+async function refreshWorkspace(entry, signal) {
+  console.log(`Fetching ${redactSecrets(entry.repoUrl)} (${entry.branch}) into ${entry.repoPath}...`);
+
+  const git = gitClient(entry.repoPath, signal);
+  await withGitCredentials(entry.credentials, env =>
+    gitClient(entry.repoPath, signal, env).fetch('origin', entry.branch, ['--depth', '1']));
+  await git.reset(['--hard', 'FETCH_HEAD']);
+  await git.clean('f', ['-d']);
+
+  // The fetch above makes the clone shallow again
+  entry.history = null;
+}
+
+/**
+ * Deepen a shallow workspace so log and blame can see past the head commit.
+ * Runs at most once per cached checkout.
+ * @param {Object} entry - Cache entry
+ * @returns {Promise<void>}
+ */
+function ensureHistory(entry) {
+  if (!entry.history) {
+    console.log(`Fetching history of ${redactSecrets(entry.repoUrl)} (${entry.branch}), depth ${HISTORY_DEPTH}...`);
+    entry.history = withGitCredentials(entry.credentials, env =>
+      gitClient(entry.repoPath, null, env).fetch('origin', entry.branch, ['--depth', String(HISTORY_DEPTH)]))
+      .then(() => {})
+      .catch(error => {
+        entry.history = null;
+        throw new Error(`Failed to fetch history: ${error.message}`);
+      });
+  }
+  return entry.history;
+}
+
+/**
+ * Create a disposable worktree of a workspace at its checked-out commit,
+ * for applying generated changes without touching the shared checkout
+ * @param {Object} entry - Cache entry
+ * @returns {Promise<{path: string, remove: Function}>} Scratch checkout
+ */
+async function createScratchCheckout(entry) {
+  const path = join(CACHE_ROOT, `scratch-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`);
+  const git = simpleGit(entry.repoPath);
+  await git.raw(['worktree', 'add', '--detach', path, entry.sha]);
+
+  return {
+    path,
+    remove: async () => {
+      try {
+        await git.raw(['worktree', 'remove', '--force', path]);
+      } catch (error) {
+        console.warn('Warning: Failed to remove scratch checkout:', error.message);
+        await rm(path, { recursive: true, force: true });
+      }
+    }
+  };
+}
+
+/**
+ * Find an idle workspace of the same repo and branch at an older commit
+ * @param {string} repoUrl - Git repository URL
+ * @param {string} branch - Branch name
+ * @returns {Object|null} Cache entry or null
+ */
+function findStaleEntry(repoUrl, branch) {
+  for (const entry of entries.values()) {
+    if (entry.repoUrl === repoUrl && entry.branch === branch && entry.refCount === 0) {
+      return entry;
+    }
+  }
+  return null;
+}
+
+/**
+ * Evict least recently used idle workspaces until the cache fits its budget
+ * @returns {Promise<void>}
+ */
+async function evictWorkspaces() {
+  const idle = [...entries.values()]
+    .filter(entry => entry.refCount === 0)
+    .sort((a, b) => a.lastUsed - b.lastUsed);
+
+  let totalBytes = [...entries.values()].reduce((sum, entry) => sum + entry.size, 0);
+
+  for (const entry of idle) {
+    if (entries.size <= MAX_ENTRIES && totalBytes <= MAX_BYTES) {
+      break;
+    }
+
+    // Skip entries acquired or refreshed since the snapshot was taken
+    if (entry.refCount > 0 || entries.get(entry.key) !== entry) {
+      continue;
+    }
+
+    entries.delete(entry.key);
+    totalBytes -= entry.size;
+    console.log(`Evicting workspace ${entry.key}`);
+
+    try {
+      await rm(entry.repoPath, { recursive: true, force: true });
+    } catch (error) {
+      console.warn('Warning: Failed to remove evicted workspace:', error.message);
+    }
+  }
+}
+
+/**
+ * Look up or create the cache entry for a branch at a commit
+ * @param {string} repoUrl - Git repository URL
+ * @param {string} branch - Branch name
+ * @param {string} sha - Commit SHA the branch points to
+ * @param {Object|null} credentials - Repository credentials
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<Object>} Cache entry
+ */
+async function loadEntry(repoUrl, branch, sha, credentials, signal) {
+  const key = buildKey(repoUrl, branch, sha);
+  const cached = entries.get(key);
+  if (cached) {
+    // Later fetches use the credentials as currently registered
+    cached.credentials = credentials;
+    return cached;
+  }
+
+  const stale = findStaleEntry(repoUrl, branch);
+  if (stale) {
+    entries.delete(stale.key);
+    stale.credentials = credentials;
+    try {
+      await refreshWorkspace(stale, signal);
+      stale.key = key;
+      stale.sha = sha;
+      stale.size = await getDirectorySize(stale.repoPath);
+      entries.set(key, stale);
+      return stale;
+    } catch (error) {
+      await rm(stale.repoPath, { recursive: true, force: true });
+      signal?.throwIfAborted();
+      console.warn('Warning: Failed to refresh workspace, cloning instead:', error.message);
+    }
+  }
+
+  const repoPath = await cloneWorkspace(repoUrl, branch, credentials, signal);
+  const headSha = (await simpleGit(repoPath).revparse(['HEAD'])).trim();
+  const entry = {
+    key: buildKey(repoUrl, branch, headSha),
+    repoUrl,
+    branch,
+    sha: headSha,
+    repoPath,
+    refCount: 0,
+    lastUsed: Date.now(),
+    size: await getDirectorySize(repoPath),
+    history: null,
+    credentials
+  };
+  entries.set(entry.key, entry);
+  return entry;
+}
+
+/**
+ * Acquire a workspace checked out at the current head of a branch.
+ * The workspace stays on disk while acquired and must be released when
+ * the caller is done with it; idle workspaces are kept for reuse until
+ * evicted.
+ * @param {string} repoUrl - Git repository URL
+ * @param {string} branch - Branch name
+ * @param {AbortSignal} [signal] - Aborts cloning or fetching; partial clones are removed
+ * @param {Object|null} [credentials] - Credentials for private repositories ({kind, username, secret})
+ * @returns {Promise<{repoUrl: string, branch: string, sha: string, repoPath: string, ensureHistory: Function, createScratchCheckout: Function, release: Function}>} Workspace handle
+ */
+export async function acquireWorkspace(repoUrl, branch, signal, credentials = null) {
+  await ensureCacheRoot();
+
+  const pendingKey = `${repoUrl}#${branch}`;
+  while (pending.has(pendingKey)) {
+    await pending.get(pendingKey).catch(() => {});
+    signal?.throwIfAborted();
+  }
+
+  const loading = (async () => {
+    const sha = await resolveRemoteSha(repoUrl, branch, credentials, signal);
+    const entry = await loadEntry(repoUrl, branch, sha, credentials, signal);
+    entry.refCount++;
+    entry.lastUsed = Date.now();
+    return entry;
+  })();
+
+  pending.set(pendingKey, loading);
+  let entry;
+  try {
+    entry = await loading;
+  } finally {
+    pending.delete(pendingKey);
+  }
+
+  await evictWorkspaces();
+
+  let released = false;
+  return {
+    repoUrl,
+    branch,
+    sha: entry.sha,
+    repoPath: entry.repoPath,
+    ensureHistory: () => ensureHistory(entry),
+    createScratchCheckout: () => createScratchCheckout(entry),
+    release: () => {
+      if (released) return;
+      released = true;
+      entry.refCount--;
+      entry.lastUsed = Date.now();
+      evictWorkspaces().catch(error => {
+        console.warn('Warning: Failed to evict workspaces:', error.message);
+      });
+    }
+  };
+}
@@ -0,0 +1,126 @@
+import { scrypt, randomBytes, createHash, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { getUserByTokenHash } from '../db/database.js';
+
+const scryptAsync = promisify(scrypt);
+
+const KEY_LENGTH = 64;
+const TOKEN_PREFIX = 'hiya_';
+
+/**
+ * Hash a password for storage
+ * @param {string} password - Password
+ * @returns {Promise<string>} Encoded hash (scrypt:<salt>:<hash>)
+ */
+export async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const hash = await scryptAsync(password, salt, KEY_LENGTH);
+  return `scrypt:${salt.toString('base64')}:${hash.toString('base64')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Password to check
+ * @param {string} encoded - Encoded hash from hashPassword()
+ * @returns {Promise<boolean>} True if the password matches
+ */
+export async function verifyPassword(password, encoded) {
+  const [scheme, salt, hash] = encoded.split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scryptAsync(password, Buffer.from(salt, 'base64'), expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+/**
+ * Generate a new API token. Only its hash is stored.
+ * @returns {{token: string, tokenHash: string}} Token and its hash
+ */
+export function generateToken() {
+  const token = TOKEN_PREFIX + randomBytes(32).toString('base64url');
+  return { token, tokenHash: hashToken(token) };
+}
+
+/**
+ * Hash an API token for storage and lookup
+ * @param {string} token - API token
+ * @returns {string} SHA-256 hash (hex)
+ */
+export function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Read the bearer token from request headers
+ * @param {Object} headers - HTTP request headers
+ * @returns {string|null} Token or null if there is none
+ */
+export function getBearerToken(headers) {
+  const match = (headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Find the user a bearer token belongs to
+ * @param {string|null} token - API token
+ * @returns {Promise<Object|null>} User ({id, username}) or null if the token is missing or not valid
+ */
+export async function authenticateToken(token) {
+  if (!token || !token.startsWith(TOKEN_PREFIX)) {
+    return null;
+  }
+  return getUserByTokenHash(hashToken(token));
+}
+
+/**
+ * Express middleware that requires a valid API token and sets req.user
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next handler
+ */
+export async function requireAuth(req, res, next) {
+  try {
+    const user = await authenticateToken(getBearerToken(req.headers));
+    if (!user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'A valid API token is required. Sign in with POST /api/auth/login.'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Error in requireAuth:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * WebSocket verifyClient callback that accepts only connections with a
+ * valid API token in the Authorization header and attaches the user to
+ * the upgrade request
+ * @param {Object} info - Upgrade info with req
+ * @param {Function} callback - Called with (accepted, statusCode, message)
+ */
+export function verifyWebSocketClient(info, callback) {
+  authenticateToken(getBearerToken(info.req.headers))
+    .then(user => {
+      if (!user) {
+        callback(false, 401, 'Unauthorized');
+        return;
+      }
+      info.req.user = user;
+      callback(true);
+    })
+    .catch(error => {
+      console.error('Error verifying WebSocket client:', error.message);
+      callback(false, 500, 'Internal Server Error');
+    });
+}
@@ -1,144 +1,158 @@
-import pg from 'pg';
-const { Pool } = pg;
+/**
+ * Storage for transcripts, generation runs, repositories, users and
+ * conversation sessions. The functions exported here forward to the store
+ * selected by DB_DRIVER:
+ * - postgres (default): PostgreSQL, see postgresStore.js
+ * - file: a JSON file for local development and tests, see fileStore.js
+ *
+ * Every store implements all of the methods below with the same results.
+ * A new table gets its functions added here and in both stores.
+ */
+import { fileURLToPath } from 'url';
+import { createPostgresStore } from './postgresStore.js';
+import { createFileStore } from './fileStore.js';
+
+const DEFAULT_DB_FILE = fileURLToPath(new URL('../../data/store.json', import.meta.url));
+
+// Names of the methods every store must implement, collected by delegate()
+const storeMethods = [];
 
-let pool = null;
+let store = null;
 
 /**
- * Initialize database connection pool
- * @param {string} connectionString - PostgreSQL connection string
- * @returns {Promise<void>}
+ * Create the store selected by environment configuration
+ * @param {Object} env - Environment variables
+ * @returns {Object} Store with connect(), close() and the methods listed below
  */
-export async function connectDatabase(connectionString) {
-  if (pool) {
-    console.log('Database connection pool already exists');
-    return;
-  }
+export function createStore(env = process.env) {
+  const driver = env.DB_DRIVER || 'postgres';
+
+  switch (driver) {
+    case 'postgres': {
+      const { POSTGRES_USER, POSTGRES_PASSWORD, DB_HOST, DB_PORT, POSTGRES_DB } = env;
+      return createPostgresStore({
+        connectionString: `postgresql://${POSTGRES_USER}:${POSTGRES_PASSWORD}@${DB_HOST}:${DB_PORT}/${POSTGRES_DB}`
+      });
+    }
 
-  try {
-    pool = new Pool({
-      connectionString,
-    });
-
-    // Test the connection
-    const client = await pool.connect();
-    console.log('Connected to PostgreSQL database');
-    client.release();
-  } catch (error) {
-    console.error('Error connecting to database:', error);
-    throw error;
+    case 'file':
+      return createFileStore({ filePath: env.DB_FILE || DEFAULT_DB_FILE });
+
+    default:
+      throw new Error(`Unknown database driver: ${driver}`);
   }
 }
 
 /**
- * Get the database connection pool
- * @returns {Pool}
+ * Connect to the database
+ * @param {Object} [newStore] - Store to use (default: the one configured by the environment)
+ * @returns {Promise<void>}
  */
-export function getPool() {
-  if (!pool) {
-    throw new Error('Database not connected. Call connectDatabase() first.');
+export async function connectDatabase(newStore = createStore()) {
+  if (store) {
+    console.log('Database already connected');
+    return;
   }
-  return pool;
-}
 
-/**
- * Save a new transcription to the database
- * @param {string} gitRepo - Git repository URL or identifier
- * @param {string} username - Username
- * @param {string} branch - Git branch name
- * @param {string} transcription - The transcribed text
- * @param {string} timestamp - ISO timestamp string (optional, defaults to now)
- * @returns {Promise<Object>} The inserted record
- */
-export async function putTranscription(gitRepo, username, branch, transcription, timestamp = null) {
-  const pool = getPool();
-  const ts = timestamp || new Date().toISOString();
-
-  const query = `
-    INSERT INTO user_transcripts (git_repo, username, branch, timestamp, transcription)
-    VALUES ($1, $2, $3, $4, $5)
-    RETURNING *
-  `;
-
-  try {
-    const result = await pool.query(query, [gitRepo, username, branch, ts, transcription]);
-    console.log(`[putTranscription] Saved: ${transcription.substring(0, 50)}...`);
-    return result.rows[0];
-  } catch (error) {
-    console.error('Error saving transcription:', error);
-    throw error;
+  const missing = storeMethods.filter(name => typeof newStore[name] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`The ${newStore.name} store does not implement ${missing.join(', ')}`);
   }
+
+  await newStore.connect();
+  store = newStore;
 }
 
 /**
- * Get all transcriptions for a git repo, username, and branch after a certain timestamp
- * @param {string} gitRepo - Git repository URL or identifier
- * @param {string} username - Username
- * @param {string} branch - Git branch name
- * @param {string} afterTimestamp - ISO timestamp string (optional)
- * @returns {Promise<Array>} Array of transcription records
+ * Close the database connection, waiting for pending writes
+ * @returns {Promise<void>}
  */
-export async function getTranscriptions(gitRepo, username, branch, afterTimestamp = null) {
-  const pool = getPool();
-  const params = [gitRepo, username, branch];
-  
-  let query = `
-    SELECT git_repo, username, branch, timestamp, transcription
-    FROM user_transcripts
-    WHERE git_repo = $1 AND username = $2 AND branch = $3
-  `;
-  
-  if (afterTimestamp) {
-    params.push(afterTimestamp);
-    query += ` AND timestamp > $4`;
-  }
-  
-  query += ` ORDER BY timestamp ASC`;
-
-  try {
-    const result = await pool.query(query, params);
-    return result.rows;
-  } catch (error) {
-    console.error('Error getting transcriptions:', error);
-    throw error;
+export async function closeDatabase() {
+  if (store) {
+    const closing = store;
+    store = null;
+    await closing.close();
   }
 }
 
 /**
- * Get transcriptions from the last N minutes for a git repo, username, and branch
- * @param {string} gitRepo - Git repository URL or identifier
- * @param {string} username - Username
- * @param {string} branch - Git branch name
- * @param {number} minutesAgo - Number of minutes to look back (default: 60)
- * @returns {Promise<Array>} Array of transcription records
+ * Get the connected store
+ * @returns {Object} Store
  */
-export async function getRecentTranscriptions(gitRepo, username, branch, minutesAgo = 60) {
-  const cutoffTime = new Date(Date.now() - minutesAgo * 60 * 1000).toISOString();
-  return getTranscriptions(gitRepo, username, branch, cutoffTime);
+function getStore() {
+  if (!store) {
+    throw new Error('Database not connected. Call connectDatabase() first.');
+  }
+  return store;
 }
 
 /**
- * Get transcriptions from the last N minutes for a git repo and branch (all users)
- * @param {string} gitRepo - Git repository URL or identifier
- * @param {string} branch - Git branch name
- * @param {number} minutesAgo - Number of minutes to look back (default: 60)
- * @returns {Promise<Array>} Array of transcription records
+ * Create a function that forwards to a method of the connected store
+ * @param {string} name - Store method name
+ * @returns {Function} Forwarding function
  */
-export async function getRecentTranscriptionsForBranch(gitRepo, branch, minutesAgo = 60) {
-  const pool = getPool();
-  const cutoffTime = new Date(Date.now() - minutesAgo * 60 * 1000).toISOString();
-
-  const query = `
-    SELECT git_repo, username, branch, timestamp, transcription
-    FROM user_transcripts
-    WHERE git_repo = $1 AND branch = $2 AND timestamp > $3
-    ORDER BY timestamp ASC
-  `;
-
-  try {
-    const result = await pool.query(query, [gitRepo, branch, cutoffTime]);
-    return result.rows;
-  } catch (error) {
-    console.error('Error getting recent transcriptions for branch:', error);
-    throw error;
-  }
+function delegate(name) {
+  storeMethods.push(name);
+  return (...args) => getStore()[name](...args);
 }
+
+// Transcriptions (user_transcripts)
+export const putTranscription = delegate('putTranscription');
+export const getTranscriptions = delegate('getTranscriptions');
+export const getRecentTranscriptions = delegate('getRecentTranscriptions');
+export const getRecentTranscriptionsForBranch = delegate('getRecentTranscriptionsForBranch');
+export const getSessionTranscriptions = delegate('getSessionTranscriptions');
+export const getTranscriptionsByIds = delegate('getTranscriptionsByIds');
+export const listTranscriptions = delegate('listTranscriptions');
+export const searchTranscriptions = delegate('searchTranscriptions');
+export const getTranscription = delegate('getTranscription');
+export const updateTranscription = delegate('updateTranscription');
+export const deleteTranscription = delegate('deleteTranscription');
+export const setTranscriptionAudio = delegate('setTranscriptionAudio');
+
+// Code generation runs (generation_runs)
+export const createGenerationRun = delegate('createGenerationRun');
+export const finishGenerationRun = delegate('finishGenerationRun');
+export const listGenerationRuns = delegate('listGenerationRuns');
+export const getGenerationRun = delegate('getGenerationRun');
+export const getLastCompletedGenerationRun = delegate('getLastCompletedGenerationRun');
+export const listGenerationRunsBetween = delegate('listGenerationRunsBetween');
+
+// Clone credentials (repo_credentials)
+export const putRepoCredential = delegate('putRepoCredential');
+export const getRepoCredential = delegate('getRepoCredential');
+export const deleteRepoCredential = delegate('deleteRepoCredential');
+
+// Repositories (repos)
+export const createRepo = delegate('createRepo');
+export const getRepo = delegate('getRepo');
+export const getRepoByCanonicalUrl = delegate('getRepoByCanonicalUrl');
+
+// Users and API tokens (users, api_tokens)
+export const createUser = delegate('createUser');
+export const getUserByUsername = delegate('getUserByUsername');
+export const createApiToken = delegate('createApiToken');
+export const getUserByTokenHash = delegate('getUserByTokenHash');
+export const revokeApiToken = delegate('revokeApiToken');
+
+// Repository membership (repo_members)
+export const putRepoMember = delegate('putRepoMember');
+export const getRepoMemberRole = delegate('getRepoMemberRole');
+export const listRepoMembers = delegate('listRepoMembers');
+export const deleteRepoMember = delegate('deleteRepoMember');
+
+// Conversation sessions (conversation_sessions)
+export const createSession = delegate('createSession');
+export const getSession = delegate('getSession');
+export const getOpenSession = delegate('getOpenSession');
+export const listSessions = delegate('listSessions');
+export const renameSession = delegate('renameSession');
+export const endSession = delegate('endSession');
+
+// Retention and hard deletion
+export const setRepoRetention = delegate('setRepoRetention');
+export const listReposWithRetention = delegate('listReposWithRetention');
+export const purgeExpiredTranscriptions = delegate('purgeExpiredTranscriptions');
+export const deleteUserTranscriptions = delegate('deleteUserTranscriptions');
+export const deleteUser = delegate('deleteUser');
+export const deleteRepoConversationData = delegate('deleteRepoConversationData');
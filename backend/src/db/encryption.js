@@ -0,0 +1,68 @@
+import { createCipheriv, createDecipheriv, randomBytes } from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const FORMAT_VERSION = 'v1';
+
+/**
+ * Read the encryption key from CREDENTIALS_ENCRYPTION_KEY, given as 64 hex
+ * characters or as base64 of 32 bytes
+ * @returns {Buffer} 32-byte key
+ * @throws {Error} If the key is missing or has the wrong length
+ */
+function getEncryptionKey() {
+  const value = process.env.CREDENTIALS_ENCRYPTION_KEY;
+  if (!value) {
+    throw new Error('CREDENTIALS_ENCRYPTION_KEY is not set');
+  }
+
+  const key = /^[0-9a-fA-F]{64}$/.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    throw new Error('CREDENTIALS_ENCRYPTION_KEY must be 32 bytes (64 hex characters or base64)');
+  }
+  return key;
+}
+
+/**
+ * Encrypt a secret for storage. The context (e.g. the repository URL) is
+ * authenticated but not stored, so a ciphertext only decrypts for the
+ * record it was written for.
+ * @param {string} plaintext - Secret to encrypt
+ * @param {string} context - Value the ciphertext is bound to
+ * @returns {string} Encoded ciphertext
+ */
+export function encryptSecret(plaintext, context) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv(ALGORITHM, getEncryptionKey(), iv);
+  cipher.setAAD(Buffer.from(context, 'utf-8'));
+
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf-8'), cipher.final()]);
+  return [FORMAT_VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map(part => (typeof part === 'string' ? part : part.toString('base64')))
+    .join(':');
+}
+
+/**
+ * Decrypt a secret written by encryptSecret()
+ * @param {string} encoded - Encoded ciphertext
+ * @param {string} context - Value the ciphertext was bound to
+ * @returns {string} Secret
+ * @throws {Error} If the ciphertext is malformed, was tampered with or the key is wrong
+ */
+export function decryptSecret(encoded, context) {
+  const [version, iv, tag, ciphertext] = encoded.split(':');
+  if (version !== FORMAT_VERSION || !ciphertext) {
+    throw new Error('Unsupported encrypted secret format');
+  }
+
+  try {
+    const decipher = createDecipheriv(ALGORITHM, getEncryptionKey(), Buffer.from(iv, 'base64'));
+    decipher.setAAD(Buffer.from(context, 'utf-8'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf-8');
+  } catch (error) {
+    if (error.message.startsWith('CREDENTIALS_ENCRYPTION_KEY')) {
+      throw error;
+    }
+    throw new Error('Failed to decrypt secret; the encryption key may have changed');
+  }
+}
@@ -0,0 +1,998 @@
+/**
+ * File store: keeps all tables in memory and writes them to one JSON file
+ * after every change, so the backend runs without PostgreSQL. Meant for
+ * local development and tests; only one server process may use a file.
+ *
+ * Records have the same columns and types as the PostgreSQL store returns:
+ * timestamps are Date objects, BIGSERIAL ids are strings and SERIAL ids
+ * numbers. Full-text search matches words with a simple English stemmer
+ * and ranks by the number of matches.
+ */
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+
+// Tables and their id sequences. Tables added later start out empty in
+// existing files.
+const TABLES = [
+  'user_transcripts',
+  'generation_runs',
+  'repo_credentials',
+  'repos',
+  'users',
+  'api_tokens',
+  'repo_members',
+  'conversation_sessions'
+];
+
+// Columns added to existing tables later, with the value their migrations
+// give existing rows
+const COLUMN_DEFAULTS = {
+  user_transcripts: { redactions: [], audio_file: null },
+  generation_runs: { redactions: [] },
+  repos: { retention_days: null, retention_mode: 'all' }
+};
+
+// Tables with BIGSERIAL ids, which PostgreSQL returns as strings
+const BIGINT_ID_TABLES = new Set(['user_transcripts', 'conversation_sessions']);
+
+// Columns stored as ISO strings and returned as Date objects
+const TIMESTAMP_COLUMNS = new Set([
+  'timestamp',
+  'updated_at',
+  'transcripts_until',
+  'started_at',
+  'completed_at',
+  'created_at',
+  'last_used_at',
+  'expires_at',
+  'revoked_at',
+  'ended_at'
+]);
+
+const TRANSCRIPTION_COLUMNS = ['id', 'git_repo', 'username', 'branch', 'timestamp', 'transcription', 'updated_at', 'original_transcription', 'session_id', 'redactions', 'audio_file'];
+const CONVERSATION_COLUMNS = ['id', 'git_repo', 'username', 'branch', 'timestamp', 'transcription'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Words PostgreSQL's English configuration leaves out of search vectors
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'had', 'has', 'have',
+  'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'our',
+  'so', 'that', 'the', 'their', 'then', 'there', 'these', 'they', 'this', 'to', 'was', 'we',
+  'were', 'will', 'with', 'you', 'your'
+]);
+
+// Longest headline, like MaxWords in the PostgreSQL store
+const HEADLINE_MAX_WORDS = 30;
+
+// Text PostgreSQL's parser reads as an HTML tag or comment, which it leaves
+// out of search vectors and headlines
+const TAG_PATTERN = /<(?:!--[\s\S]*?--|\/?[a-z][^<>]*)>/gi;
+
+// Every request checks a token, so its last use is only written (which
+// rewrites the whole file) when the stored value is older than this
+const TOKEN_LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Convert a timestamp to the stored ISO form
+ * @param {Date|string|null} value - Timestamp
+ * @returns {string|null} ISO timestamp
+ */
+function toIso(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+/**
+ * Get the time of a timestamp in milliseconds
+ * @param {Date|string} value - Timestamp
+ * @returns {number} Milliseconds since the epoch
+ */
+function toTime(value) {
+  return new Date(value).getTime();
+}
+
+/**
+ * Copy a stored row as a record: timestamps become Date objects
+ * @param {Object} row - Stored row
+ * @param {Array<string>} [columns] - Columns to return (default: all)
+ * @returns {Object} Record
+ */
+function toRecord(row, columns = Object.keys(row)) {
+  const record = {};
+  for (const column of columns) {
+    const value = row[column] ?? null;
+    if (TIMESTAMP_COLUMNS.has(column) && value !== null) {
+      record[column] = new Date(value);
+    } else {
+      record[column] = value !== null && typeof value === 'object' ? structuredClone(value) : value;
+    }
+  }
+  return record;
+}
+
+/**
+ * Compare rows by timestamp column and id
+ * @param {string} column - Timestamp column
+ * @returns {Function} Comparator, oldest first
+ */
+function byTime(column) {
+  return (a, b) => toTime(a[column]) - toTime(b[column]) || Number(a.id) - Number(b.id);
+}
+
+/**
+ * Reduce a word to the form it is matched by
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+function stem(word) {
+  let base = word.replace(/'s$/, '');
+  for (const suffix of ['ies', 'ing', 'ed', 'er', 'es', 's']) {
+    if (base.endsWith(suffix) && base.length - suffix.length >= 3) {
+      base = base.slice(0, -suffix.length) + (suffix === 'ies' ? 'i' : '');
+      break;
+    }
+  }
+  // retry and retries both become retri
+  return base.length > 3 && base.endsWith('y') ? base.slice(0, -1) + 'i' : base;
+}
+
+/**
+ * Split text into searchable words
+ * @param {string} text - Text
+ * @returns {Array<string>} Stems, stop words and tags left out
+ */
+function toStems(text) {
+  return (text.replace(TAG_PATTERN, ' ').toLowerCase().match(/[\p{L}\p{N}']+/gu) || [])
+    .filter(word => !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+/**
+ * Parse a query in web search syntax: words, "quoted phrases", OR between
+ * alternatives and -excluded words or phrases
+ * @param {string} query - Search query
+ * @returns {Array<Array<Object>>} Clauses that must all match, each a list of alternatives ({ stems, negated })
+ */
+function parseSearchQuery(query) {
+  const clauses = [];
+  let orPending = false;
+
+  for (const [, negation, phrase, word] of query.matchAll(/(-?)(?:"([^"]*)"?|(\S+))/g)) {
+    if (!negation && word && word.toLowerCase() === 'or') {
+      orPending = clauses.length > 0;
+      continue;
+    }
+
+    const stems = toStems(phrase ?? word);
+    if (stems.length === 0) {
+      continue;
+    }
+
+    const term = { stems, negated: negation === '-' };
+    if (orPending) {
+      clauses[clauses.length - 1].push(term);
+    } else {
+      clauses.push([term]);
+    }
+    orPending = false;
+  }
+
+  return clauses;
+}
+
+/**
+ * Count the occurrences of a word sequence
+ * @param {Array<string>} haystack - Stems of a transcription
+ * @param {Array<string>} needle - Stems of a word or phrase
+ * @returns {number} Number of occurrences
+ */
+function countOccurrences(haystack, needle) {
+  let count = 0;
+  for (let i = 0; i + needle.length <= haystack.length; i++) {
+    if (needle.every((word, offset) => haystack[i + offset] === word)) {
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Match a transcription against a parsed query
+ * @param {string} text - Transcription text
+ * @param {Array<Array<Object>>} clauses - Parsed query
+ * @returns {Object|null} { rank, stems } with the matched stems, or null if the text does not match
+ */
+function matchSearchQuery(text, clauses) {
+  const stems = toStems(text);
+  const matched = new Set();
+  let hits = 0;
+
+  for (const alternatives of clauses) {
+    let clauseMatches = false;
+    for (const term of alternatives) {
+      const count = countOccurrences(stems, term.stems);
+      if (term.negated ? count === 0 : count > 0) {
+        clauseMatches = true;
+      }
+      if (!term.negated && count > 0) {
+        hits += count;
+        term.stems.forEach(word => matched.add(word));
+      }
+    }
+    if (!clauseMatches) {
+      return null;
+    }
+  }
+
+  return hits > 0 ? { rank: hits / (hits + 1), stems: matched } : null;
+}
+
+/**
+ * Build a headline: the text around the first match without tags, matched
+ * words marked
+ * @param {string} text - Transcription text
+ * @param {Set<string>} matched - Matched stems
+ * @param {string} startSel - Marker inserted before each highlighted word
+ * @param {string} stopSel - Marker inserted after each highlighted word
+ * @returns {string} Headline
+ */
+function buildHeadline(text, matched, startSel, stopSel) {
+  const words = text.replace(TAG_PATTERN, ' ').split(/\s+/).filter(Boolean);
+  const isMatch = word => {
+    const [stemmed] = toStems(word);
+    return stemmed !== undefined && matched.has(stemmed);
+  };
+
+  const first = Math.max(words.findIndex(isMatch), 0);
+  const start = words.length > HEADLINE_MAX_WORDS ? Math.min(first, words.length - HEADLINE_MAX_WORDS) : 0;
+
+  return words
+    .slice(start, start + HEADLINE_MAX_WORDS)
+    .map(word => isMatch(word)
+      ? word.replace(/[\p{L}\p{N}']+/u, match => startSel + match + stopSel)
+      : word)
+    .join(' ');
+}
+
+/**
+ * Create the file store
+ * @param {Object} config - Store configuration
+ * @param {string} config.filePath - Path of the JSON file, created if missing
+ * @returns {Object} Store with the methods listed in database.js
+ */
+export function createFileStore({ filePath }) {
+  let data = null;
+  // Writes are chained so the file is never written by two at once
+  let saving = Promise.resolve();
+
+  /**
+   * Load the file, or start with empty tables if it does not exist yet
+   * @returns {Promise<void>}
+   */
+  async function connect() {
+    let stored = {};
+    try {
+      stored = JSON.parse(await readFile(filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error reading database file ${filePath}:`, error);
+        throw error;
+      }
+      await mkdir(dirname(filePath), { recursive: true });
+    }
+
+    data = { sequences: {}, ...stored };
+    for (const table of TABLES) {
+      data[table] = (data[table] || []).map(row => ({ ...structuredClone(COLUMN_DEFAULTS[table]), ...row }));
+      data.sequences[table] = data.sequences[table] || 0;
+    }
+    console.log(`Using database file ${filePath}`);
+  }
+
+  /**
+   * Wait for pending writes
+   * @returns {Promise<void>}
+   */
+  async function close() {
+    await saving;
+  }
+
+  /**
+   * Write the tables to the file. The file is replaced in one step, so a
+   * crash leaves the previous version.
+   * @returns {Promise<void>}
+   */
+  function save() {
+    const json = JSON.stringify(data);
+    const write = saving.then(async () => {
+      await writeFile(`${filePath}.tmp`, json);
+      await rename(`${filePath}.tmp`, filePath);
+    });
+    saving = write.catch(() => {});
+    return write.catch(error => {
+      console.error(`Error writing database file ${filePath}:`, error);
+      throw error;
+    });
+  }
+
+  /**
+   * Get the rows of a table
+   * @param {string} table - Table name
+   * @returns {Array<Object>} Stored rows
+   */
+  function rows(table) {
+    if (!data) {
+      throw new Error('Database not connected. Call connectDatabase() first.');
+    }
+    return data[table];
+  }
+
+  /**
+   * Insert a row with the next id of its table
+   * @param {string} table - Table name
+   * @param {Object} row - Row without id
+   * @returns {Object} Stored row
+   */
+  function insertWithId(table, row) {
+    const id = ++data.sequences[table];
+    const stored = { id: BIGINT_ID_TABLES.has(table) ? String(id) : id, ...row };
+    rows(table).push(stored);
+    return stored;
+  }
+
+  /**
+   * Find a row by id
+   * @param {string} table - Table name
+   * @param {string|number} id - Row ID
+   * @returns {Object|undefined} Stored row
+   */
+  function findById(table, id) {
+    return rows(table).find(row => String(row.id) === String(id));
+  }
+
+  /**
+   * Remove the rows of a table that match a condition
+   * @param {string} table - Table name
+   * @param {Function} predicate - Condition
+   * @returns {number} Number of removed rows
+   */
+  function removeWhere(table, predicate) {
+    const kept = rows(table).filter(row => !predicate(row));
+    const removed = data[table].length - kept.length;
+    data[table] = kept;
+    return removed;
+  }
+
+  /**
+   * Delete the transcriptions of a user and their copies in generation runs
+   * @param {string} username - Username
+   * @param {string|null} gitRepo - Limit to one git repository, or null for all
+   * @returns {{transcripts: number, runs: number, audioFiles: Array<string>}} Number of deleted transcriptions and changed runs, and their audio files
+   */
+  function removeUserTranscriptions(username, gitRepo) {
+    const inRepo = row => gitRepo === null || row.git_repo === gitRepo;
+    const { count: transcripts, audioFiles } = removeTranscriptionsWhere(row => row.username === username && inRepo(row));
+
+    let changed = 0;
+    for (const run of rows('generation_runs').filter(inRepo)) {
+      const kept = run.transcripts.filter(transcript => transcript.username !== username);
+      if (kept.length < run.transcripts.length) {
+        run.transcripts = kept;
+        changed++;
+      }
+    }
+    return { transcripts, runs: changed, audioFiles };
+  }
+
+  /**
+   * Delete transcriptions and collect their archived audio files
+   * @param {Function} predicate - Selects the rows to delete
+   * @returns {{count: number, audioFiles: Array<string>}} Number of deleted rows and their audio files
+   */
+  function removeTranscriptionsWhere(predicate) {
+    const audioFiles = rows('user_transcripts')
+      .filter(row => predicate(row) && row.audio_file)
+      .map(row => row.audio_file);
+    return { count: removeWhere('user_transcripts', predicate), audioFiles };
+  }
+
+  // The methods below return the same records as those of postgresStore.js,
+  // where they are documented
+
+  async function putTranscription(gitRepo, username, branch, transcription, timestamp = null, redactions = []) {
+    const openSession = rows('conversation_sessions')
+      .find(session => session.git_repo === gitRepo && session.branch === branch && !session.ended_at);
+
+    const row = insertWithId('user_transcripts', {
+      git_repo: gitRepo,
+      username,
+      branch,
+      timestamp: toIso(timestamp || new Date()),
+      transcription,
+      updated_at: null,
+      original_transcription: null,
+      session_id: openSession?.id ?? null,
+      redactions: structuredClone(redactions),
+      audio_file: null
+    });
+    await save();
+    console.log(`[putTranscription] Saved: ${transcription.substring(0, 50)}...`);
+    return toRecord(row, TRANSCRIPTION_COLUMNS);
+  }
+
+  async function getTranscriptions(gitRepo, username, branch, afterTimestamp = null) {
+    return rows('user_transcripts')
+      .filter(row => row.git_repo === gitRepo && row.username === username && row.branch === branch)
+      .filter(row => !afterTimestamp || toTime(row.timestamp) > toTime(afterTimestamp))
+      .sort(byTime('timestamp'))
+      .map(row => toRecord(row, CONVERSATION_COLUMNS));
+  }
+
+  async function getRecentTranscriptions(gitRepo, username, branch, minutesAgo = 60) {
+    const cutoffTime = new Date(Date.now() - minutesAgo * 60 * 1000).toISOString();
+    return getTranscriptions(gitRepo, username, branch, cutoffTime);
+  }
+
+  async function getRecentTranscriptionsForBranch(gitRepo, branch, minutesAgo = 60, afterTimestamp = null) {
+    const cutoffTime = Date.now() - minutesAgo * 60 * 1000;
+    return rows('user_transcripts')
+      .filter(row => row.git_repo === gitRepo && row.branch === branch && toTime(row.timestamp) > cutoffTime)
+      .filter(row => !afterTimestamp || toTime(row.timestamp) > toTime(afterTimestamp))
+      .sort(byTime('timestamp'))
+      .map(row => toRecord(row, CONVERSATION_COLUMNS));
+  }
+
+  async function getSessionTranscriptions(sessionId, afterTimestamp = null) {
+    return rows('user_transcripts')
+      .filter(row => row.session_id === String(sessionId))
+      .filter(row => !afterTimestamp || toTime(row.timestamp) > toTime(afterTimestamp))
+      .sort(byTime('timestamp'))
+      .map(row => toRecord(row, CONVERSATION_COLUMNS));
+  }
+
+  async function getTranscriptionsByIds(gitRepo, branch, ids) {
+    const wanted = new Set(ids.map(String));
+    return rows('user_transcripts')
+      .filter(row => row.git_repo === gitRepo && row.branch === branch && wanted.has(row.id))
+      .sort(byTime('timestamp'))
+      .map(row => toRecord(row, CONVERSATION_COLUMNS));
+  }
+
+  async function listTranscriptions({ gitRepo, branch, username, sessionId, from, to, after, newestFirst = false, limit = 50 }) {
+    const compare = byTime('timestamp');
+    const position = after ? { timestamp: after.timestamp, id: after.id } : null;
+
+    const matching = rows('user_transcripts')
+      .filter(row => row.git_repo === gitRepo)
+      .filter(row => !branch || row.branch === branch)
+      .filter(row => !username || row.username === username)
+      .filter(row => !sessionId || row.session_id === String(sessionId))
+      .filter(row => !from || toTime(row.timestamp) >= toTime(from))
+      .filter(row => !to || toTime(row.timestamp) < toTime(to))
+      .filter(row => !position || (newestFirst ? compare(row, position) < 0 : compare(row, position) > 0))
+      .sort(compare);
+
+    if (newestFirst) {
+      matching.reverse();
+    }
+    return matching
+      .slice(0, limit)
+      .map(row => ({ ...toRecord(row, TRANSCRIPTION_COLUMNS), position: row.timestamp }));
+  }
+
+  async function searchTranscriptions({ gitRepo, query, branch, username, startSel, stopSel, limit = 20, offset = 0 }) {
+    const clauses = parseSearchQuery(query);
+    const results = [];
+
+    for (const row of rows('user_transcripts')) {
+      if (row.git_repo !== gitRepo || (branch && row.branch !== branch) || (username && row.username !== username)) {
+        continue;
+      }
+      const match = clauses.length > 0 ? matchSearchQuery(row.transcription, clauses) : null;
+      if (match) {
+        results.push({ row, match });
+      }
+    }
+
+    const newestFirst = byTime('timestamp');
+    results.sort((a, b) => b.match.rank - a.match.rank || newestFirst(b.row, a.row));
+
+    return results.slice(offset, offset + limit).map(({ row, match }) => ({
+      ...toRecord(row, TRANSCRIPTION_COLUMNS),
+      rank: match.rank,
+      headline: buildHeadline(row.transcription, match.stems, startSel, stopSel)
+    }));
+  }
+
+  async function getTranscription(id) {
+    const row = findById('user_transcripts', id);
+    return row ? toRecord(row, TRANSCRIPTION_COLUMNS) : null;
+  }
+
+  async function updateTranscription(id, transcription, redactions = []) {
+    const row = findById('user_transcripts', id);
+    if (!row) {
+      return null;
+    }
+
+    row.original_transcription = row.original_transcription ?? row.transcription;
+    row.transcription = transcription;
+    row.updated_at = new Date().toISOString();
+    row.redactions = structuredClone(redactions);
+    await save();
+    return toRecord(row, TRANSCRIPTION_COLUMNS);
+  }
+
+  async function deleteTranscription(id) {
+    const removed = removeWhere('user_transcripts', row => row.id === String(id));
+    if (removed > 0) {
+      await save();
+    }
+    return removed > 0;
+  }
+
+  async function setTranscriptionAudio(id, audioFile) {
+    const row = findById('user_transcripts', id);
+    if (!row) {
+      return null;
+    }
+
+    row.audio_file = audioFile;
+    await save();
+    return toRecord(row, TRANSCRIPTION_COLUMNS);
+  }
+
+  async function createGenerationRun({ gitRepo, branch, requestedBy, transcripts, source = 'recent', sessionId = null }) {
+    const transcriptsUntil = transcripts.length > 0 ? transcripts[transcripts.length - 1].timestamp : null;
+
+    const row = insertWithId('generation_runs', {
+      git_repo: gitRepo,
+      branch,
+      requested_by: requestedBy,
+      status: 'running',
+      source,
+      session_id: sessionId === null ? null : String(sessionId),
+      provider: null,
+      model: null,
+      // Stored like JSONB: dates become ISO strings
+      transcripts: JSON.parse(JSON.stringify(transcripts)),
+      transcripts_until: toIso(transcriptsUntil),
+      summary: null,
+      files: [],
+      verification: null,
+      error: null,
+      started_at: new Date().toISOString(),
+      completed_at: null,
+      duration_ms: null,
+      redactions: []
+    });
+    await save();
+    return toRecord(row, ['id', 'git_repo', 'branch', 'requested_by', 'status', 'source', 'session_id', 'started_at']);
+  }
+
+  async function finishGenerationRun(id, { status, provider = null, model = null, summary = null, files = [], verification = null, error = null, redactions = [], durationMs }) {
+    const row = findById('generation_runs', id);
+    if (!row) {
+      return;
+    }
+
+    Object.assign(row, {
+      status,
+      provider,
+      model,
+      summary,
+      files: JSON.parse(JSON.stringify(files)),
+      verification: verification ? JSON.parse(JSON.stringify(verification)) : null,
+      error,
+      completed_at: new Date().toISOString(),
+      duration_ms: durationMs,
+      redactions: structuredClone(redactions)
+    });
+    await save();
+  }
+
+  async function listGenerationRuns(gitRepo, branch, limit = 20) {
+    return rows('generation_runs')
+      .filter(row => row.git_repo === gitRepo && row.branch === branch)
+      .sort(byTime('started_at'))
+      .reverse()
+      .slice(0, limit)
+      .map(row => ({
+        ...toRecord(row, ['id', 'git_repo', 'branch', 'requested_by', 'status', 'source', 'session_id', 'provider', 'model', 'summary']),
+        file_count: row.files.length,
+        ...toRecord(row, ['started_at', 'completed_at', 'duration_ms'])
+      }));
+  }
+
+  async function getGenerationRun(id) {
+    const row = findById('generation_runs', id);
+    return row ? toRecord(row) : null;
+  }
+
+  async function getLastCompletedGenerationRun(gitRepo, branch, sessionId = null) {
+    const [run] = rows('generation_runs')
+      .filter(row => row.git_repo === gitRepo && row.branch === branch && row.status === 'completed')
+      .filter(row => sessionId
+        ? row.source === 'session' && row.session_id === String(sessionId)
+        : row.source === 'recent')
+      .sort(byTime('started_at'))
+      .reverse();
+    return run ? toRecord(run, ['id', 'summary', 'files', 'transcripts_until', 'completed_at']) : null;
+  }
+
+  async function listGenerationRunsBetween({ gitRepo, branch, from, to }) {
+    return rows('generation_runs')
+      .filter(row => row.git_repo === gitRepo && (!branch || row.branch === branch))
+      .filter(row => toTime(row.started_at) >= toTime(from) && toTime(row.started_at) < toTime(to))
+      .sort(byTime('started_at'))
+      .map(row => ({
+        ...toRecord(row, ['id', 'git_repo', 'branch', 'requested_by', 'status', 'source', 'session_id', 'summary']),
+        changed_files: row.files.map(file => file.filename),
+        ...toRecord(row, ['started_at', 'completed_at'])
+      }));
+  }
+
+  async function putRepoCredential(gitRepo, { kind, username = null, encryptedSecret }) {
+    const now = new Date().toISOString();
+    let row = rows('repo_credentials').find(credential => credential.git_repo === gitRepo);
+
+    if (row) {
+      Object.assign(row, { kind, username, encrypted_secret: encryptedSecret, updated_at: now });
+    } else {
+      row = { git_repo: gitRepo, kind, username, encrypted_secret: encryptedSecret, created_at: now, updated_at: now };
+      rows('repo_credentials').push(row);
+    }
+    await save();
+    return toRecord(row, ['git_repo', 'kind', 'username', 'created_at', 'updated_at']);
+  }
+
+  async function getRepoCredential(gitRepo) {
+    const row = rows('repo_credentials').find(credential => credential.git_repo === gitRepo);
+    return row ? toRecord(row) : null;
+  }
+
+  async function deleteRepoCredential(gitRepo) {
+    const removed = removeWhere('repo_credentials', credential => credential.git_repo === gitRepo);
+    if (removed > 0) {
+      await save();
+    }
+    return removed > 0;
+  }
+
+  async function createRepo({ id, url, canonicalUrl, defaultBranch, createdBy }) {
+    const existing = await getRepoByCanonicalUrl(canonicalUrl);
+    if (existing) {
+      return { repo: existing, created: false };
+    }
+
+    const row = {
+      id,
+      url,
+      canonical_url: canonicalUrl,
+      default_branch: defaultBranch,
+      created_by: createdBy,
+      created_at: new Date().toISOString(),
+      retention_days: null,
+      retention_mode: 'all'
+    };
+    rows('repos').push(row);
+    await save();
+    return { repo: toRecord(row), created: true };
+  }
+
+  async function getRepo(id) {
+    if (!UUID_PATTERN.test(id || '')) {
+      return null;
+    }
+    const row = rows('repos').find(repo => repo.id.toLowerCase() === id.toLowerCase());
+    return row ? toRecord(row) : null;
+  }
+
+  async function getRepoByCanonicalUrl(canonicalUrl) {
+    const row = rows('repos').find(repo => repo.canonical_url === canonicalUrl);
+    return row ? toRecord(row) : null;
+  }
+
+  async function createUser(username, passwordHash) {
+    if (rows('users').some(user => user.username === username)) {
+      return null;
+    }
+
+    const row = insertWithId('users', {
+      username,
+      password_hash: passwordHash,
+      created_at: new Date().toISOString()
+    });
+    await save();
+    return toRecord(row, ['id', 'username', 'created_at']);
+  }
+
+  async function getUserByUsername(username) {
+    const row = rows('users').find(user => user.username === username);
+    return row ? toRecord(row) : null;
+  }
+
+  async function createApiToken(userId, tokenHash, name, expiresAt) {
+    if (rows('api_tokens').some(token => token.token_hash === tokenHash)) {
+      throw new Error('Duplicate API token hash');
+    }
+
+    const row = insertWithId('api_tokens', {
+      user_id: userId,
+      token_hash: tokenHash,
+      name,
+      created_at: new Date().toISOString(),
+      last_used_at: null,
+      expires_at: toIso(expiresAt),
+      revoked_at: null
+    });
+    await save();
+    return toRecord(row, ['id', 'user_id', 'name', 'created_at', 'expires_at']);
+  }
+
+  async function getUserByTokenHash(tokenHash) {
+    const now = new Date();
+    const token = rows('api_tokens').find(row => row.token_hash === tokenHash);
+    const user = token && rows('users').find(row => row.id === token.user_id);
+
+    if (!user || token.revoked_at || (token.expires_at && toTime(token.expires_at) <= now.getTime())) {
+      return null;
+    }
+
+    if (!token.last_used_at || now.getTime() - toTime(token.last_used_at) >= TOKEN_LAST_USED_RESOLUTION_MS) {
+      token.last_used_at = now.toISOString();
+      await save();
+    }
+    return { id: user.id, username: user.username };
+  }
+
+  async function revokeApiToken(tokenHash) {
+    const token = rows('api_tokens').find(row => row.token_hash === tokenHash && !row.revoked_at);
+    if (!token) {
+      return false;
+    }
+
+    token.revoked_at = new Date().toISOString();
+    await save();
+    return true;
+  }
+
+  async function putRepoMember(repoId, userId, role) {
+    const member = rows('repo_members').find(row => row.repo_id === repoId && row.user_id === userId);
+    if (member) {
+      member.role = role;
+    } else {
+      rows('repo_members').push({ repo_id: repoId, user_id: userId, role, created_at: new Date().toISOString() });
+    }
+    await save();
+  }
+
+  async function getRepoMemberRole(repoId, userId) {
+    const member = rows('repo_members').find(row => row.repo_id === repoId && row.user_id === userId);
+    return member?.role || null;
+  }
+
+  async function listRepoMembers(repoId) {
+    return rows('repo_members')
+      .filter(member => member.repo_id === repoId)
+      .map(member => ({
+        username: rows('users').find(user => user.id === member.user_id)?.username,
+        role: member.role,
+        created_at: new Date(member.created_at)
+      }))
+      .filter(member => member.username !== undefined)
+      // Owners first, like ORDER BY role DESC, username
+      .sort((a, b) => b.role.localeCompare(a.role) || a.username.localeCompare(b.username));
+  }
+
+  async function deleteRepoMember(repoId, userId) {
+    const removed = removeWhere('repo_members', row => row.repo_id === repoId && row.user_id === userId);
+    if (removed > 0) {
+      await save();
+    }
+    return removed > 0;
+  }
+
+  async function createSession({ gitRepo, branch, name, startedBy }) {
+    if (await getOpenSession(gitRepo, branch)) {
+      return null;
+    }
+
+    const row = insertWithId('conversation_sessions', {
+      git_repo: gitRepo,
+      branch,
+      name,
+      started_by: startedBy,
+      started_at: new Date().toISOString(),
+      ended_at: null
+    });
+    await save();
+    return toRecord(row);
+  }
+
+  async function getSession(id) {
+    const row = findById('conversation_sessions', id);
+    return row ? toRecord(row) : null;
+  }
+
+  async function getOpenSession(gitRepo, branch) {
+    const row = rows('conversation_sessions')
+      .find(session => session.git_repo === gitRepo && session.branch === branch && !session.ended_at);
+    return row ? toRecord(row) : null;
+  }
+
+  async function listSessions(gitRepo, branch, limit = 20) {
+    return rows('conversation_sessions')
+      .filter(session => session.git_repo === gitRepo && session.branch === branch)
+      .sort(byTime('started_at'))
+      .reverse()
+      .slice(0, limit)
+      .map(session => ({
+        ...toRecord(session),
+        transcript_count: rows('user_transcripts').filter(row => row.session_id === session.id).length
+      }));
+  }
+
+  async function renameSession(id, name) {
+    const row = findById('conversation_sessions', id);
+    if (!row) {
+      return null;
+    }
+
+    row.name = name;
+    await save();
+    return toRecord(row);
+  }
+
+  async function endSession(id) {
+    const row = findById('conversation_sessions', id);
+    if (!row || row.ended_at) {
+      return null;
+    }
+
+    row.ended_at = new Date().toISOString();
+    await save();
+    return toRecord(row);
+  }
+
+  async function setRepoRetention(repoId, { days, mode }) {
+    const row = rows('repos').find(repo => repo.id === repoId);
+    if (!row) {
+      return null;
+    }
+
+    row.retention_days = days;
+    row.retention_mode = mode;
+    await save();
+    return toRecord(row);
+  }
+
+  async function listReposWithRetention() {
+    return rows('repos')
+      .filter(repo => repo.retention_days !== null)
+      .sort((a, b) => toTime(a.created_at) - toTime(b.created_at))
+      .map(repo => toRecord(repo));
+  }
+
+  async function purgeExpiredTranscriptions(gitRepo, before, { unreferencedOnly = false } = {}) {
+    const runs = rows('generation_runs').filter(run => run.git_repo === gitRepo);
+    const referenced = new Set(runs.flatMap(run => run.transcripts.map(transcript => transcript.id)));
+
+    const { count: transcripts, audioFiles } = removeTranscriptionsWhere(row =>
+      row.git_repo === gitRepo
+      && toTime(row.timestamp) < toTime(before)
+      && !(unreferencedOnly && referenced.has(row.id)));
+
+    let cleared = 0;
+    if (!unreferencedOnly) {
+      for (const run of runs) {
+        if (toTime(run.started_at) < toTime(before) && run.transcripts.length > 0) {
+          run.transcripts = [];
+          cleared++;
+        }
+      }
+    }
+
+    if (transcripts > 0 || cleared > 0) {
+      await save();
+    }
+    return { transcripts, runs: cleared, audioFiles };
+  }
+
+  async function deleteUserTranscriptions(username, gitRepo = null) {
+    const deleted = removeUserTranscriptions(username, gitRepo);
+    if (deleted.transcripts > 0 || deleted.runs > 0) {
+      await save();
+    }
+    return deleted;
+  }
+
+  async function deleteUser(username, replacement) {
+    const { audioFiles, ...said } = removeUserTranscriptions(username, null);
+    const rename = (table, column) => {
+      const renamed = rows(table).filter(row => row[column] === username);
+      for (const row of renamed) {
+        row[column] = replacement;
+      }
+      return renamed.length;
+    };
+
+    const user = rows('users').find(row => row.username === username);
+    const deleted = {
+      ...said,
+      requestedRuns: rename('generation_runs', 'requested_by'),
+      startedSessions: rename('conversation_sessions', 'started_by'),
+      tokens: user ? removeWhere('api_tokens', row => row.user_id === user.id) : 0,
+      memberships: user ? removeWhere('repo_members', row => row.user_id === user.id) : 0,
+      audioFiles
+    };
+    rename('repos', 'created_by');
+    removeWhere('users', row => row.username === username);
+
+    await save();
+    return deleted;
+  }
+
+  async function deleteRepoConversationData(gitRepo) {
+    const { count, audioFiles } = removeTranscriptionsWhere(row => row.git_repo === gitRepo);
+    const deleted = {
+      transcripts: count,
+      runs: removeWhere('generation_runs', row => row.git_repo === gitRepo),
+      sessions: removeWhere('conversation_sessions', row => row.git_repo === gitRepo),
+      audioFiles
+    };
+    await save();
+    return deleted;
+  }
+
+  return {
+    name: 'file',
+    connect,
+    close,
+    putTranscription,
+    getTranscriptions,
+    getRecentTranscriptions,
+    getRecentTranscriptionsForBranch,
+    getSessionTranscriptions,
+    getTranscriptionsByIds,
+    listTranscriptions,
+    searchTranscriptions,
+    getTranscription,
+    updateTranscription,
+    deleteTranscription,
+    setTranscriptionAudio,
+    createGenerationRun,
+    finishGenerationRun,
+    listGenerationRuns,
+    getGenerationRun,
+    getLastCompletedGenerationRun,
+    listGenerationRunsBetween,
+    putRepoCredential,
+    getRepoCredential,
+    deleteRepoCredential,
+    createRepo,
+    getRepo,
+    getRepoByCanonicalUrl,
+    createUser,
+    getUserByUsername,
+    createApiToken,
+    getUserByTokenHash,
+    revokeApiToken,
+    putRepoMember,
+    getRepoMemberRole,
+    listRepoMembers,
+    deleteRepoMember,
+    createSession,
+    getSession,
+    getOpenSession,
+    listSessions,
+    renameSession,
+    endSession,
+    setRepoRetention,
+    listReposWithRetention,
+    purgeExpiredTranscriptions,
+    deleteUserTranscriptions,
+    deleteUser,
+    deleteRepoConversationData
+  };
+}
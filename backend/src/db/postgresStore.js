@@ -0,0 +1,1468 @@
+/**
+ * PostgreSQL store. The schema is created and upgraded by the numbered
+ * migrations in postgres/.
+ */
+import pg from 'pg';
+import { readdir, readFile } from 'fs/promises';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { join } from 'path';
+const { Pool } = pg;
+
+// Numbered schema migrations: 001_create_user_transcripts.sql, 002_...
+// A migration may have a .js file of the same name for data changes that
+// need application code; its migrate(client) runs after the SQL.
+const MIGRATIONS_DIR = fileURLToPath(new URL('../../postgres/', import.meta.url));
+const MIGRATION_FILE_PATTERN = /^(\d+)_[\w-]+\.sql$/;
+// Arbitrary key for the advisory lock that serializes concurrent startups
+const MIGRATION_LOCK_KEY = 72756;
+
+// Columns of user_transcripts returned to callers (leaves out search_vector)
+const TRANSCRIPTION_COLUMNS = 'id, git_repo, username, branch, timestamp, transcription, updated_at, original_transcription, session_id, redactions, audio_file';
+
+let pool = null;
+
+/**
+ * Initialize database connection pool
+ * @param {string} connectionString - PostgreSQL connection string
+ * @returns {Promise<void>}
+ */
+async function connect(connectionString) {
+  if (pool) {
+    console.log('Database connection pool already exists');
+    return;
+  }
+
+  try {
+    pool = new Pool({
+      connectionString,
+    });
+
+    // Test the connection
+    const client = await pool.connect();
+    console.log('Connected to PostgreSQL database');
+    client.release();
+
+    await runMigrations(pool);
+  } catch (error) {
+    console.error('Error connecting to database:', error);
+    await pool.end().catch(() => {});
+    pool = null;
+    throw error;
+  }
+}
+
+/**
+ * Read the migration files, ordered by version
+ * @returns {Promise<Array<Object>>} Migrations with version, name, sql and script (URL of the data step, or null)
+ */
+async function loadMigrations() {
+  const migrations = [];
+
+  const files = await readdir(MIGRATIONS_DIR);
+
+  for (const file of files) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) continue;
+
+    const script = file.replace(/\.sql$/, '.js');
+    migrations.push({
+      version: parseInt(match[1], 10),
+      name: file,
+      sql: await readFile(join(MIGRATIONS_DIR, file), 'utf-8'),
+      script: files.includes(script) ? pathToFileURL(join(MIGRATIONS_DIR, script)).href : null
+    });
+  }
+
+  migrations.sort((a, b) => a.version - b.version);
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version: ${migrations[i - 1].name} and ${migrations[i].name}`);
+    }
+  }
+
+  return migrations;
+}
+
+/**
+ * Apply the migrations that are not recorded in schema_migrations yet. All
+ * pending migrations run in one transaction, so a failing migration leaves
+ * the schema unchanged. Migrations 001-005 predate the runner and are
+ * idempotent, so databases created from them are brought up to date too.
+ * @param {Pool} pool - Database connection pool
+ * @returns {Promise<void>}
+ */
+async function runMigrations(pool) {
+  const migrations = await loadMigrations();
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock($1)', [MIGRATION_LOCK_KEY]);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    const result = await client.query('SELECT version FROM schema_migrations');
+    const applied = new Set(result.rows.map(row => row.version));
+    const pending = migrations.filter(migration => !applied.has(migration.version));
+
+    for (const migration of pending) {
+      console.log(`Applying migration ${migration.name}`);
+      await client.query(migration.sql);
+      if (migration.script) {
+        const { migrate } = await import(migration.script);
+        await migrate(client);
+      }
+      await client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    const version = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+    console.log(`Database schema at version ${version} (${pending.length} migration(s) applied)`);
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Error applying database migrations:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Close the database connection pool
+ * @returns {Promise<void>}
+ */
+async function close() {
+  if (pool) {
+    const closing = pool;
+    pool = null;
+    await closing.end();
+  }
+}
+
+/**
+ * Get the database connection pool
+ * @returns {Pool}
+ */
+function getPool() {
+  if (!pool) {
+    throw new Error('Database not connected. Call connectDatabase() first.');
+  }
+  return pool;
+}
+
+/**
+ * Save a new transcription to the database. It belongs to the branch's open
+ * conversation session, if there is one.
+ * @param {string} gitRepo - Git repository URL or identifier
+ * @param {string} username - Username
+ * @param {string} branch - Git branch name
+ * @param {string} transcription - The transcribed text
+ * @param {string} timestamp - ISO timestamp string (optional, defaults to now)
+ * @param {Array<Object>} redactions - Redactions applied to the text, as {rule, count} (optional)
+ * @returns {Promise<Object>} The inserted record
+ */
+async function putTranscription(gitRepo, username, branch, transcription, timestamp = null, redactions = []) {
+  const pool = getPool();
+  const ts = timestamp || new Date().toISOString();
+
+  const query = `
+    INSERT INTO user_transcripts (git_repo, username, branch, timestamp, transcription, session_id, redactions)
+    VALUES ($1, $2, $3, $4, $5, (
+      SELECT id FROM conversation_sessions
+      WHERE git_repo = $1::varchar AND branch = $3::varchar AND ended_at IS NULL
+    ), $6)
+    RETURNING ${TRANSCRIPTION_COLUMNS}
+  `;
+
+  try {
+    const result = await pool.query(query, [gitRepo, username, branch, ts, transcription, JSON.stringify(redactions)]);
+    console.log(`[putTranscription] Saved: ${transcription.substring(0, 50)}...`);
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error saving transcription:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get all transcriptions for a git repo, username, and branch after a certain timestamp
+ * @param {string} gitRepo - Git repository URL or identifier
+ * @param {string} username - Username
+ * @param {string} branch - Git branch name
+ * @param {string} afterTimestamp - ISO timestamp string (optional)
+ * @returns {Promise<Array>} Array of transcription records
+ */
+async function getTranscriptions(gitRepo, username, branch, afterTimestamp = null) {
+  const pool = getPool();
+  const params = [gitRepo, username, branch];
+  
+  let query = `
+    SELECT id, git_repo, username, branch, timestamp, transcription
+    FROM user_transcripts
+    WHERE git_repo = $1 AND username = $2 AND branch = $3
+  `;
+  
+  if (afterTimestamp) {
+    params.push(afterTimestamp);
+    query += ` AND timestamp > $4`;
+  }
+  
+  query += ` ORDER BY timestamp ASC`;
+
+  try {
+    const result = await pool.query(query, params);
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting transcriptions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get transcriptions from the last N minutes for a git repo, username, and branch
+ * @param {string} gitRepo - Git repository URL or identifier
+ * @param {string} username - Username
+ * @param {string} branch - Git branch name
+ * @param {number} minutesAgo - Number of minutes to look back (default: 60)
+ * @returns {Promise<Array>} Array of transcription records
+ */
+async function getRecentTranscriptions(gitRepo, username, branch, minutesAgo = 60) {
+  const cutoffTime = new Date(Date.now() - minutesAgo * 60 * 1000).toISOString();
+  return getTranscriptions(gitRepo, username, branch, cutoffTime);
+}
+
+/**
+ * Get transcriptions from the last N minutes for a git repo and branch (all users)
+ * @param {string} gitRepo - Git repository URL or identifier
+ * @param {string} branch - Git branch name
+ * @param {number} minutesAgo - Number of minutes to look back (default: 60)
+ * @param {Date|string} afterTimestamp - Only return transcriptions after this timestamp as well (optional)
+ * @returns {Promise<Array>} Array of transcription records
+ */
+async function getRecentTranscriptionsForBranch(gitRepo, branch, minutesAgo = 60, afterTimestamp = null) {
+  const pool = getPool();
+  const cutoffTime = new Date(Date.now() - minutesAgo * 60 * 1000).toISOString();
+  const params = [gitRepo, branch, cutoffTime];
+
+  let query = `
+    SELECT id, git_repo, username, branch, timestamp, transcription
+    FROM user_transcripts
+    WHERE git_repo = $1 AND branch = $2 AND timestamp > $3
+  `;
+
+  if (afterTimestamp) {
+    params.push(afterTimestamp);
+    query += ` AND timestamp > $4`;
+  }
+
+  query += ` ORDER BY timestamp ASC`;
+
+  try {
+    const result = await pool.query(query, params);
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting recent transcriptions for branch:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the transcriptions of a conversation session
+ * @param {string|number} sessionId - Conversation session ID
+ * @param {Date|string} afterTimestamp - Only return transcriptions after this timestamp (optional)
+ * @returns {Promise<Array>} Array of transcription records, oldest first
+ */
+async function getSessionTranscriptions(sessionId, afterTimestamp = null) {
+  const pool = getPool();
+  const params = [sessionId];
+
+  let query = `
+    SELECT id, git_repo, username, branch, timestamp, transcription
+    FROM user_transcripts
+    WHERE session_id = $1
+  `;
+
+  if (afterTimestamp) {
+    params.push(afterTimestamp);
+    query += ` AND timestamp > $2`;
+  }
+
+  query += ` ORDER BY timestamp ASC, id ASC`;
+
+  try {
+    const result = await pool.query(query, params);
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting session transcriptions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get chosen transcriptions of a git repo and branch. IDs of other
+ * branches or repositories are ignored.
+ * @param {string} gitRepo - Git repository URL or identifier
+ * @param {string} branch - Git branch name
+ * @param {Array<string>} ids - Transcription IDs
+ * @returns {Promise<Array>} Array of transcription records, oldest first
+ */
+async function getTranscriptionsByIds(gitRepo, branch, ids) {
+  const pool = getPool();
+
+  const query = `
+    SELECT id, git_repo, username, branch, timestamp, transcription
+    FROM user_transcripts
+    WHERE git_repo = $1 AND branch = $2 AND id = ANY($3::bigint[])
+    ORDER BY timestamp ASC, id ASC
+  `;
+
+  try {
+    const result = await pool.query(query, [gitRepo, branch, ids]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting transcriptions by ID:', error);
+    throw error;
+  }
+}
+
+/**
+ * List the transcriptions of a git repo page by page. Pages are ordered by
+ * timestamp and id, and a page continues after the row its cursor points at,
+ * so rows inserted or deleted in between do not shift later pages.
+ * @param {Object} filter - Filter options
+ * @param {string} filter.gitRepo - Git repository URL or identifier
+ * @param {string} [filter.branch] - Git branch name
+ * @param {string} [filter.username] - Username
+ * @param {string} [filter.sessionId] - Conversation session ID
+ * @param {string} [filter.from] - Only transcriptions at or after this ISO timestamp
+ * @param {string} [filter.to] - Only transcriptions before this ISO timestamp
+ * @param {Object} [filter.after] - Position to continue after: { timestamp, id }
+ * @param {boolean} [filter.newestFirst] - Order newest first (default: oldest first)
+ * @param {number} [filter.limit] - Maximum number of records (default: 50)
+ * @returns {Promise<Array>} Transcription records, each with a `position` for the next page
+ */
+async function listTranscriptions({ gitRepo, branch, username, sessionId, from, to, after, newestFirst = false, limit = 50 }) {
+  const pool = getPool();
+  const params = [gitRepo];
+  const conditions = ['git_repo = $1'];
+
+  const addCondition = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (branch) addCondition('branch = ?', branch);
+  if (username) addCondition('username = ?', username);
+  if (sessionId) addCondition('session_id = ?', sessionId);
+  if (from) addCondition('timestamp >= ?', from);
+  if (to) addCondition('timestamp < ?', to);
+  if (after) {
+    params.push(after.timestamp, after.id);
+    conditions.push(`(timestamp, id) ${newestFirst ? '<' : '>'} ($${params.length - 1}::timestamp, $${params.length})`);
+  }
+  params.push(limit);
+
+  const direction = newestFirst ? 'DESC' : 'ASC';
+  const query = `
+    SELECT ${TRANSCRIPTION_COLUMNS}, timestamp::text AS position
+    FROM user_transcripts
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY timestamp ${direction}, id ${direction}
+    LIMIT $${params.length}
+  `;
+
+  try {
+    const result = await pool.query(query, params);
+    return result.rows;
+  } catch (error) {
+    console.error('Error listing transcriptions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Search the transcriptions of a git repo. The query uses web search syntax
+ * ("quoted phrases", OR, -excluded words); results are ranked by relevance,
+ * then newest first.
+ * @param {Object} search - Search options
+ * @param {string} search.gitRepo - Git repository URL or identifier
+ * @param {string} search.query - Search query
+ * @param {string} [search.branch] - Git branch name
+ * @param {string} [search.username] - Username
+ * @param {string} search.startSel - Marker inserted before each highlighted word
+ * @param {string} search.stopSel - Marker inserted after each highlighted word
+ * @param {number} [search.limit] - Maximum number of records (default: 20)
+ * @param {number} [search.offset] - Number of records to skip (default: 0)
+ * @returns {Promise<Array>} Transcription records with rank and headline
+ */
+async function searchTranscriptions({ gitRepo, query, branch, username, startSel, stopSel, limit = 20, offset = 0 }) {
+  const pool = getPool();
+  const headlineOptions = `StartSel=${startSel}, StopSel=${stopSel}, MaxWords=30, MinWords=12, MaxFragments=2`;
+  const params = [gitRepo, query, headlineOptions];
+  const conditions = ['git_repo = $1', 'search_vector @@ q'];
+
+  if (branch) {
+    params.push(branch);
+    conditions.push(`branch = $${params.length}`);
+  }
+  if (username) {
+    params.push(username);
+    conditions.push(`username = $${params.length}`);
+  }
+  params.push(limit, offset);
+
+  const sql = `
+    SELECT ${TRANSCRIPTION_COLUMNS},
+           ts_rank(search_vector, q) AS rank,
+           ts_headline('english', transcription, q, $3) AS headline
+    FROM user_transcripts, websearch_to_tsquery('english', $2) AS q
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY rank DESC, timestamp DESC, id DESC
+    LIMIT $${params.length - 1} OFFSET $${params.length}
+  `;
+
+  try {
+    const result = await pool.query(sql, params);
+    return result.rows;
+  } catch (error) {
+    console.error('Error searching transcriptions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get one transcription
+ * @param {string|number} id - Transcription ID
+ * @returns {Promise<Object|null>} Transcription record or null if not found
+ */
+async function getTranscription(id) {
+  const pool = getPool();
+
+  try {
+    const result = await pool.query(`SELECT ${TRANSCRIPTION_COLUMNS} FROM user_transcripts WHERE id = $1`, [id]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting transcription:', error);
+    throw error;
+  }
+}
+
+/**
+ * Correct the text of a transcription. The first correction keeps the
+ * recognized text in original_transcription.
+ * @param {string|number} id - Transcription ID
+ * @param {string} transcription - Corrected text
+ * @param {Array<Object>} redactions - Redactions applied to the corrected text (optional)
+ * @returns {Promise<Object|null>} The updated record or null if not found
+ */
+async function updateTranscription(id, transcription, redactions = []) {
+  const pool = getPool();
+
+  const query = `
+    UPDATE user_transcripts
+    SET transcription = $2,
+        original_transcription = COALESCE(original_transcription, transcription),
+        updated_at = $3,
+        redactions = $4
+    WHERE id = $1
+    RETURNING ${TRANSCRIPTION_COLUMNS}
+  `;
+
+  try {
+    const result = await pool.query(query, [id, transcription, new Date().toISOString(), JSON.stringify(redactions)]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error updating transcription:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete one transcription
+ * @param {string|number} id - Transcription ID
+ * @returns {Promise<boolean>} True if the transcription existed
+ */
+async function deleteTranscription(id) {
+  const pool = getPool();
+
+  try {
+    const result = await pool.query('DELETE FROM user_transcripts WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error deleting transcription:', error);
+    throw error;
+  }
+}
+
+/**
+ * Link a transcription to the archived audio of its utterance
+ * @param {string|number} id - Transcription ID
+ * @param {string} audioFile - Path of the WAV file, relative to the audio archive
+ * @returns {Promise<Object|null>} The updated record or null if not found
+ */
+async function setTranscriptionAudio(id, audioFile) {
+  const pool = getPool();
+
+  try {
+    const result = await pool.query(
+      `UPDATE user_transcripts SET audio_file = $2 WHERE id = $1 RETURNING ${TRANSCRIPTION_COLUMNS}`,
+      [id, audioFile]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error setting transcription audio:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the archived audio files of deleted transcription rows
+ * @param {Object} result - Result of a DELETE ... RETURNING audio_file query
+ * @returns {Array<string>} Paths relative to the audio archive
+ */
+function toAudioFiles(result) {
+  return result.rows.map(row => row.audio_file).filter(Boolean);
+}
+
+/**
+ * Record the start of a code generation run
+ * @param {Object} run - Run details
+ * @param {string} run.gitRepo - Git repository URL or identifier
+ * @param {string} run.branch - Git branch name
+ * @param {string} run.requestedBy - Username of the requester
+ * @param {Array<Object>} run.transcripts - Transcriptions the run is based on, oldest first
+ * @param {string} [run.source] - recent, session or selection (default: recent)
+ * @param {string|null} [run.sessionId] - Conversation session ID for session runs
+ * @returns {Promise<Object>} The inserted record
+ */
+async function createGenerationRun({ gitRepo, branch, requestedBy, transcripts, source = 'recent', sessionId = null }) {
+  const pool = getPool();
+  const transcriptsUntil = transcripts.length > 0 ? transcripts[transcripts.length - 1].timestamp : null;
+
+  const query = `
+    INSERT INTO generation_runs (git_repo, branch, requested_by, status, transcripts, transcripts_until, started_at, source, session_id)
+    VALUES ($1, $2, $3, 'running', $4, $5, $6, $7, $8)
+    RETURNING id, git_repo, branch, requested_by, status, source, session_id, started_at
+  `;
+
+  try {
+    const result = await pool.query(query, [
+      gitRepo,
+      branch,
+      requestedBy,
+      JSON.stringify(transcripts),
+      transcriptsUntil,
+      new Date().toISOString(),
+      source,
+      sessionId
+    ]);
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error creating generation run:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record the outcome of a code generation run
+ * @param {number} id - Run ID
+ * @param {Object} outcome - Run outcome
+ * @param {string} outcome.status - completed, incomplete, failed or cancelled
+ * @param {string} outcome.provider - LLM provider name (optional)
+ * @param {string} outcome.model - Model name (optional)
+ * @param {string} outcome.summary - Result summary (optional)
+ * @param {Array<Object>} outcome.files - Files with filename, patch and validation (optional)
+ * @param {Object} outcome.verification - Verification result (optional)
+ * @param {string} outcome.error - Error message of a failed run (optional)
+ * @param {Array<Object>} outcome.redactions - Redactions applied to the prompts, as {rule, count} (optional)
+ * @param {number} outcome.durationMs - Run duration in milliseconds
+ * @returns {Promise<void>}
+ */
+async function finishGenerationRun(id, { status, provider = null, model = null, summary = null, files = [], verification = null, error = null, redactions = [], durationMs }) {
+  const pool = getPool();
+
+  const query = `
+    UPDATE generation_runs
+    SET status = $2, provider = $3, model = $4, summary = $5, files = $6,
+        verification = $7, error = $8, completed_at = $9, duration_ms = $10, redactions = $11
+    WHERE id = $1
+  `;
+
+  try {
+    await pool.query(query, [
+      id,
+      status,
+      provider,
+      model,
+      summary,
+      JSON.stringify(files),
+      verification ? JSON.stringify(verification) : null,
+      error,
+      new Date().toISOString(),
+      durationMs,
+      JSON.stringify(redactions)
+    ]);
+  } catch (err) {
+    console.error('Error finishing generation run:', err);
+    throw err;
+  }
+}
+
+/**
+ * List code generation runs for a git repo and branch, newest first
+ * @param {string} gitRepo - Git repository URL or identifier
+ * @param {string} branch - Git branch name
+ * @param {number} limit - Maximum number of runs (default: 20)
+ * @returns {Promise<Array>} Array of run records without transcripts and patches
+ */
+async function listGenerationRuns(gitRepo, branch, limit = 20) {
+  const pool = getPool();
+
+  const query = `
+    SELECT id, git_repo, branch, requested_by, status, source, session_id, provider, model, summary,
+           jsonb_array_length(files) AS file_count, started_at, completed_at, duration_ms
+    FROM generation_runs
+    WHERE git_repo = $1 AND branch = $2
+    ORDER BY started_at DESC
+    LIMIT $3
+  `;
+
+  try {
+    const result = await pool.query(query, [gitRepo, branch, limit]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error listing generation runs:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a code generation run with its transcripts and patches
+ * @param {number} id - Run ID
+ * @returns {Promise<Object|null>} Run record or null if not found
+ */
+async function getGenerationRun(id) {
+  const pool = getPool();
+
+  try {
+    const result = await pool.query('SELECT * FROM generation_runs WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting generation run:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the latest completed code generation run over the recent conversation
+ * of a git repo and branch, or over one conversation session. Runs over
+ * selected transcripts are never built on.
+ * @param {string} gitRepo - Git repository URL or identifier
+ * @param {string} branch - Git branch name
+ * @param {string|null} sessionId - Conversation session ID, or null for runs over the recent conversation
+ * @returns {Promise<Object|null>} Run record or null if there is none
+ */
+async function getLastCompletedGenerationRun(gitRepo, branch, sessionId = null) {
+  const pool = getPool();
+  const params = [gitRepo, branch];
+
+  let query = `
+    SELECT id, summary, files, transcripts_until, completed_at
+    FROM generation_runs
+    WHERE git_repo = $1 AND branch = $2 AND status = 'completed'
+  `;
+
+  if (sessionId) {
+    params.push(sessionId);
+    query += ` AND source = 'session' AND session_id = $3`;
+  } else {
+    query += ` AND source = 'recent'`;
+  }
+
+  query += ` ORDER BY started_at DESC LIMIT 1`;
+
+  try {
+    const result = await pool.query(query, params);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting last generation run:', error);
+    throw error;
+  }
+}
+
+/**
+ * List the code generation runs started in a time range, oldest first
+ * @param {Object} filter - Filter options
+ * @param {string} filter.gitRepo - Git repository URL or identifier
+ * @param {string} [filter.branch] - Git branch name
+ * @param {Date|string} filter.from - Only runs started at or after this timestamp
+ * @param {Date|string} filter.to - Only runs started before this timestamp
+ * @returns {Promise<Array>} Run records with the names of the changed files, without transcripts and patches
+ */
+async function listGenerationRunsBetween({ gitRepo, branch, from, to }) {
+  const pool = getPool();
+  const params = [gitRepo, from, to];
+
+  let query = `
+    SELECT id, git_repo, branch, requested_by, status, source, session_id, summary,
+           jsonb_path_query_array(files, '$[*].filename') AS changed_files,
+           started_at, completed_at
+    FROM generation_runs
+    WHERE git_repo = $1 AND started_at >= $2 AND started_at < $3
+  `;
+
+  if (branch) {
+    params.push(branch);
+    query += ` AND branch = $4`;
+  }
+
+  query += ` ORDER BY started_at ASC, id ASC`;
+
+  try {
+    const result = await pool.query(query, params);
+    return result.rows;
+  } catch (error) {
+    console.error('Error listing generation runs in range:', error);
+    throw error;
+  }
+}
+
+/**
+ * Store the clone credentials of a git repo, replacing any existing ones
+ * @param {string} gitRepo - Git repository URL or identifier
+ * @param {Object} credential - Credential details
+ * @param {string} credential.kind - https_token or ssh_key
+ * @param {string} credential.username - Username for HTTPS authentication (optional)
+ * @param {string} credential.encryptedSecret - Secret encrypted with encryptSecret()
+ * @returns {Promise<Object>} The stored record without the secret
+ */
+async function putRepoCredential(gitRepo, { kind, username = null, encryptedSecret }) {
+  const pool = getPool();
+  const now = new Date().toISOString();
+
+  const query = `
+    INSERT INTO repo_credentials (git_repo, kind, username, encrypted_secret, created_at, updated_at)
+    VALUES ($1, $2, $3, $4, $5, $5)
+    ON CONFLICT (git_repo) DO UPDATE
+    SET kind = $2, username = $3, encrypted_secret = $4, updated_at = $5
+    RETURNING git_repo, kind, username, created_at, updated_at
+  `;
+
+  try {
+    const result = await pool.query(query, [gitRepo, kind, username, encryptedSecret, now]);
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error saving repo credential:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get the clone credentials of a git repo
+ * @param {string} gitRepo - Git repository URL or identifier
+ * @returns {Promise<Object|null>} Record including the encrypted secret, or null if there is none
+ */
+async function getRepoCredential(gitRepo) {
+  const pool = getPool();
+
+  try {
+    const result = await pool.query('SELECT * FROM repo_credentials WHERE git_repo = $1', [gitRepo]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting repo credential:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Delete the clone credentials of a git repo
+ * @param {string} gitRepo - Git repository URL or identifier
+ * @returns {Promise<boolean>} True if credentials were deleted
+ */
+async function deleteRepoCredential(gitRepo) {
+  const pool = getPool();
+
+  try {
+    const result = await pool.query('DELETE FROM repo_credentials WHERE git_repo = $1', [gitRepo]);
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error deleting repo credential:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Register a repository unless one with the same canonical URL exists
+ * @param {Object} repo - Repository details
+ * @param {string} repo.id - New repository UUID
+ * @param {string} repo.url - URL as registered
+ * @param {string} repo.canonicalUrl - Canonical URL
+ * @param {string} repo.defaultBranch - Default branch
+ * @param {string} repo.createdBy - Username of the registering user
+ * @returns {Promise<{repo: Object, created: boolean}>} The new or the existing record
+ */
+async function createRepo({ id, url, canonicalUrl, defaultBranch, createdBy }) {
+  const pool = getPool();
+
+  const query = `
+    INSERT INTO repos (id, url, canonical_url, default_branch, created_by, created_at)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT (canonical_url) DO NOTHING
+    RETURNING *
+  `;
+
+  try {
+    const result = await pool.query(query, [id, url, canonicalUrl, defaultBranch, createdBy, new Date().toISOString()]);
+    if (result.rows.length > 0) {
+      return { repo: result.rows[0], created: true };
+    }
+    return { repo: await getRepoByCanonicalUrl(canonicalUrl), created: false };
+  } catch (error) {
+    console.error('Error creating repo:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a registered repository by ID
+ * @param {string} id - Repository UUID
+ * @returns {Promise<Object|null>} Repository record or null if not found
+ */
+async function getRepo(id) {
+  const pool = getPool();
+
+  if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id || '')) {
+    return null;
+  }
+
+  try {
+    const result = await pool.query('SELECT * FROM repos WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting repo:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a registered repository by canonical URL
+ * @param {string} canonicalUrl - Canonical URL
+ * @returns {Promise<Object|null>} Repository record or null if not found
+ */
+async function getRepoByCanonicalUrl(canonicalUrl) {
+  const pool = getPool();
+
+  try {
+    const result = await pool.query('SELECT * FROM repos WHERE canonical_url = $1', [canonicalUrl]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting repo by URL:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create a user account
+ * @param {string} username - Username
+ * @param {string} passwordHash - Password hash from hashPassword()
+ * @returns {Promise<Object|null>} The new user without the password hash, or null if the username is taken
+ */
+async function createUser(username, passwordHash) {
+  const pool = getPool();
+
+  const query = `
+    INSERT INTO users (username, password_hash, created_at)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (username) DO NOTHING
+    RETURNING id, username, created_at
+  `;
+
+  try {
+    const result = await pool.query(query, [username, passwordHash, new Date().toISOString()]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error creating user:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get a user by username
+ * @param {string} username - Username
+ * @returns {Promise<Object|null>} User record including the password hash, or null if not found
+ */
+async function getUserByUsername(username) {
+  const pool = getPool();
+
+  try {
+    const result = await pool.query('SELECT * FROM users WHERE username = $1', [username]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting user:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Store a new API token
+ * @param {number} userId - User ID
+ * @param {string} tokenHash - SHA-256 hash of the token (hex)
+ * @param {string|null} name - Token name, e.g. the client it was issued to
+ * @param {string|null} expiresAt - ISO expiry timestamp, or null for no expiry
+ * @returns {Promise<Object>} The token record
+ */
+async function createApiToken(userId, tokenHash, name, expiresAt) {
+  const pool = getPool();
+
+  const query = `
+    INSERT INTO api_tokens (user_id, token_hash, name, created_at, expires_at)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING id, user_id, name, created_at, expires_at
+  `;
+
+  try {
+    const result = await pool.query(query, [userId, tokenHash, name, new Date().toISOString(), expiresAt]);
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error creating API token:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get the user an API token belongs to and record its use. Revoked and
+ * expired tokens are not accepted.
+ * @param {string} tokenHash - SHA-256 hash of the token (hex)
+ * @returns {Promise<Object|null>} User ({id, username}) or null if the token is not valid
+ */
+async function getUserByTokenHash(tokenHash) {
+  const pool = getPool();
+
+  const query = `
+    UPDATE api_tokens t
+    SET last_used_at = $2
+    FROM users u
+    WHERE t.token_hash = $1 AND t.user_id = u.id
+      AND t.revoked_at IS NULL AND (t.expires_at IS NULL OR t.expires_at > $2)
+    RETURNING u.id, u.username
+  `;
+
+  try {
+    const result = await pool.query(query, [tokenHash, new Date().toISOString()]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error checking API token:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Revoke an API token
+ * @param {string} tokenHash - SHA-256 hash of the token (hex)
+ * @returns {Promise<boolean>} True if a token was revoked
+ */
+async function revokeApiToken(tokenHash) {
+  const pool = getPool();
+
+  try {
+    const result = await pool.query(
+      'UPDATE api_tokens SET revoked_at = $2 WHERE token_hash = $1 AND revoked_at IS NULL',
+      [tokenHash, new Date().toISOString()]
+    );
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error revoking API token:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Add a user to a repository, or change their role
+ * @param {string} repoId - Repository UUID
+ * @param {number} userId - User ID
+ * @param {string} role - owner or member
+ * @returns {Promise<void>}
+ */
+async function putRepoMember(repoId, userId, role) {
+  const pool = getPool();
+
+  const query = `
+    INSERT INTO repo_members (repo_id, user_id, role, created_at)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (repo_id, user_id) DO UPDATE SET role = $3
+  `;
+
+  try {
+    await pool.query(query, [repoId, userId, role, new Date().toISOString()]);
+  } catch (error) {
+    console.error('Error adding repo member:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a user's role in a repository
+ * @param {string} repoId - Repository UUID
+ * @param {number} userId - User ID
+ * @returns {Promise<string|null>} owner, member, or null if the user is not a member
+ */
+async function getRepoMemberRole(repoId, userId) {
+  const pool = getPool();
+
+  try {
+    const result = await pool.query(
+      'SELECT role FROM repo_members WHERE repo_id = $1 AND user_id = $2',
+      [repoId, userId]
+    );
+    return result.rows[0]?.role || null;
+  } catch (error) {
+    console.error('Error getting repo member role:', error);
+    throw error;
+  }
+}
+
+/**
+ * List the members of a repository
+ * @param {string} repoId - Repository UUID
+ * @returns {Promise<Array>} Members with username, role and created_at, owners first
+ */
+async function listRepoMembers(repoId) {
+  const pool = getPool();
+
+  const query = `
+    SELECT u.username, m.role, m.created_at
+    FROM repo_members m
+    JOIN users u ON u.id = m.user_id
+    WHERE m.repo_id = $1
+    ORDER BY m.role DESC, u.username
+  `;
+
+  try {
+    const result = await pool.query(query, [repoId]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error listing repo members:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a user from a repository
+ * @param {string} repoId - Repository UUID
+ * @param {number} userId - User ID
+ * @returns {Promise<boolean>} True if the user was a member
+ */
+async function deleteRepoMember(repoId, userId) {
+  const pool = getPool();
+
+  try {
+    const result = await pool.query('DELETE FROM repo_members WHERE repo_id = $1 AND user_id = $2', [repoId, userId]);
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error removing repo member:', error);
+    throw error;
+  }
+}
+
+/**
+ * Start a conversation session on a branch
+ * @param {Object} session - Session details
+ * @param {string} session.gitRepo - Git repository URL or identifier
+ * @param {string} session.branch - Git branch name
+ * @param {string} session.name - Session name
+ * @param {string} session.startedBy - Username of the user starting it
+ * @returns {Promise<Object|null>} The inserted record, or null if the branch already has an open session
+ */
+async function createSession({ gitRepo, branch, name, startedBy }) {
+  const pool = getPool();
+
+  const query = `
+    INSERT INTO conversation_sessions (git_repo, branch, name, started_by, started_at)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (git_repo, branch) WHERE ended_at IS NULL DO NOTHING
+    RETURNING *
+  `;
+
+  try {
+    const result = await pool.query(query, [gitRepo, branch, name, startedBy, new Date().toISOString()]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error creating conversation session:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a conversation session
+ * @param {string|number} id - Session ID
+ * @returns {Promise<Object|null>} Session record or null if not found
+ */
+async function getSession(id) {
+  const pool = getPool();
+
+  try {
+    const result = await pool.query('SELECT * FROM conversation_sessions WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting conversation session:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the open conversation session of a branch
+ * @param {string} gitRepo - Git repository URL or identifier
+ * @param {string} branch - Git branch name
+ * @returns {Promise<Object|null>} Session record or null if no session is open
+ */
+async function getOpenSession(gitRepo, branch) {
+  const pool = getPool();
+
+  const query = `
+    SELECT * FROM conversation_sessions
+    WHERE git_repo = $1 AND branch = $2 AND ended_at IS NULL
+  `;
+
+  try {
+    const result = await pool.query(query, [gitRepo, branch]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting open conversation session:', error);
+    throw error;
+  }
+}
+
+/**
+ * List the conversation sessions of a branch, newest first
+ * @param {string} gitRepo - Git repository URL or identifier
+ * @param {string} branch - Git branch name
+ * @param {number} limit - Maximum number of sessions (default: 20)
+ * @returns {Promise<Array>} Session records with their number of transcripts
+ */
+async function listSessions(gitRepo, branch, limit = 20) {
+  const pool = getPool();
+
+  const query = `
+    SELECT s.*, (SELECT COUNT(*)::int FROM user_transcripts t WHERE t.session_id = s.id) AS transcript_count
+    FROM conversation_sessions s
+    WHERE s.git_repo = $1 AND s.branch = $2
+    ORDER BY s.started_at DESC, s.id DESC
+    LIMIT $3
+  `;
+
+  try {
+    const result = await pool.query(query, [gitRepo, branch, limit]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error listing conversation sessions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Rename a conversation session
+ * @param {string|number} id - Session ID
+ * @param {string} name - New name
+ * @returns {Promise<Object|null>} The updated record or null if not found
+ */
+async function renameSession(id, name) {
+  const pool = getPool();
+
+  try {
+    const result = await pool.query('UPDATE conversation_sessions SET name = $2 WHERE id = $1 RETURNING *', [id, name]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error renaming conversation session:', error);
+    throw error;
+  }
+}
+
+/**
+ * End a conversation session. Later transcripts of the branch no longer
+ * belong to it.
+ * @param {string|number} id - Session ID
+ * @returns {Promise<Object|null>} The updated record, or null if not found or already ended
+ */
+async function endSession(id) {
+  const pool = getPool();
+
+  const query = `
+    UPDATE conversation_sessions SET ended_at = $2
+    WHERE id = $1 AND ended_at IS NULL
+    RETURNING *
+  `;
+
+  try {
+    const result = await pool.query(query, [id, new Date().toISOString()]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error ending conversation session:', error);
+    throw error;
+  }
+}
+
+/**
+ * Run queries in one transaction
+ * @param {Function} work - Called with a client; its result is returned
+ * @returns {Promise<*>} Result of work
+ */
+async function withTransaction(work) {
+  const client = await getPool().connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Set the transcript retention of a repository
+ * @param {string} repoId - Repository UUID
+ * @param {Object} retention - Retention settings
+ * @param {number|null} retention.days - Days transcripts are kept, or null to keep them forever
+ * @param {string} retention.mode - all, or unreferenced to keep transcripts a generation run received
+ * @returns {Promise<Object|null>} Updated repository record or null if not found
+ */
+async function setRepoRetention(repoId, { days, mode }) {
+  const pool = getPool();
+
+  try {
+    const result = await pool.query(
+      'UPDATE repos SET retention_days = $2, retention_mode = $3 WHERE id = $1 RETURNING *',
+      [repoId, days, mode]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error setting repo retention:', error);
+    throw error;
+  }
+}
+
+/**
+ * List the repositories whose transcripts expire
+ * @returns {Promise<Array>} Repository records with retention_days set
+ */
+async function listReposWithRetention() {
+  const pool = getPool();
+
+  try {
+    const result = await pool.query('SELECT * FROM repos WHERE retention_days IS NOT NULL ORDER BY created_at');
+    return result.rows;
+  } catch (error) {
+    console.error('Error listing repos with retention:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete the transcriptions of a git repo said before a point in time. When
+ * every old transcription goes, the copies that older generation runs keep
+ * are cleared too.
+ * @param {string} gitRepo - Git repository identifier
+ * @param {string} before - ISO timestamp
+ * @param {Object} [options] - Purge options
+ * @param {boolean} [options.unreferencedOnly] - Keep transcriptions a generation run received (default: false)
+ * @returns {Promise<{transcripts: number, runs: number, audioFiles: Array<string>}>} Number of deleted transcriptions and cleared runs, and the audio files to remove
+ */
+async function purgeExpiredTranscriptions(gitRepo, before, { unreferencedOnly = false } = {}) {
+  try {
+    return await withTransaction(async (client) => {
+      const deleted = await client.query(`
+        DELETE FROM user_transcripts t
+        WHERE t.git_repo = $1 AND t.timestamp < $2
+          AND (NOT $3 OR NOT EXISTS (
+            SELECT 1 FROM generation_runs r
+            WHERE r.git_repo = t.git_repo
+              AND r.transcripts @> jsonb_build_array(jsonb_build_object('id', t.id::text))
+          ))
+        RETURNING t.audio_file
+      `, [gitRepo, before, unreferencedOnly]);
+
+      let cleared = { rowCount: 0 };
+      if (!unreferencedOnly) {
+        cleared = await client.query(`
+          UPDATE generation_runs SET transcripts = '[]'
+          WHERE git_repo = $1 AND started_at < $2 AND transcripts <> '[]'
+        `, [gitRepo, before]);
+      }
+      return { transcripts: deleted.rowCount, runs: cleared.rowCount, audioFiles: toAudioFiles(deleted) };
+    });
+  } catch (error) {
+    console.error('Error purging expired transcriptions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete the transcriptions of a user and their copies in generation runs
+ * @param {Object} client - Database client inside a transaction
+ * @param {string} username - Username
+ * @param {string|null} gitRepo - Limit to one git repository, or null for all
+ * @returns {Promise<{transcripts: number, runs: number, audioFiles: Array<string>}>} Number of deleted transcriptions and changed runs, and the audio files to remove
+ */
+async function removeUserTranscriptions(client, username, gitRepo) {
+  const deleted = await client.query(
+    'DELETE FROM user_transcripts WHERE username = $1 AND ($2::varchar IS NULL OR git_repo = $2) RETURNING audio_file',
+    [username, gitRepo]
+  );
+
+  const changed = await client.query(`
+    UPDATE generation_runs SET transcripts = COALESCE((
+      SELECT jsonb_agg(entry ORDER BY position)
+      FROM jsonb_array_elements(transcripts) WITH ORDINALITY AS e(entry, position)
+      WHERE entry->>'username' <> $1
+    ), '[]')
+    WHERE transcripts @> jsonb_build_array(jsonb_build_object('username', $1::text))
+      AND ($2::varchar IS NULL OR git_repo = $2)
+  `, [username, gitRepo]);
+  return { transcripts: deleted.rowCount, runs: changed.rowCount, audioFiles: toAudioFiles(deleted) };
+}
+
+/**
+ * Delete everything a user said, including the copies generation runs keep
+ * @param {string} username - Username
+ * @param {string|null} [gitRepo] - Limit to one git repository (default: all)
+ * @returns {Promise<{transcripts: number, runs: number, audioFiles: Array<string>}>} Number of deleted transcriptions and changed runs, and the audio files to remove
+ */
+async function deleteUserTranscriptions(username, gitRepo = null) {
+  try {
+    return await withTransaction(client => removeUserTranscriptions(client, username, gitRepo));
+  } catch (error) {
+    console.error('Error deleting user transcriptions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a user account with everything the user said, API tokens and
+ * repository memberships. The generation runs, sessions and repositories
+ * the user requested, started or registered belong to their repositories
+ * and stay, with the user name replaced.
+ * @param {string} username - Username
+ * @param {string} replacement - Name left in place of the user's on runs, sessions and repositories
+ * @returns {Promise<{transcripts: number, runs: number, requestedRuns: number, startedSessions: number, tokens: number, memberships: number, audioFiles: Array<string>}>} Number of deleted and changed records, and the audio files to remove
+ */
+async function deleteUser(username, replacement) {
+  try {
+    return await withTransaction(async (client) => {
+      const { audioFiles, ...said } = await removeUserTranscriptions(client, username, null);
+      const runs = await client.query('UPDATE generation_runs SET requested_by = $2 WHERE requested_by = $1', [username, replacement]);
+      const sessions = await client.query('UPDATE conversation_sessions SET started_by = $2 WHERE started_by = $1', [username, replacement]);
+      await client.query('UPDATE repos SET created_by = $2 WHERE created_by = $1', [username, replacement]);
+      const tokens = await client.query('DELETE FROM api_tokens WHERE user_id IN (SELECT id FROM users WHERE username = $1)', [username]);
+      const memberships = await client.query('DELETE FROM repo_members WHERE user_id IN (SELECT id FROM users WHERE username = $1)', [username]);
+      await client.query('DELETE FROM users WHERE username = $1', [username]);
+      return {
+        ...said,
+        requestedRuns: runs.rowCount,
+        startedSessions: sessions.rowCount,
+        tokens: tokens.rowCount,
+        memberships: memberships.rowCount,
+        audioFiles
+      };
+    });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete the transcriptions, generation runs and conversation sessions of a
+ * git repo. The repository stays registered with its members and credentials.
+ * @param {string} gitRepo - Git repository identifier
+ * @returns {Promise<{transcripts: number, runs: number, sessions: number, audioFiles: Array<string>}>} Number of deleted records and the audio files to remove
+ */
+async function deleteRepoConversationData(gitRepo) {
+  try {
+    return await withTransaction(async (client) => {
+      const transcripts = await client.query('DELETE FROM user_transcripts WHERE git_repo = $1 RETURNING audio_file', [gitRepo]);
+      const runs = await client.query('DELETE FROM generation_runs WHERE git_repo = $1', [gitRepo]);
+      const sessions = await client.query('DELETE FROM conversation_sessions WHERE git_repo = $1', [gitRepo]);
+      return {
+        transcripts: transcripts.rowCount,
+        runs: runs.rowCount,
+        sessions: sessions.rowCount,
+        audioFiles: toAudioFiles(transcripts)
+      };
+    });
+  } catch (error) {
+    console.error('Error deleting repo conversation data:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create the PostgreSQL store. The process shares one connection pool.
+ * @param {Object} config - Store configuration
+ * @param {string} config.connectionString - PostgreSQL connection string
+ * @returns {Object} Store with the methods listed in database.js
+ */
+export function createPostgresStore({ connectionString }) {
+  return {
+    name: 'postgres',
+    connect: () => connect(connectionString),
+    close,
+    putTranscription,
+    getTranscriptions,
+    getRecentTranscriptions,
+    getRecentTranscriptionsForBranch,
+    getSessionTranscriptions,
+    getTranscriptionsByIds,
+    listTranscriptions,
+    searchTranscriptions,
+    getTranscription,
+    updateTranscription,
+    deleteTranscription,
+    setTranscriptionAudio,
+    createGenerationRun,
+    finishGenerationRun,
+    listGenerationRuns,
+    getGenerationRun,
+    getLastCompletedGenerationRun,
+    listGenerationRunsBetween,
+    putRepoCredential,
+    getRepoCredential,
+    deleteRepoCredential,
+    createRepo,
+    getRepo,
+    getRepoByCanonicalUrl,
+    createUser,
+    getUserByUsername,
+    createApiToken,
+    getUserByTokenHash,
+    revokeApiToken,
+    putRepoMember,
+    getRepoMemberRole,
+    listRepoMembers,
+    deleteRepoMember,
+    createSession,
+    getSession,
+    getOpenSession,
+    listSessions,
+    renameSession,
+    endSession,
+    setRepoRetention,
+    listReposWithRetention,
+    purgeExpiredTranscriptions,
+    deleteUserTranscriptions,
+    deleteUser,
+    deleteRepoConversationData
+  };
+}
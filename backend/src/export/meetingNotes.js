@@ -0,0 +1,152 @@
+/**
+ * Meeting notes: a conversation session or time range of a repository's
+ * transcripts, with the code generations made during it, as JSON or
+ * Markdown for a wiki
+ */
+
+// Characters with a meaning in Markdown, escaped in spoken text
+const MARKDOWN_SPECIAL = /[\\`*_[\]<>#|~]/g;
+
+/**
+ * Format a timestamp for Markdown notes
+ * @param {Date|string} value - Timestamp
+ * @returns {string} Date and time in UTC, e.g. 2024-05-02 14:03:12 UTC
+ */
+function formatTime(value) {
+  return new Date(value).toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC');
+}
+
+/**
+ * Escape spoken text so it renders as written
+ * @param {string} text - Text
+ * @returns {string} Markdown-safe text on a single line
+ */
+function escapeMarkdown(text) {
+  return text.replace(MARKDOWN_SPECIAL, char => `\\${char}`).replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * Turn text into a filename part
+ * @param {string} text - Text
+ * @returns {string} Lowercase letters, digits and dashes
+ */
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+}
+
+/**
+ * Build the meeting notes of a conversation
+ * @param {Object} conversation - What the notes cover
+ * @param {Object} conversation.repo - Repository record
+ * @param {string|null} conversation.branch - Branch, or null for all branches
+ * @param {Object|null} conversation.session - Conversation session record, or null for a time range
+ * @param {Date|string} conversation.from - Start of the period
+ * @param {Date|string} conversation.to - End of the period
+ * @param {Array<Object>} conversation.transcripts - Transcription records, oldest first
+ * @param {Array<Object>} conversation.runs - Generation runs started in the period, oldest first
+ * @returns {Object} Meeting notes
+ */
+export function buildMeetingNotes({ repo, branch, session, from, to, transcripts, runs }) {
+  const title = session
+    ? `Session "${session.name}"`
+    : `Conversation ${formatTime(from)} to ${formatTime(to)}`;
+
+  return {
+    title,
+    repository: { id: repo.id, url: repo.url },
+    branch,
+    session: session
+      ? { id: session.id, name: session.name, startedBy: session.started_by, startedAt: session.started_at, endedAt: session.ended_at }
+      : null,
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    participants: [...new Set(transcripts.map(transcript => transcript.username))],
+    utterances: transcripts.map(transcript => ({
+      id: transcript.id,
+      speaker: transcript.username,
+      branch: transcript.branch,
+      timestamp: transcript.timestamp,
+      text: transcript.transcription,
+      corrected: transcript.original_transcription !== null && transcript.original_transcription !== undefined
+    })),
+    generations: runs.map(run => ({
+      runId: run.id,
+      branch: run.branch,
+      requestedBy: run.requested_by,
+      status: run.status,
+      source: run.source,
+      startedAt: run.started_at,
+      completedAt: run.completed_at,
+      summary: run.summary,
+      changedFiles: run.changed_files
+    })),
+    exportedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Render meeting notes as Markdown
+ * @param {Object} notes - Meeting notes from buildMeetingNotes()
+ * @returns {string} Markdown document
+ */
+export function renderMeetingNotesMarkdown(notes) {
+  const showBranch = !notes.branch;
+  const lines = [
+    `# ${escapeMarkdown(notes.title)}`,
+    '',
+    `- Repository: ${notes.repository.url}`,
+    `- Branch: ${notes.branch ? escapeMarkdown(notes.branch) : 'all branches'}`,
+    `- Period: ${formatTime(notes.from)} to ${formatTime(notes.to)}`
+  ];
+
+  if (notes.session) {
+    lines.push(`- Started by: ${escapeMarkdown(notes.session.startedBy)}`);
+  }
+  lines.push(`- Participants: ${notes.participants.length > 0 ? notes.participants.map(escapeMarkdown).join(', ') : 'none'}`);
+
+  lines.push('', '## Conversation', '');
+  if (notes.utterances.length === 0) {
+    lines.push('_Nothing was said in this period._');
+  }
+  for (const utterance of notes.utterances) {
+    const where = showBranch ? ` (${escapeMarkdown(utterance.branch)})` : '';
+    const corrected = utterance.corrected ? ' _(corrected)_' : '';
+    lines.push(`- **${formatTime(utterance.timestamp)}** ${escapeMarkdown(utterance.speaker)}${where}: ${escapeMarkdown(utterance.text)}${corrected}`);
+  }
+
+  lines.push('', '## Code generations', '');
+  if (notes.generations.length === 0) {
+    lines.push('_No code was generated in this period._');
+  }
+  for (const generation of notes.generations) {
+    const where = showBranch ? ` on ${escapeMarkdown(generation.branch)}` : '';
+    lines.push(
+      `### Run ${generation.runId} (${generation.status})`,
+      '',
+      `Requested by ${escapeMarkdown(generation.requestedBy)}${where} at ${formatTime(generation.startedAt)}.`,
+      ''
+    );
+    if (generation.summary) {
+      lines.push(generation.summary.trim(), '');
+    }
+    if (generation.changedFiles.length > 0) {
+      lines.push('Changed files:', '', ...generation.changedFiles.map(file => `- \`${file}\``), '');
+    } else {
+      lines.push('No files changed.', '');
+    }
+  }
+
+  return lines.join('\n').trimEnd() + '\n';
+}
+
+/**
+ * Get the filename of exported meeting notes
+ * @param {Object} notes - Meeting notes from buildMeetingNotes()
+ * @param {string} extension - File extension, e.g. md or json
+ * @returns {string} Filename such as meeting-notes-2024-05-02-retry-cleanup.md
+ */
+export function getMeetingNotesFilename(notes, extension) {
+  const date = notes.from.slice(0, 10);
+  const topic = notes.session ? slugify(notes.session.name) : slugify(notes.branch || 'all-branches');
+  return ['meeting-notes', date, topic].filter(Boolean).join('-') + `.${extension}`;
+}
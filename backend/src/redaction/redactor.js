@@ -0,0 +1,253 @@
+/**
+ * Redaction of personal data and secrets from conversation text. Final
+ * transcripts are redacted before they are stored, and prompts before they
+ * are sent to the LLM. Each redacted value is replaced by a placeholder
+ * such as [REDACTED:email]; only the rule names and counts are recorded,
+ * never the values.
+ *
+ * Configuration:
+ * - REDACTION_RULES: built-in rules to apply, comma-separated (default: all,
+ *   `none` for none)
+ * - REDACTION_ENTROPY_THRESHOLD: bits per character from which a long
+ *   token counts as a secret (default: 3.5)
+ * - REDACTION_PATTERNS: custom rules as a JSON array of
+ *   { "name": "...", "pattern": "...", "flags": "i" }
+ */
+
+const DEFAULT_ENTROPY_THRESHOLD = 3.5;
+
+// Shortest token the entropy rule looks at
+const MIN_ENTROPY_TOKEN_LENGTH = 20;
+
+// Share of neighbouring characters that change between lowercase, uppercase
+// and digits from which a token looks random rather than like words
+const MIN_CLASS_SWITCH_RATIO = 0.3;
+
+const RULE_NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+/**
+ * Check a card number with the Luhn checksum
+ * @param {string} value - Digits, optionally separated by spaces or dashes
+ * @returns {boolean} True if the checksum is valid
+ */
+function isLuhnValid(value) {
+  const digits = value.replace(/\D/g, '');
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Calculate the Shannon entropy of a string
+ * @param {string} value - String
+ * @returns {number} Bits per character
+ */
+function shannonEntropy(value) {
+  const counts = new Map();
+  for (const char of value) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / value.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+/**
+ * Measure how often neighbouring letters and digits change character class.
+ * Identifiers such as user_transcripts_2024 or OAuth2Client change class at
+ * word boundaries only; random tokens change at most characters.
+ * @param {string} value - String
+ * @returns {number} Share of neighbouring letters and digits of different classes
+ */
+function classSwitchRatio(value) {
+  const classes = [...value.replace(/[^A-Za-z0-9]/g, '')]
+    .map(char => (/\d/.test(char) ? 'digit' : char === char.toLowerCase() ? 'lower' : 'upper'));
+  let switches = 0;
+  for (let i = 1; i < classes.length; i++) {
+    if (classes[i] !== classes[i - 1]) {
+      switches++;
+    }
+  }
+  return classes.length > 1 ? switches / (classes.length - 1) : 0;
+}
+
+// Built-in rules, applied in this order so specific rules claim a value
+// before broader ones. `accept` filters matches that only look like a secret.
+const BUILT_IN_RULES = [
+  {
+    name: 'private_key',
+    pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g
+  },
+  {
+    name: 'api_key',
+    pattern: new RegExp([
+      'sk-[A-Za-z0-9_-]{20,}', // OpenAI, Anthropic
+      'gh[pousr]_[A-Za-z0-9]{36,}', // GitHub
+      'github_pat_[A-Za-z0-9_]{22,}',
+      'glpat-[A-Za-z0-9_-]{20,}', // GitLab
+      'xox[abposr]-[A-Za-z0-9-]{10,}', // Slack
+      '(?:AKIA|ASIA)[0-9A-Z]{16}', // AWS access key ID
+      'AIza[0-9A-Za-z_-]{35}', // Google
+      '[rs]k_(?:live|test)_[A-Za-z0-9]{16,}' // Stripe
+    ].map(part => `\\b${part}`).join('|'), 'g')
+  },
+  {
+    name: 'jwt',
+    pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]+/g
+  },
+  {
+    name: 'url_credentials',
+    pattern: /(?<=[a-z][a-z0-9+.-]*:\/\/)[^\s/:@]+:[^\s/@]+(?=@)/gi
+  },
+  {
+    // "the password is hunter2": values with a digit or symbol after a secret's name
+    name: 'credential',
+    pattern: /(?<=\b(?:password|passcode|passwd|secret|token|api key|apikey|api_key)\s*(?:is|=|:)\s*)["']?(?=[^\s"']*[\d_!@#$%^&*-])[^\s"',;]{4,}["']?/gi
+  },
+  {
+    name: 'email',
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g
+  },
+  {
+    name: 'credit_card',
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    accept: isLuhnValid
+  },
+  {
+    name: 'phone',
+    pattern: /(?<![\w+])(?:\+\d{1,3}[ .-]?)?(?:\(\d{3}\)|\d{3})[ .-]?\d{3}[ .-]?\d{4}(?!\w)|(?<![\w+])\+\d{1,3}(?:[ .-]?\d){7,12}(?!\w)/g
+  },
+  {
+    // Random-looking tokens such as unknown API keys
+    name: 'high_entropy',
+    pattern: new RegExp(`(?<![\\w+=-])[A-Za-z0-9+=_-]{${MIN_ENTROPY_TOKEN_LENGTH},}(?![\\w+=-])`, 'g'),
+    accept: (value, threshold) => shannonEntropy(value) >= threshold && classSwitchRatio(value) >= MIN_CLASS_SWITCH_RATIO
+  }
+];
+
+/**
+ * Parse the built-in rules to apply
+ * @param {string|undefined} value - REDACTION_RULES value
+ * @returns {Array<Object>} Built-in rules
+ * @throws {Error} If a rule is unknown
+ */
+function parseRuleNames(value) {
+  if (value === undefined) {
+    return BUILT_IN_RULES;
+  }
+
+  const names = value.split(',').map(name => name.trim()).filter(Boolean);
+  if (names.length === 1 && names[0] === 'none') {
+    return [];
+  }
+
+  const unknown = names.filter(name => !BUILT_IN_RULES.some(rule => rule.name === name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown redaction rules in REDACTION_RULES: ${unknown.join(', ')}`);
+  }
+  return BUILT_IN_RULES.filter(rule => names.includes(rule.name));
+}
+
+/**
+ * Parse custom redaction rules
+ * @param {string|undefined} value - REDACTION_PATTERNS value
+ * @returns {Array<Object>} Custom rules
+ * @throws {Error} If the value is not a valid list of rules
+ */
+function parseCustomRules(value) {
+  if (!value) {
+    return [];
+  }
+
+  let patterns;
+  try {
+    patterns = JSON.parse(value);
+  } catch {
+    throw new Error('REDACTION_PATTERNS must be a JSON array');
+  }
+  if (!Array.isArray(patterns)) {
+    throw new Error('REDACTION_PATTERNS must be a JSON array');
+  }
+
+  return patterns.map(({ name, pattern, flags = '' }) => {
+    if (typeof name !== 'string' || !RULE_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid redaction rule name in REDACTION_PATTERNS: ${name}`);
+    }
+    try {
+      return { name, pattern: new RegExp(pattern, flags.replace('g', '') + 'g') };
+    } catch (error) {
+      throw new Error(`Invalid pattern for redaction rule ${name}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Create a redactor from environment configuration. The redactor counts
+ * everything it redacts, so one redactor per generation run records what
+ * was removed from its prompts.
+ * @param {Object} env - Environment variables
+ * @returns {Object} Redactor with redact() and applied()
+ * @throws {Error} If the configuration is invalid
+ */
+export function createRedactor(env = process.env) {
+  const threshold = env.REDACTION_ENTROPY_THRESHOLD
+    ? parseFloat(env.REDACTION_ENTROPY_THRESHOLD)
+    : DEFAULT_ENTROPY_THRESHOLD;
+  if (!(threshold > 0)) {
+    throw new Error('REDACTION_ENTROPY_THRESHOLD must be a positive number');
+  }
+
+  // Custom rules run first: they name what a team knows to be sensitive
+  const rules = [...parseCustomRules(env.REDACTION_PATTERNS), ...parseRuleNames(env.REDACTION_RULES)];
+  const totals = new Map();
+
+  /**
+   * Redact text
+   * @param {string} text - Text
+   * @returns {{text: string, redactions: Array<{rule: string, count: number}>}} Redacted text and the rules that matched
+   */
+  function redact(text) {
+    const redactions = [];
+    let redacted = text;
+
+    for (const rule of rules) {
+      let count = 0;
+      redacted = redacted.replace(rule.pattern, (match) => {
+        if (rule.accept && !rule.accept(match, threshold)) {
+          return match;
+        }
+        count++;
+        return `[REDACTED:${rule.name}]`;
+      });
+
+      if (count > 0) {
+        redactions.push({ rule: rule.name, count });
+        totals.set(rule.name, (totals.get(rule.name) || 0) + count);
+      }
+    }
+    return { text: redacted, redactions };
+  }
+
+  /**
+   * Get everything this redactor has redacted so far
+   * @returns {Array<{rule: string, count: number}>} Redaction counts per rule
+   */
+  function applied() {
+    return [...totals].map(([rule, count]) => ({ rule, count }));
+  }
+
+  return { redact, applied };
+}
@@ -0,0 +1,75 @@
+/**
+ * Transcript retention: a timer in the backend process deletes the
+ * transcripts that the retention settings of their repository let expire
+ */
+import { listReposWithRetention, purgeExpiredTranscriptions } from '../db/database.js';
+import { removeUtteranceAudio } from '../speech/audioArchive.js';
+
+// Minutes between purges; 0 disables the timer
+const PURGE_INTERVAL_MINUTES = parseInt(process.env.RETENTION_PURGE_INTERVAL_MINUTES || '60', 10);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let purging = null;
+
+/**
+ * Delete the expired transcripts of every repository with a retention
+ * setting, and their archived audio. A failing repository is logged and does not stop the others.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Array<Object>>} Per repository: repoId, deleted transcripts and cleared runs
+ */
+export async function purgeExpiredData(now = new Date()) {
+  const results = [];
+
+  for (const repo of await listReposWithRetention()) {
+    const before = new Date(now.getTime() - repo.retention_days * DAY_MS).toISOString();
+    try {
+      const { audioFiles, ...purged } = await purgeExpiredTranscriptions(repo.id, before, {
+        unreferencedOnly: repo.retention_mode === 'unreferenced'
+      });
+      await removeUtteranceAudio(audioFiles);
+      if (purged.transcripts > 0 || purged.runs > 0) {
+        console.log(`Retention: deleted ${purged.transcripts} transcript(s) of repo ${repo.id} from before ${before}, cleared ${purged.runs} run(s)`);
+      }
+      results.push({ repoId: repo.id, ...purged });
+    } catch (error) {
+      console.error(`Retention: failed to purge repo ${repo.id}:`, error.message);
+    }
+  }
+  return results;
+}
+
+/**
+ * Purge now, unless a purge is still running
+ * @returns {Promise<void>}
+ */
+async function runPurge() {
+  if (purging) {
+    return;
+  }
+
+  purging = purgeExpiredData()
+    .catch(error => console.error('Retention: purge failed:', error.message))
+    .finally(() => {
+      purging = null;
+    });
+  await purging;
+}
+
+/**
+ * Purge expired transcripts on startup and then every
+ * RETENTION_PURGE_INTERVAL_MINUTES. The timer does not keep the process alive.
+ * @returns {Function} Stops the timer
+ */
+export function startRetentionPurge() {
+  if (!(PURGE_INTERVAL_MINUTES > 0)) {
+    console.log('Retention purge disabled');
+    return () => {};
+  }
+
+  runPurge();
+  const timer = setInterval(runPurge, PURGE_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  console.log(`Retention purge runs every ${PURGE_INTERVAL_MINUTES} minutes`);
+  return () => clearInterval(timer);
+}
@@ -0,0 +1,132 @@
+import { createUser, getUserByUsername, createApiToken, revokeApiToken } from '../db/database.js';
+import { hashPassword, verifyPassword, generateToken, hashToken, getBearerToken } from '../auth/auth.js';
+
+const USERNAME_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const TOKEN_TTL_DAYS = parseInt(process.env.AUTH_TOKEN_TTL_DAYS || '90', 10);
+
+/**
+ * Send a 500 response for an unexpected error. Request bodies are never
+ * logged, since they contain passwords.
+ * @param {Object} res - Express response
+ * @param {string} handler - Handler name for the log
+ * @param {Error} error - Error
+ */
+function sendInternalError(res, handler, error) {
+  console.error(`Error in ${handler}:`, error.message);
+  res.status(500).json({
+    error: 'Internal server error',
+    message: error.message
+  });
+}
+
+/**
+ * Create a user account. Disabled when ALLOW_SIGNUP is false.
+ * POST /api/auth/signup
+ * Body: { userName: string, password: string }
+ */
+export async function signup(req, res) {
+  try {
+    if (process.env.ALLOW_SIGNUP === 'false') {
+      return res.status(403).json({
+        error: 'Signup disabled',
+        message: 'Ask an administrator to create your account'
+      });
+    }
+
+    const { userName, password } = req.body;
+
+    if (!userName || !password) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'userName and password are required'
+      });
+    }
+
+    if (!USERNAME_PATTERN.test(userName)) {
+      return res.status(400).json({
+        error: 'Invalid username',
+        message: 'userName may contain letters, digits, ".", "_" and "-" (up to 64 characters)'
+      });
+    }
+
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        error: 'Invalid password',
+        message: `password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      });
+    }
+
+    const user = await createUser(userName, await hashPassword(password));
+    if (!user) {
+      return res.status(409).json({
+        error: 'Username taken',
+        message: `User ${userName} already exists`
+      });
+    }
+
+    console.log(`Created user ${user.username}`);
+    res.status(201).json({ id: user.id, userName: user.username });
+  } catch (error) {
+    sendInternalError(res, 'signup', error);
+  }
+}
+
+/**
+ * Sign in and issue an API token
+ * POST /api/auth/login
+ * Body: { userName: string, password: string, tokenName?: string }
+ */
+export async function login(req, res) {
+  try {
+    const { userName, password, tokenName } = req.body;
+
+    if (!userName || !password) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'userName and password are required'
+      });
+    }
+
+    const user = await getUserByUsername(userName);
+    if (!user || !(await verifyPassword(String(password), user.password_hash))) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Invalid username or password'
+      });
+    }
+
+    const { token, tokenHash } = generateToken();
+    const expiresAt = TOKEN_TTL_DAYS > 0
+      ? new Date(Date.now() + TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString()
+      : null;
+    await createApiToken(user.id, tokenHash, tokenName || null, expiresAt);
+
+    console.log(`Issued API token for user ${user.username}`);
+    res.status(201).json({ token, userName: user.username, expiresAt });
+  } catch (error) {
+    sendInternalError(res, 'login', error);
+  }
+}
+
+/**
+ * Show the user the request's token belongs to
+ * GET /api/auth/me
+ */
+export function getCurrentUser(req, res) {
+  res.json({ id: req.user.id, userName: req.user.username });
+}
+
+/**
+ * Revoke the request's token
+ * POST /api/auth/logout
+ */
+export async function logout(req, res) {
+  try {
+    await revokeApiToken(hashToken(getBearerToken(req.headers)));
+    console.log(`Revoked API token of user ${req.user.username}`);
+    res.status(204).end();
+  } catch (error) {
+    sendInternalError(res, 'logout', error);
+  }
+}
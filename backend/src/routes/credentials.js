@@ -0,0 +1,177 @@
+import { putRepoCredential, getRepoCredential, deleteRepoCredential } from '../db/database.js';
+import { encryptSecret } from '../db/encryption.js';
+import { findRepo, sendRepoNotFound, checkRepoAccess } from './repos.js';
+
+const CREDENTIAL_KINDS = ['https_token', 'ssh_key'];
+
+/**
+ * Send a 500 response for an unexpected error. Request bodies are never
+ * logged, since they contain secrets.
+ * @param {Object} res - Express response
+ * @param {string} handler - Handler name for the log
+ * @param {Error} error - Error
+ */
+function sendInternalError(res, handler, error) {
+  console.error(`Error in ${handler}:`, error.message);
+  res.status(500).json({
+    error: 'Internal server error',
+    message: error.message
+  });
+}
+
+/**
+ * Validate credentials from a request body
+ * @param {Object} body - Object with kind, username (optional) and secret
+ * @returns {{credentials?: Object, error?: Object}} Credentials ({kind, username, secret}) or a 400 response body
+ */
+export function parseCredentials({ kind, username, secret } = {}) {
+  if (!kind || !secret) {
+    return { error: { error: 'Missing required fields', message: 'kind and secret are required' } };
+  }
+
+  if (!CREDENTIAL_KINDS.includes(kind)) {
+    return { error: { error: 'Invalid credential kind', message: `kind must be one of: ${CREDENTIAL_KINDS.join(', ')}` } };
+  }
+
+  if (typeof secret !== 'string' || (kind === 'ssh_key' && !secret.includes('PRIVATE KEY'))) {
+    return {
+      error: {
+        error: 'Invalid secret',
+        message: kind === 'ssh_key' ? 'secret must be a PEM or OpenSSH private key' : 'secret must be a string'
+      }
+    };
+  }
+
+  return { credentials: { kind, username: kind === 'https_token' ? username || null : null, secret } };
+}
+
+/**
+ * Encrypt and store the credentials of a registered repository
+ * @param {string} repoId - Repository UUID
+ * @param {Object} credentials - Credentials from parseCredentials()
+ * @returns {Promise<Object>} The stored record without the secret
+ */
+export async function storeCredentials(repoId, { kind, username, secret }) {
+  const credential = await putRepoCredential(repoId, {
+    kind,
+    username,
+    encryptedSecret: encryptSecret(secret, repoId)
+  });
+
+  console.log(`Stored ${kind} credentials for repo ${repoId}`);
+  return credential;
+}
+
+/**
+ * Register or replace the credentials used to clone a private repository
+ * (owners only)
+ * PUT /api/repos/credentials
+ * Body: { repoId?: string, repoUrl?: string, kind: 'https_token' | 'ssh_key', username?: string, secret: string }
+ */
+export async function putCredentials(req, res) {
+  try {
+    const { repoId, repoUrl } = req.body;
+
+    if (!repoId && !repoUrl) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'repoId or repoUrl is required'
+      });
+    }
+
+    const parsed = parseCredentials(req.body);
+    if (parsed.error) {
+      return res.status(400).json(parsed.error);
+    }
+
+    const repo = await findRepo({ repoId, repoUrl });
+    if (!repo) {
+      return sendRepoNotFound(res);
+    }
+
+    if (!(await checkRepoAccess(req, res, repo, true))) {
+      return;
+    }
+
+    res.json(await storeCredentials(repo.id, parsed.credentials));
+  } catch (error) {
+    sendInternalError(res, 'putCredentials', error);
+  }
+}
+
+/**
+ * Show which credentials are registered for a repository, without the secret
+ * GET /api/repos/credentials?repoId=... or ?repoUrl=...
+ */
+export async function getCredentials(req, res) {
+  try {
+    const { repoId, repoUrl } = req.query;
+
+    if (!repoId && !repoUrl) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'repoId or repoUrl is required'
+      });
+    }
+
+    const repo = await findRepo({ repoId, repoUrl });
+    if (!repo) {
+      return sendRepoNotFound(res);
+    }
+
+    if (!(await checkRepoAccess(req, res, repo))) {
+      return;
+    }
+
+    const credential = await getRepoCredential(repo.id);
+    if (!credential) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'No credentials registered for this repository'
+      });
+    }
+
+    const { encrypted_secret: _, ...metadata } = credential;
+    res.json(metadata);
+  } catch (error) {
+    sendInternalError(res, 'getCredentials', error);
+  }
+}
+
+/**
+ * Remove the credentials of a repository (owners only)
+ * DELETE /api/repos/credentials?repoId=... or ?repoUrl=...
+ */
+export async function deleteCredentials(req, res) {
+  try {
+    const { repoId, repoUrl } = req.query;
+
+    if (!repoId && !repoUrl) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'repoId or repoUrl is required'
+      });
+    }
+
+    const repo = await findRepo({ repoId, repoUrl });
+    if (!repo) {
+      return sendRepoNotFound(res);
+    }
+
+    if (!(await checkRepoAccess(req, res, repo, true))) {
+      return;
+    }
+
+    if (!(await deleteRepoCredential(repo.id))) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'No credentials registered for this repository'
+      });
+    }
+
+    console.log(`Deleted credentials for repo ${repo.id}`);
+    res.status(204).end();
+  } catch (error) {
+    sendInternalError(res, 'deleteCredentials', error);
+  }
+}
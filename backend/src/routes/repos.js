@@ -1,38 +1,263 @@
+import { v4 as uuidv4 } from 'uuid';
+import {
+  createRepo,
+  getRepo,
+  getRepoByCanonicalUrl,
+  getUserByUsername,
+  putRepoMember,
+  getRepoMemberRole,
+  listRepoMembers,
+  deleteRepoMember
+} from '../db/database.js';
+import { probeRemote } from '../agent/workspaceCache.js';
+import { redactSecrets } from '../agent/gitCredentials.js';
+import { parseCredentials, storeCredentials } from './credentials.js';
+
+// How long registration waits for git ls-remote
+const PROBE_TIMEOUT_MS = 30000;
+
+/**
+ * Build the canonical form of a repository URL, so that the same repository
+ * written two ways (https or ssh, with or without .git, different case)
+ * maps to one registration. Network URLs become lowercased host and path;
+ * local paths keep their case. postgres/004_create_repos.js has its own
+ * frozen copy, which changes here do not reach.
+ * @param {string} repoUrl - Repository URL, scp-like address or local path
+ * @returns {string} Canonical URL
+ * @throws {Error} If the URL cannot be parsed
+ */
+export function canonicalizeRepoUrl(repoUrl) {
+  const value = String(repoUrl).trim();
+  const trimSuffix = location => location.replace(/\/+$/, '').replace(/\.git$/i, '').replace(/\/+$/, '');
+
+  if (/^file:\/\//i.test(value) || value.startsWith('/')) {
+    return `file://${trimSuffix(value.replace(/^file:\/\//i, ''))}`;
+  }
+
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(value)) {
+    const url = new URL(value);
+    return trimSuffix(`${url.hostname}${url.pathname}`).toLowerCase();
+  }
+
+  // scp-like syntax: [user@]host:path
+  const scpLike = value.match(/^(?:[^@/\s]+@)?([^:/\s]+):(?!\/)(.+)$/);
+  if (scpLike) {
+    return trimSuffix(`${scpLike[1]}/${scpLike[2].replace(/^\/+/, '')}`).toLowerCase();
+  }
+
+  throw new Error(`Unsupported repository URL: ${redactSecrets(value)}`);
+}
+
+/**
+ * Find a registered repository by ID or URL
+ * @param {Object} params - Lookup parameters
+ * @param {string} [params.repoId] - Repository UUID
+ * @param {string} [params.repoUrl] - Repository URL in any form
+ * @returns {Promise<Object|null>} Repository record or null if not registered (or the URL is invalid)
+ */
+export async function findRepo({ repoId, repoUrl }) {
+  if (repoId) {
+    return getRepo(repoId);
+  }
+  if (!repoUrl) {
+    return null;
+  }
+
+  let canonicalUrl;
+  try {
+    canonicalUrl = canonicalizeRepoUrl(repoUrl);
+  } catch {
+    return null;
+  }
+  return getRepoByCanonicalUrl(canonicalUrl);
+}
+
+/**
+ * Send a 404 response for a repository that is not registered
+ * @param {Object} res - Express response
+ */
+export function sendRepoNotFound(res) {
+  res.status(404).json({
+    error: 'Not found',
+    message: 'Repository is not registered. Register it with POST /api/repos/register first.'
+  });
+}
+
+/**
+ * Check that the signed-in user may access a repository, sending a 403
+ * response if not
+ * @param {Object} req - Express request with req.user
+ * @param {Object} res - Express response
+ * @param {Object} repo - Repository record
+ * @param {boolean} [ownerOnly] - Require the owner role (default: false)
+ * @returns {Promise<boolean>} True if access is allowed
+ */
+export async function checkRepoAccess(req, res, repo, ownerOnly = false) {
+  const role = await getRepoMemberRole(repo.id, req.user.id);
+
+  if (!role || (ownerOnly && role !== 'owner')) {
+    res.status(403).json({
+      error: 'Forbidden',
+      message: ownerOnly ? 'Only repository owners can do this' : 'You are not a member of this repository'
+    });
+    return false;
+  }
+  return true;
+}
+
 /**
- * Register a new repository
+ * Register a new repository after checking that it is reachable. The
+ * registering user becomes its owner. Local paths and file:// URLs are
+ * rejected unless ALLOW_LOCAL_REPOS is true. Registering a URL that is already
+ * registered (in any form) returns the existing repository to its members
+ * only; a repository without members gets its owner from the server operator
+ * (npm run assign-owner).
  * POST /api/repos/register
- * Body: { repoUrl: string, userName: string }
+ * Body: { repoUrl: string, defaultBranch?: string, credentials?: { kind, username?, secret } }
  */
 export async function registerRepo(req, res) {
-  console.log('registerRepo', req.body);
+  try {
+    const { repoUrl, defaultBranch } = req.body;
+    const userName = req.user.username;
+
+    if (!repoUrl) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'repoUrl is required'
+      });
+    }
+
+    let canonicalUrl;
+    try {
+      canonicalUrl = canonicalizeRepoUrl(repoUrl);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid repository URL',
+        message: error.message
+      });
+    }
+
+    // The agent's tools read registered repositories, so a local path would
+    // expose the server's filesystem
+    if (canonicalUrl.startsWith('file://') && process.env.ALLOW_LOCAL_REPOS !== 'true') {
+      return res.status(400).json({
+        error: 'Invalid repository URL',
+        message: 'Local paths cannot be registered; use a network URL'
+      });
+    }
+
+    const existing = await getRepoByCanonicalUrl(canonicalUrl);
+    if (existing) {
+      return sendExistingRepo(req, res, existing);
+    }
+
+    let credentials = null;
+    if (req.body.credentials) {
+      const parsed = parseCredentials(req.body.credentials);
+      if (parsed.error) {
+        return res.status(400).json(parsed.error);
+      }
+      credentials = parsed.credentials;
+    }
+
+    let remoteBranch;
+    try {
+      remoteBranch = await probeRemote(repoUrl, credentials, AbortSignal.timeout(PROBE_TIMEOUT_MS));
+    } catch (error) {
+      return res.status(422).json({
+        error: 'Repository not reachable',
+        message: redactSecrets(error.message, credentials)
+      });
+    }
+
+    const { repo, created } = await createRepo({
+      id: uuidv4(),
+      url: repoUrl,
+      canonicalUrl,
+      defaultBranch: defaultBranch || remoteBranch || 'main',
+      createdBy: userName
+    });
+
+    if (!created) {
+      return sendExistingRepo(req, res, repo);
+    }
+
+    console.log(`User ${userName} registered repo ${redactSecrets(repoUrl)} as ${repo.id}`);
+    await putRepoMember(repo.id, req.user.id, 'owner');
+    if (credentials) {
+      await storeCredentials(repo.id, credentials);
+    }
+
+    res.status(201).json(repo);
+  } catch (error) {
+    console.error('Error in registerRepo:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
 }
 
 /**
- * Connect a user to a repository
+ * Answer a registration of an already registered repository
+ * @param {Object} req - Express request with req.user
+ * @param {Object} res - Express response
+ * @param {Object} repo - Existing repository record
+ * @returns {Promise<void>}
+ */
+async function sendExistingRepo(req, res, repo) {
+  if (await getRepoMemberRole(repo.id, req.user.id)) {
+    res.json(repo);
+    return;
+  }
+
+  // Being able to reach a repository does not make someone its owner, so a
+  // repository without members (registered before user accounts existed)
+  // is never handed to the caller
+  const hasMembers = (await listRepoMembers(repo.id)).length > 0;
+  res.status(409).json({
+    error: 'Already registered',
+    message: hasMembers
+      ? 'This repository is already registered. Ask one of its owners to add you as a member.'
+      : 'This repository is already registered but has no owner. Ask the server operator to assign one.'
+  });
+}
+
+/**
+ * Connect the signed-in user to a registered repository they are a member of
  * POST /api/repos/connect
- * Body: { repoUrl: string, userName: string, branch?: string }
+ * Body: { repoUrl?: string, repoId?: string, branch?: string }
  */
 export async function connectUser(req, res) {
   try {
-    const { repoUrl, userName, branch } = req.body;
+    const { repoUrl, repoId, branch } = req.body;
+    const userName = req.user.username;
 
     // Validate required fields
-    if (!repoUrl || !userName) {
+    if (!repoUrl && !repoId) {
       return res.status(400).json({
         error: 'Missing required fields',
-        message: 'repoUrl and userName are required'
+        message: 'repoUrl or repoId is required'
       });
     }
 
-    // Use repoUrl as repoId
-    const repoId = repoUrl;
-    const branchName = branch || 'main';
+    const repo = await findRepo({ repoId, repoUrl });
+    if (!repo) {
+      return sendRepoNotFound(res);
+    }
+
+    if (!(await checkRepoAccess(req, res, repo))) {
+      return;
+    }
+
+    const branchName = branch || repo.default_branch;
 
-    console.log(`User ${userName} connecting to repo ${repoId} on branch ${branchName}`);
+    console.log(`User ${userName} connecting to repo ${repo.id} on branch ${branchName}`);
 
     // Return success response with connection info
     res.json({
-      repoId: repoId,
+      repoId: repo.id,
+      repoUrl: repo.url,
       userName: userName,
       branch: branchName
     });
@@ -44,3 +269,137 @@ export async function connectUser(req, res) {
     });
   }
 }
+
+/**
+ * Load the repository of the :id route parameter and check access
+ * @param {Object} req - Express request with req.user
+ * @param {Object} res - Express response
+ * @param {boolean} ownerOnly - Require the owner role
+ * @returns {Promise<Object|null>} Repository record, or null after sending an error response
+ */
+export async function loadAccessibleRepo(req, res, ownerOnly) {
+  const repo = await getRepo(req.params.id);
+  if (!repo) {
+    sendRepoNotFound(res);
+    return null;
+  }
+  return (await checkRepoAccess(req, res, repo, ownerOnly)) ? repo : null;
+}
+
+/**
+ * List the members of a repository
+ * GET /api/repos/:id/members
+ */
+export async function listMembers(req, res) {
+  try {
+    const repo = await loadAccessibleRepo(req, res, false);
+    if (repo) {
+      res.json({ members: await listRepoMembers(repo.id) });
+    }
+  } catch (error) {
+    console.error('Error in listMembers:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Add a user to a repository or change their role (owners only)
+ * POST /api/repos/:id/members
+ * Body: { userName: string, role?: 'owner' | 'member' }
+ */
+export async function addMember(req, res) {
+  try {
+    const { userName, role = 'member' } = req.body;
+
+    if (!userName) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'userName is required'
+      });
+    }
+
+    if (!['owner', 'member'].includes(role)) {
+      return res.status(400).json({
+        error: 'Invalid role',
+        message: 'role must be owner or member'
+      });
+    }
+
+    const repo = await loadAccessibleRepo(req, res, true);
+    if (!repo) {
+      return;
+    }
+
+    const user = await getUserByUsername(userName);
+    if (!user) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `User ${userName} not found`
+      });
+    }
+
+    if (role === 'member' && (await getRepoMemberRole(repo.id, user.id)) === 'owner') {
+      const owners = (await listRepoMembers(repo.id)).filter(member => member.role === 'owner');
+      if (owners.length === 1) {
+        return res.status(400).json({
+          error: 'Cannot remove owner',
+          message: 'A repository needs at least one owner'
+        });
+      }
+    }
+
+    await putRepoMember(repo.id, user.id, role);
+    console.log(`User ${req.user.username} added ${userName} to repo ${repo.id} as ${role}`);
+    res.json({ members: await listRepoMembers(repo.id) });
+  } catch (error) {
+    console.error('Error in addMember:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Remove a member from a repository (owners only). Owners cannot be
+ * removed, so a repository always keeps at least one.
+ * DELETE /api/repos/:id/members/:userName
+ */
+export async function removeMember(req, res) {
+  try {
+    const repo = await loadAccessibleRepo(req, res, true);
+    if (!repo) {
+      return;
+    }
+
+    const user = await getUserByUsername(req.params.userName);
+    const role = user ? await getRepoMemberRole(repo.id, user.id) : null;
+
+    if (!role) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `${req.params.userName} is not a member of this repository`
+      });
+    }
+
+    if (role === 'owner') {
+      return res.status(400).json({
+        error: 'Cannot remove owner',
+        message: 'Owners cannot be removed; change their role to member first'
+      });
+    }
+
+    await deleteRepoMember(repo.id, user.id);
+    console.log(`User ${req.user.username} removed ${user.username} from repo ${repo.id}`);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error in removeMember:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,150 @@
+import {
+  setRepoRetention,
+  deleteUserTranscriptions,
+  deleteUser,
+  deleteRepoConversationData
+} from '../db/database.js';
+import { removeUtteranceAudio } from '../speech/audioArchive.js';
+import { loadAccessibleRepo } from './repos.js';
+
+const RETENTION_MODES = ['all', 'unreferenced'];
+const MAX_RETENTION_DAYS = 36500;
+
+// Left on the runs, sessions and repositories of a deleted account; no
+// account can be named like this
+const DELETED_USER_NAME = '[deleted]';
+
+/**
+ * Get the retention settings of a repository record
+ * @param {Object} repo - Repository record
+ * @returns {Object} Retention settings
+ */
+function toRetention(repo) {
+  return { days: repo.retention_days, mode: repo.retention_mode };
+}
+
+/**
+ * Show how long a repository keeps its transcripts
+ * GET /api/repos/:id/retention
+ */
+export async function getRetention(req, res) {
+  try {
+    const repo = await loadAccessibleRepo(req, res, false);
+    if (repo) {
+      res.json(toRetention(repo));
+    }
+  } catch (error) {
+    console.error('Error in getRetention:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Set how long a repository keeps its transcripts (owners only). Expired
+ * transcripts are deleted by the next purge.
+ * PUT /api/repos/:id/retention
+ * Body: { days: number | null, mode?: 'all' | 'unreferenced' }
+ */
+export async function putRetention(req, res) {
+  try {
+    const { days, mode = 'all' } = req.body;
+
+    if (days !== null && !(Number.isInteger(days) && days >= 1 && days <= MAX_RETENTION_DAYS)) {
+      return res.status(400).json({
+        error: 'Invalid retention',
+        message: `days must be a whole number from 1 to ${MAX_RETENTION_DAYS}, or null to keep transcripts forever`
+      });
+    }
+
+    if (!RETENTION_MODES.includes(mode)) {
+      return res.status(400).json({
+        error: 'Invalid retention',
+        message: 'mode must be all or unreferenced'
+      });
+    }
+
+    const repo = await loadAccessibleRepo(req, res, true);
+    if (!repo) {
+      return;
+    }
+
+    const updated = await setRepoRetention(repo.id, { days, mode });
+    console.log(`User ${req.user.username} set retention of repo ${repo.id} to ${days === null ? 'forever' : `${days} days (${mode})`}`);
+    res.json(toRetention(updated));
+  } catch (error) {
+    console.error('Error in putRetention:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Hard-delete the conversation data of a repository: all transcripts,
+ * generation runs and sessions (owners only), or everything one user said
+ * (owners, or that user), with its archived audio. The repository stays
+ * registered.
+ * DELETE /api/repos/:id/data
+ * DELETE /api/repos/:id/data?user=...
+ */
+export async function deleteRepoData(req, res) {
+  try {
+    const { user } = req.query;
+
+    if (user !== undefined && (typeof user !== 'string' || !user)) {
+      return res.status(400).json({
+        error: 'Invalid user',
+        message: 'user must be a user name'
+      });
+    }
+
+    const repo = await loadAccessibleRepo(req, res, user !== req.user.username);
+    if (!repo) {
+      return;
+    }
+
+    if (user) {
+      const { audioFiles, ...deleted } = await deleteUserTranscriptions(user, repo.id);
+      await removeUtteranceAudio(audioFiles);
+      console.log(`User ${req.user.username} deleted the transcripts of ${user} in repo ${repo.id}: ${deleted.transcripts} transcript(s), ${deleted.runs} run(s) changed`);
+      return res.json({ deleted });
+    }
+
+    const { audioFiles, ...deleted } = await deleteRepoConversationData(repo.id);
+    await removeUtteranceAudio(audioFiles);
+    console.log(`User ${req.user.username} deleted the conversation data of repo ${repo.id}: ${deleted.transcripts} transcript(s), ${deleted.runs} run(s), ${deleted.sessions} session(s)`);
+    res.json({ deleted });
+  } catch (error) {
+    console.error('Error in deleteRepoData:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Delete the signed-in user's account: everything the user said in every
+ * repository (with its archived audio), API tokens and memberships. Runs,
+ * sessions and repositories the user requested, started or registered stay
+ * with their repository under DELETED_USER_NAME.
+ * DELETE /api/auth/me/data
+ */
+export async function deleteOwnData(req, res) {
+  try {
+    const { audioFiles, ...deleted } = await deleteUser(req.user.username, DELETED_USER_NAME);
+    await removeUtteranceAudio(audioFiles);
+    console.log(`User ${req.user.username} deleted their account: ${deleted.transcripts} transcript(s), ${deleted.runs} run(s) changed, ${deleted.requestedRuns} run(s) and ${deleted.startedSessions} session(s) anonymized, ${deleted.tokens} token(s) and ${deleted.memberships} membership(s) deleted`);
+    res.json({ deleted });
+  } catch (error) {
+    console.error('Error in deleteOwnData:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,125 @@
+import { listGenerationRuns, getGenerationRun, getRepo } from '../db/database.js';
+import { findRepo, sendRepoNotFound, checkRepoAccess } from './repos.js';
+
+/**
+ * Parse the run ID route parameter
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {number|null} Run ID, or null after sending a 400 response
+ */
+function parseRunId(req, res) {
+  const id = Number(req.params.id);
+
+  if (!Number.isInteger(id) || id < 1) {
+    res.status(400).json({
+      error: 'Invalid run ID',
+      message: 'Run ID must be a positive integer'
+    });
+    return null;
+  }
+  return id;
+}
+
+/**
+ * Load a run by the ID route parameter, if the signed-in user is a member
+ * of its repository
+ * @param {Object} req - Express request with req.user
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} Run record, or null after sending an error response
+ */
+async function loadRun(req, res) {
+  const id = parseRunId(req, res);
+  if (id === null) {
+    return null;
+  }
+
+  const run = await getGenerationRun(id);
+  const repo = run ? await getRepo(run.git_repo) : null;
+  if (!run || !repo) {
+    res.status(404).json({
+      error: 'Not found',
+      message: `Generation run ${id} not found`
+    });
+    return null;
+  }
+  return (await checkRepoAccess(req, res, repo)) ? run : null;
+}
+
+/**
+ * List code generation runs for a repository branch, newest first
+ * GET /api/runs?repoId=...&branch=...&limit=20 (or repoUrl instead of repoId)
+ */
+export async function listRuns(req, res) {
+  try {
+    const { repoId, repoUrl, branch } = req.query;
+
+    if ((!repoId && !repoUrl) || !branch) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'repoId (or repoUrl) and branch are required'
+      });
+    }
+
+    const repo = await findRepo({ repoId, repoUrl });
+    if (!repo) {
+      return sendRepoNotFound(res);
+    }
+
+    if (!(await checkRepoAccess(req, res, repo))) {
+      return;
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const runs = await listGenerationRuns(repo.id, branch, limit);
+
+    res.json({ runs });
+  } catch (error) {
+    console.error('Error in listRuns:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Get one code generation run with its transcripts and file patches
+ * GET /api/runs/:id
+ */
+export async function getRun(req, res) {
+  try {
+    const run = await loadRun(req, res);
+    if (run) {
+      res.json(run);
+    }
+  } catch (error) {
+    console.error('Error in getRun:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Download the patches of a code generation run as one patch file
+ * GET /api/runs/:id/patch
+ */
+export async function downloadRunPatch(req, res) {
+  try {
+    const run = await loadRun(req, res);
+    if (!run) {
+      return;
+    }
+
+    res.type('text/x-diff');
+    res.attachment(`generation-run-${run.id}.patch`);
+    res.send(run.files.map(file => file.patch).join('\n'));
+  } catch (error) {
+    console.error('Error in downloadRunPatch:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
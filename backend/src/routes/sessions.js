@@ -0,0 +1,210 @@
+import {
+  createSession,
+  getSession,
+  getOpenSession,
+  listSessions,
+  renameSession,
+  endSession,
+  getRepo
+} from '../db/database.js';
+import { findRepo, sendRepoNotFound, checkRepoAccess } from './repos.js';
+
+const MAX_SESSION_NAME_LENGTH = 200;
+
+/**
+ * Validate a session name from a request body
+ * @param {*} name - Name from the request body
+ * @returns {string|null} Trimmed name, or null if it is missing or too long
+ */
+function parseSessionName(name) {
+  if (typeof name !== 'string') {
+    return null;
+  }
+  const trimmed = name.trim();
+  return trimmed && trimmed.length <= MAX_SESSION_NAME_LENGTH ? trimmed : null;
+}
+
+/**
+ * Send a 400 response for an invalid session name
+ * @param {Object} res - Express response
+ */
+function sendInvalidName(res) {
+  res.status(400).json({
+    error: 'Invalid name',
+    message: `name is required and must be at most ${MAX_SESSION_NAME_LENGTH} characters`
+  });
+}
+
+/**
+ * Load a session by the ID route parameter, if the signed-in user is a
+ * member of its repository
+ * @param {Object} req - Express request with req.user
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} Session record, or null after sending an error response
+ */
+async function loadSession(req, res) {
+  if (!/^\d{1,18}$/.test(req.params.id)) {
+    res.status(400).json({
+      error: 'Invalid session ID',
+      message: 'Session ID must be a positive integer'
+    });
+    return null;
+  }
+
+  const session = await getSession(req.params.id);
+  const repo = session ? await getRepo(session.git_repo) : null;
+  if (!session || !repo) {
+    res.status(404).json({
+      error: 'Not found',
+      message: `Conversation session ${req.params.id} not found`
+    });
+    return null;
+  }
+  return (await checkRepoAccess(req, res, repo)) ? session : null;
+}
+
+/**
+ * List the conversation sessions of a branch, newest first
+ * GET /api/sessions?repoId=...&branch=...&limit=20 (or repoUrl instead of repoId)
+ */
+export async function listBranchSessions(req, res) {
+  try {
+    const { repoId, repoUrl, branch } = req.query;
+
+    if ((!repoId && !repoUrl) || !branch) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'repoId (or repoUrl) and branch are required'
+      });
+    }
+
+    const repo = await findRepo({ repoId, repoUrl });
+    if (!repo) {
+      return sendRepoNotFound(res);
+    }
+
+    if (!(await checkRepoAccess(req, res, repo))) {
+      return;
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const sessions = await listSessions(repo.id, branch, limit);
+
+    res.json({ sessions });
+  } catch (error) {
+    console.error('Error in listBranchSessions:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Start a conversation session on a branch. Transcripts said on the branch
+ * belong to it until it is ended.
+ * POST /api/sessions
+ * Body: { repoId or repoUrl, branch: string, name: string }
+ */
+export async function startSession(req, res) {
+  try {
+    const { repoId, repoUrl, branch } = req.body;
+
+    if ((!repoId && !repoUrl) || !branch) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'repoId (or repoUrl) and branch are required'
+      });
+    }
+
+    const name = parseSessionName(req.body.name);
+    if (!name) {
+      return sendInvalidName(res);
+    }
+
+    const repo = await findRepo({ repoId, repoUrl });
+    if (!repo) {
+      return sendRepoNotFound(res);
+    }
+
+    if (!(await checkRepoAccess(req, res, repo))) {
+      return;
+    }
+
+    const session = await createSession({ gitRepo: repo.id, branch, name, startedBy: req.user.username });
+    if (!session) {
+      const openSession = await getOpenSession(repo.id, branch);
+      return res.status(409).json({
+        error: 'Session already open',
+        message: `Session "${openSession?.name}" is still open on ${branch}. End it first.`,
+        session: openSession
+      });
+    }
+
+    console.log(`User ${req.user.username} started session ${session.id} "${name}" on ${repo.id}/${branch}`);
+    res.status(201).json(session);
+  } catch (error) {
+    console.error('Error in startSession:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Rename a conversation session
+ * PATCH /api/sessions/:id
+ * Body: { name: string }
+ */
+export async function updateSession(req, res) {
+  try {
+    const name = parseSessionName(req.body.name);
+    if (!name) {
+      return sendInvalidName(res);
+    }
+
+    const session = await loadSession(req, res);
+    if (!session) {
+      return;
+    }
+
+    res.json(await renameSession(session.id, name));
+  } catch (error) {
+    console.error('Error in updateSession:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * End a conversation session
+ * POST /api/sessions/:id/end
+ */
+export async function finishSession(req, res) {
+  try {
+    const session = await loadSession(req, res);
+    if (!session) {
+      return;
+    }
+
+    const ended = await endSession(session.id);
+    if (!ended) {
+      return res.status(409).json({
+        error: 'Session already ended',
+        message: `Session "${session.name}" has already ended`
+      });
+    }
+
+    console.log(`User ${req.user.username} ended session ${session.id}`);
+    res.json(ended);
+  } catch (error) {
+    console.error('Error in finishSession:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
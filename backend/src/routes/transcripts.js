@@ -0,0 +1,510 @@
+import {
+  listTranscriptions,
+  searchTranscriptions,
+  getTranscription,
+  deleteTranscription,
+  listGenerationRunsBetween,
+  getSession,
+  getRepo,
+  getRepoMemberRole
+} from '../db/database.js';
+import { getConversationsForNextRun } from '../agent/conversations.js';
+import { buildMeetingNotes, renderMeetingNotesMarkdown, getMeetingNotesFilename } from '../export/meetingNotes.js';
+import { resolveAudioPath, removeUtteranceAudio } from '../speech/audioArchive.js';
+import { findRepo, sendRepoNotFound, checkRepoAccess } from './repos.js';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_SEARCH_RESULTS = 100;
+const MAX_EXPORT_TRANSCRIPTS = 10000;
+
+// Private-use characters mark highlighted words in search headlines; they
+// are replaced by <mark> tags after the text has been HTML-escaped
+const HIGHLIGHT_START = '\uE000';
+const HIGHLIGHT_STOP = '\uE001';
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Encode the position of a transcription as an opaque page cursor
+ * @param {Object} transcription - Transcription record with position and id
+ * @returns {string} Cursor
+ */
+function encodeCursor(transcription) {
+  return Buffer.from(JSON.stringify([transcription.position, transcription.id])).toString('base64url');
+}
+
+/**
+ * Decode a page cursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {Object|null} Position ({ timestamp, id }), or null if the cursor is invalid
+ */
+function decodeCursor(cursor) {
+  try {
+    const [timestamp, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+    if (typeof timestamp !== 'string' || Number.isNaN(Date.parse(timestamp)) || !/^\d+$/.test(id)) {
+      return null;
+    }
+    return { timestamp, id };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse an optional timestamp query parameter
+ * @param {string|undefined} value - Query parameter value
+ * @returns {string|null|undefined} ISO timestamp, undefined if absent, null if invalid
+ */
+function parseTimestamp(value) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Turn a search headline into an HTML snippet with <mark> around matches
+ * @param {string} headline - Headline with highlight markers
+ * @returns {string} HTML-escaped snippet
+ */
+function toSnippet(headline) {
+  return headline
+    .replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+    .replaceAll(HIGHLIGHT_START, '<mark>')
+    .replaceAll(HIGHLIGHT_STOP, '</mark>');
+}
+
+/**
+ * Remove the internal page position from a transcription record
+ * @param {Object} transcription - Transcription record
+ * @returns {Object} Transcription as returned by the API
+ */
+function toResponse({ position, ...transcription }) {
+  return transcription;
+}
+
+/**
+ * Load a transcription by the ID route parameter, if the signed-in user is
+ * a member of its repository
+ * @param {Object} req - Express request with req.user
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} Transcription record, or null after sending an error response
+ */
+async function loadTranscription(req, res) {
+  if (!/^\d+$/.test(req.params.id) || req.params.id.length > 18) {
+    res.status(400).json({
+      error: 'Invalid transcript ID',
+      message: 'Transcript ID must be a positive integer'
+    });
+    return null;
+  }
+
+  const transcription = await getTranscription(req.params.id);
+  const repo = transcription ? await getRepo(transcription.git_repo) : null;
+  if (!transcription || !repo) {
+    res.status(404).json({
+      error: 'Not found',
+      message: `Transcript ${req.params.id} not found`
+    });
+    return null;
+  }
+  return (await checkRepoAccess(req, res, repo)) ? transcription : null;
+}
+
+/**
+ * List the transcripts of a repository with cursor pagination
+ * GET /api/transcripts?repoId=...&branch=...&user=...&sessionId=...&from=...&to=...&order=asc&limit=50&cursor=...
+ * (or repoUrl instead of repoId; everything but the repository is optional)
+ */
+export async function listTranscripts(req, res) {
+  try {
+    const { repoId, repoUrl, branch, user, sessionId, cursor, order = 'asc' } = req.query;
+
+    if (!repoId && !repoUrl) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'repoId (or repoUrl) is required'
+      });
+    }
+    if (sessionId && !/^\d{1,18}$/.test(sessionId)) {
+      return res.status(400).json({
+        error: 'Invalid session ID',
+        message: 'sessionId must be a positive integer'
+      });
+    }
+    if (order !== 'asc' && order !== 'desc') {
+      return res.status(400).json({
+        error: 'Invalid order',
+        message: 'order must be asc or desc'
+      });
+    }
+
+    const from = parseTimestamp(req.query.from);
+    const to = parseTimestamp(req.query.to);
+    if (from === null || to === null) {
+      return res.status(400).json({
+        error: 'Invalid time range',
+        message: 'from and to must be ISO timestamps'
+      });
+    }
+
+    const after = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !after) {
+      return res.status(400).json({
+        error: 'Invalid cursor',
+        message: 'cursor must be the nextCursor of a previous page'
+      });
+    }
+
+    const repo = await findRepo({ repoId, repoUrl });
+    if (!repo) {
+      return sendRepoNotFound(res);
+    }
+
+    if (!(await checkRepoAccess(req, res, repo))) {
+      return;
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    // One extra row tells whether there is a next page
+    const rows = await listTranscriptions({
+      gitRepo: repo.id,
+      branch,
+      username: user,
+      sessionId,
+      from,
+      to,
+      after,
+      newestFirst: order === 'desc',
+      limit: limit + 1
+    });
+
+    const page = rows.slice(0, limit);
+    res.json({
+      transcripts: page.map(toResponse),
+      nextCursor: rows.length > limit ? encodeCursor(page[page.length - 1]) : null
+    });
+  } catch (error) {
+    console.error('Error in listTranscripts:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Search the transcripts of a repository, best matches first
+ * GET /api/transcripts/search?repoId=...&q=...&branch=...&user=...&limit=20&offset=0
+ * (or repoUrl instead of repoId; branch and user are optional)
+ */
+export async function searchTranscripts(req, res) {
+  try {
+    const { repoId, repoUrl, branch, user } = req.query;
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+
+    if ((!repoId && !repoUrl) || !query) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'repoId (or repoUrl) and q are required'
+      });
+    }
+
+    const repo = await findRepo({ repoId, repoUrl });
+    if (!repo) {
+      return sendRepoNotFound(res);
+    }
+
+    if (!(await checkRepoAccess(req, res, repo))) {
+      return;
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, MAX_SEARCH_RESULTS);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const rows = await searchTranscriptions({
+      gitRepo: repo.id,
+      query,
+      branch,
+      username: user,
+      startSel: HIGHLIGHT_START,
+      stopSel: HIGHLIGHT_STOP,
+      limit,
+      offset
+    });
+
+    res.json({
+      results: rows.map(({ headline, rank, ...transcription }) => ({
+        ...transcription,
+        rank,
+        snippet: toSnippet(headline)
+      })),
+      nextOffset: rows.length === limit ? offset + limit : null
+    });
+  } catch (error) {
+    console.error('Error in searchTranscripts:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * List the transcripts the next code generation on a branch will receive,
+ * by default from the branch's open session or else the last hour
+ * GET /api/transcripts/pending?repoId=...&branch=...&sessionId=... (or repoUrl instead of repoId)
+ */
+export async function listPendingTranscripts(req, res) {
+  try {
+    const { repoId, repoUrl, branch, sessionId } = req.query;
+
+    if ((!repoId && !repoUrl) || !branch) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'repoId (or repoUrl) and branch are required'
+      });
+    }
+
+    const repo = await findRepo({ repoId, repoUrl });
+    if (!repo) {
+      return sendRepoNotFound(res);
+    }
+
+    if (!(await checkRepoAccess(req, res, repo))) {
+      return;
+    }
+
+    const next = await getConversationsForNextRun(repo.id, branch, { sessionId });
+    if (next.error) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: next.error
+      });
+    }
+
+    res.json({
+      source: next.source,
+      session: next.session,
+      transcripts: next.conversations,
+      previousRunCompletedAt: next.previousRun?.completedAt || null
+    });
+  } catch (error) {
+    console.error('Error in listPendingTranscripts:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Export a conversation session or time range as meeting notes: speaker
+ * attributed utterances and the code generations made in that period
+ * GET /api/transcripts/export?repoId=...&sessionId=...&format=markdown
+ * GET /api/transcripts/export?repoId=...&from=...&to=...&branch=...&format=json
+ * (or repoUrl instead of repoId; to defaults to now, branch to all branches)
+ */
+export async function exportTranscripts(req, res) {
+  try {
+    const { repoId, repoUrl, sessionId, format = 'markdown' } = req.query;
+
+    if ((!repoId && !repoUrl) || (!sessionId && !req.query.from)) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'repoId (or repoUrl) and sessionId or from are required'
+      });
+    }
+    if (sessionId && !/^\d{1,18}$/.test(sessionId)) {
+      return res.status(400).json({
+        error: 'Invalid session ID',
+        message: 'sessionId must be a positive integer'
+      });
+    }
+    if (format !== 'markdown' && format !== 'json') {
+      return res.status(400).json({
+        error: 'Invalid format',
+        message: 'format must be markdown or json'
+      });
+    }
+
+    const from = parseTimestamp(req.query.from);
+    const to = parseTimestamp(req.query.to);
+    if (from === null || to === null) {
+      return res.status(400).json({
+        error: 'Invalid time range',
+        message: 'from and to must be ISO timestamps'
+      });
+    }
+
+    const repo = await findRepo({ repoId, repoUrl });
+    if (!repo) {
+      return sendRepoNotFound(res);
+    }
+
+    if (!(await checkRepoAccess(req, res, repo))) {
+      return;
+    }
+
+    let session = null;
+    let period;
+    let branch = req.query.branch || null;
+    if (sessionId) {
+      session = await getSession(sessionId);
+      if (!session || session.git_repo !== repo.id) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: `Conversation session ${sessionId} not found`
+        });
+      }
+      branch = session.branch;
+      period = { from: session.started_at, to: session.ended_at || new Date() };
+    } else {
+      period = { from, to: to || new Date().toISOString() };
+    }
+
+    // One extra row tells whether the period is too long to export
+    const filter = session ? { sessionId: session.id } : { branch, ...period };
+    const transcripts = await listTranscriptions({ gitRepo: repo.id, ...filter, limit: MAX_EXPORT_TRANSCRIPTS + 1 });
+    if (transcripts.length > MAX_EXPORT_TRANSCRIPTS) {
+      return res.status(400).json({
+        error: 'Too many transcripts',
+        message: `The export is limited to ${MAX_EXPORT_TRANSCRIPTS} transcripts; choose a shorter time range`
+      });
+    }
+
+    const runs = await listGenerationRunsBetween({ gitRepo: repo.id, branch, ...period });
+    const notes = buildMeetingNotes({
+      repo,
+      branch,
+      session,
+      ...period,
+      transcripts: transcripts.map(toResponse),
+      runs
+    });
+
+    if (format === 'json') {
+      res.attachment(getMeetingNotesFilename(notes, 'json'));
+      res.json(notes);
+    } else {
+      res.type('text/markdown');
+      res.attachment(getMeetingNotesFilename(notes, 'md'));
+      res.send(renderMeetingNotesMarkdown(notes));
+    }
+  } catch (error) {
+    console.error('Error in exportTranscripts:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Get one transcript
+ * GET /api/transcripts/:id
+ */
+export async function getTranscript(req, res) {
+  try {
+    const transcription = await loadTranscription(req, res);
+    if (transcription) {
+      res.json(transcription);
+    }
+  } catch (error) {
+    console.error('Error in getTranscript:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Stream the archived audio of one transcript as WAV. Supports range
+ * requests, so players can seek. Audio of redacted transcripts is never
+ * played: it still contains what was redacted.
+ * GET /api/transcripts/:id/audio
+ */
+export async function getTranscriptAudio(req, res) {
+  try {
+    const transcription = await loadTranscription(req, res);
+    if (!transcription) {
+      return;
+    }
+
+    if (transcription.redactions?.length > 0) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `Transcript ${transcription.id} was redacted; its audio is not played back`
+      });
+    }
+
+    const path = resolveAudioPath(transcription.audio_file);
+    if (!path) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `No audio archived for transcript ${transcription.id}`
+      });
+    }
+
+    res.type('audio/wav');
+    res.sendFile(path, (error) => {
+      if (!error || res.headersSent) {
+        return;
+      }
+      if (error.code === 'ENOENT') {
+        return res.status(404).json({
+          error: 'Not found',
+          message: `Audio of transcript ${transcription.id} is missing from the archive`
+        });
+      }
+      console.error('Error in getTranscriptAudio:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    });
+  } catch (error) {
+    console.error('Error in getTranscriptAudio:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Delete one transcript. Members can delete what they said; owners can
+ * delete any transcript of the repository.
+ * DELETE /api/transcripts/:id
+ */
+export async function deleteTranscript(req, res) {
+  try {
+    const transcription = await loadTranscription(req, res);
+    if (!transcription) {
+      return;
+    }
+
+    if (transcription.username !== req.user.username) {
+      const role = await getRepoMemberRole(transcription.git_repo, req.user.id);
+      if (role !== 'owner') {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'Only repository owners can delete what others said'
+        });
+      }
+    }
+
+    await deleteTranscription(transcription.id);
+    await removeUtteranceAudio([transcription.audio_file].filter(Boolean));
+    console.log(`User ${req.user.username} deleted transcript ${transcription.id} of repo ${transcription.git_repo}`);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error in deleteTranscript:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
@@ -3,23 +3,31 @@ import { WebSocketServer } from 'ws';
 import { createServer } from 'http';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import { registerRepo, connectUser } from './routes/repos.js';
+import { registerRepo, connectUser, listMembers, addMember, removeMember } from './routes/repos.js';
+import { signup, login, getCurrentUser, logout } from './routes/auth.js';
+import { listRuns, getRun, downloadRunPatch } from './routes/runs.js';
+import {
+  listTranscripts,
+  searchTranscripts,
+  listPendingTranscripts,
+  exportTranscripts,
+  getTranscript,
+  getTranscriptAudio,
+  deleteTranscript
+} from './routes/transcripts.js';
+import { putCredentials, getCredentials, deleteCredentials } from './routes/credentials.js';
+import { listBranchSessions, startSession, updateSession, finishSession } from './routes/sessions.js';
+import { getRetention, putRetention, deleteRepoData, deleteOwnData } from './routes/retention.js';
 import { setupWebSocket } from './websocket/connectionManager.js';
 import { connectDatabase } from './db/database.js';
+import { createRedactor } from './redaction/redactor.js';
+import { startRetentionPurge } from './retention/purge.js';
+import { requireAuth, verifyWebSocketClient } from './auth/auth.js';
 
 dotenv.config();
 
 const PORT = process.env.PORT || 3000;
 
-/**
- * Build database connection string from environment variables
- * @returns {string} Database connection string
- */
-function buildDatabaseConnectionString() {
-  const { POSTGRES_USER, POSTGRES_PASSWORD, DB_HOST, DB_PORT, POSTGRES_DB } = process.env;
-  return `postgresql://${POSTGRES_USER}:${POSTGRES_PASSWORD}@${DB_HOST}:${DB_PORT}/${POSTGRES_DB}`;
-}
-
 /**
  * Setup Express middleware
  * @param {express.Application} app - Express application
@@ -34,11 +42,42 @@ function setupMiddleware(app) {
  * @param {express.Application} app - Express application
  */
 function setupRoutes(app) {
-  app.post('/api/repos/register', registerRepo);
-  app.post('/api/repos/connect', connectUser);
   app.get('/health', (req, res) => {
     res.json({ status: 'ok' });
   });
+  app.post('/api/auth/signup', signup);
+  app.post('/api/auth/login', login);
+
+  // Every other API route requires an API token
+  app.use('/api', requireAuth);
+  app.get('/api/auth/me', getCurrentUser);
+  app.post('/api/auth/logout', logout);
+  app.delete('/api/auth/me/data', deleteOwnData);
+  app.post('/api/repos/register', registerRepo);
+  app.post('/api/repos/connect', connectUser);
+  app.put('/api/repos/credentials', putCredentials);
+  app.get('/api/repos/credentials', getCredentials);
+  app.delete('/api/repos/credentials', deleteCredentials);
+  app.get('/api/repos/:id/members', listMembers);
+  app.post('/api/repos/:id/members', addMember);
+  app.delete('/api/repos/:id/members/:userName', removeMember);
+  app.get('/api/repos/:id/retention', getRetention);
+  app.put('/api/repos/:id/retention', putRetention);
+  app.delete('/api/repos/:id/data', deleteRepoData);
+  app.get('/api/runs', listRuns);
+  app.get('/api/runs/:id', getRun);
+  app.get('/api/runs/:id/patch', downloadRunPatch);
+  app.get('/api/transcripts', listTranscripts);
+  app.get('/api/transcripts/search', searchTranscripts);
+  app.get('/api/transcripts/pending', listPendingTranscripts);
+  app.get('/api/transcripts/export', exportTranscripts);
+  app.get('/api/transcripts/:id', getTranscript);
+  app.get('/api/transcripts/:id/audio', getTranscriptAudio);
+  app.delete('/api/transcripts/:id', deleteTranscript);
+  app.get('/api/sessions', listBranchSessions);
+  app.post('/api/sessions', startSession);
+  app.patch('/api/sessions/:id', updateSession);
+  app.post('/api/sessions/:id/end', finishSession);
 }
 
 /**
@@ -48,7 +87,8 @@ function setupRoutes(app) {
  */
 function setupWebSocketServer(server) {
   console.log('Creating WebSocket server...');
-  const wss = new WebSocketServer({ server });
+  // Connections without a valid API token are rejected during the upgrade
+  const wss = new WebSocketServer({ server, verifyClient: verifyWebSocketClient });
   setupWebSocket(wss);
 
   wss.on('error', (error) => {
@@ -68,9 +108,14 @@ function setupWebSocketServer(server) {
  */
 async function startServer() {
   try {
-    // Connect to database
-    const dbConnectionString = buildDatabaseConnectionString();
-    await connectDatabase(dbConnectionString);
+    // Connect to the database selected by DB_DRIVER
+    await connectDatabase();
+
+    // Fail on startup rather than on the first transcript if REDACTION_* is invalid
+    createRedactor();
+
+    // Delete transcripts the retention settings of their repository let expire
+    startRetentionPurge();
 
     // Setup Express app
     const app = express();
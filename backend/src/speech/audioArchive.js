@@ -0,0 +1,177 @@
+/**
+ * Audio archive: keeps the audio of each recognized utterance as a WAV file
+ * next to its transcript, so a misrecognized transcript can be checked
+ * against what was said. Only LINEAR16 audio is archived.
+ *
+ * Configuration:
+ * - AUDIO_ARCHIVE_DIR: directory for the WAV files (archiving is off when unset)
+ * - AUDIO_ARCHIVE_MAX_SECONDS: longest audio kept per utterance; older audio
+ *   is dropped (default: 120)
+ */
+import { writeFile, unlink, mkdir } from 'fs/promises';
+import { dirname, resolve, sep } from 'path';
+
+const ARCHIVE_DIR = process.env.AUDIO_ARCHIVE_DIR ? resolve(process.env.AUDIO_ARCHIVE_DIR) : null;
+const MAX_SECONDS = parseInt(process.env.AUDIO_ARCHIVE_MAX_SECONDS || '120', 10);
+
+// Mono 16-bit PCM
+const BYTES_PER_SAMPLE = 2;
+const WAV_HEADER_BYTES = 44;
+
+/**
+ * Check if utterance audio is archived
+ * @returns {boolean}
+ */
+export function isAudioArchiveEnabled() {
+  return ARCHIVE_DIR !== null;
+}
+
+/**
+ * Convert a protobuf duration to milliseconds
+ * @param {Object|null|undefined} duration - Duration as {seconds, nanos}
+ * @returns {number|null} Milliseconds, or null if there is no duration
+ */
+function toMilliseconds(duration) {
+  if (!duration) {
+    return null;
+  }
+  return Number(duration.seconds || 0) * 1000 + Math.floor((duration.nanos || 0) / 1e6);
+}
+
+/**
+ * Create a recorder that buffers the audio of a recognition stream and
+ * cuts it into utterances at the end times of the final results
+ * @param {Object} config - Recognition configuration
+ * @param {string} config.encoding - Audio encoding
+ * @param {number} config.sampleRate - Sample rate in Hz
+ * @returns {Object|null} Recorder with append() and take(), or null if the audio is not archived
+ */
+export function createUtteranceRecorder({ encoding, sampleRate }) {
+  if (!isAudioArchiveEnabled() || encoding !== 'LINEAR16') {
+    return null;
+  }
+
+  const maxBytes = MAX_SECONDS * sampleRate * BYTES_PER_SAMPLE;
+  let chunks = [];
+  let buffered = 0;
+  // Byte offset of the first buffered chunk since the stream started
+  let start = 0;
+
+  /**
+   * Buffer audio sent to the recognition stream
+   * @param {Buffer} chunk - PCM audio
+   */
+  function append(chunk) {
+    chunks.push(Buffer.from(chunk));
+    buffered += chunk.length;
+
+    while (chunks.length > 1 && buffered - chunks[0].length >= maxBytes) {
+      const dropped = chunks.shift();
+      buffered -= dropped.length;
+      start += dropped.length;
+    }
+  }
+
+  /**
+   * Take the audio of an utterance. Audio after its end stays buffered for
+   * the next utterance.
+   * @param {Object} [resultEndTime] - End of the final result since the stream started, as {seconds, nanos} (default: all buffered audio)
+   * @returns {Buffer} PCM audio of the utterance (empty if none is buffered)
+   */
+  function take(resultEndTime) {
+    const endMs = toMilliseconds(resultEndTime);
+    const end = endMs === null
+      ? start + buffered
+      : Math.round((endMs / 1000) * sampleRate) * BYTES_PER_SAMPLE;
+    const length = Math.max(0, Math.min(end - start, buffered));
+
+    const audio = Buffer.concat(chunks);
+    chunks = length < audio.length ? [audio.subarray(length)] : [];
+    buffered -= length;
+    start += length;
+    return audio.subarray(0, length);
+  }
+
+  return { sampleRate, append, take };
+}
+
+/**
+ * Encode PCM audio as a WAV file
+ * @param {Buffer} pcm - Mono 16-bit PCM audio
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Buffer} WAV file
+ */
+export function encodeWav(pcm, sampleRate) {
+  const header = Buffer.alloc(WAV_HEADER_BYTES);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(WAV_HEADER_BYTES - 8 + pcm.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16); // fmt chunk size
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // mono
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * BYTES_PER_SAMPLE, 28); // byte rate
+  header.writeUInt16LE(BYTES_PER_SAMPLE, 32); // block align
+  header.writeUInt16LE(BYTES_PER_SAMPLE * 8, 34); // bits per sample
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+}
+
+/**
+ * Resolve an archived audio file to its absolute path
+ * @param {string} audioFile - Path relative to AUDIO_ARCHIVE_DIR
+ * @returns {string|null} Absolute path, or null if archiving is off or the path leaves the archive
+ */
+export function resolveAudioPath(audioFile) {
+  if (!isAudioArchiveEnabled() || !audioFile) {
+    return null;
+  }
+
+  const path = resolve(ARCHIVE_DIR, audioFile);
+  return path.startsWith(ARCHIVE_DIR + sep) ? path : null;
+}
+
+/**
+ * Write the audio of a transcript to the archive
+ * @param {string} repoId - Repository UUID
+ * @param {string} transcriptId - Transcription ID
+ * @param {Buffer} pcm - Mono 16-bit PCM audio
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Promise<string>} Path of the WAV file, relative to AUDIO_ARCHIVE_DIR
+ */
+export async function saveUtteranceAudio(repoId, transcriptId, pcm, sampleRate) {
+  const audioFile = `${repoId}/${transcriptId}.wav`;
+  const path = resolveAudioPath(audioFile);
+  if (!path) {
+    throw new Error(`Invalid audio archive path: ${audioFile}`);
+  }
+
+  await mkdir(dirname(path), { recursive: true });
+  await writeFile(path, encodeWav(pcm, sampleRate));
+  return audioFile;
+}
+
+/**
+ * Remove archived audio files of deleted transcripts. Files that are
+ * already gone are skipped; other failures are logged.
+ * @param {Array<string>} audioFiles - Paths relative to AUDIO_ARCHIVE_DIR
+ * @returns {Promise<void>}
+ */
+export async function removeUtteranceAudio(audioFiles) {
+  for (const audioFile of audioFiles) {
+    const path = resolveAudioPath(audioFile);
+    if (!path) {
+      continue;
+    }
+
+    try {
+      await unlink(path);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error removing audio file ${audioFile}:`, error.message);
+      }
+    }
+  }
+}
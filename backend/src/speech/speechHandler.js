@@ -1,5 +1,7 @@
 import speech from '@google-cloud/speech';
-import { putTranscription } from '../db/database.js';
+import { putTranscription, setTranscriptionAudio } from '../db/database.js';
+import { createRedactor } from '../redaction/redactor.js';
+import { saveUtteranceAudio } from './audioArchive.js';
 
 // Initialize Google Speech-to-Text client
 let speechClient = null;
@@ -48,23 +50,46 @@ function handleRecognitionError(error, onTranscription) {
 /**
  * Save transcription to database
  * @param {Object} connectionInfo - Connection information
- * @param {string} transcript - Transcription text
+ * @param {string} transcript - Redacted transcription text
+ * @param {Array<Object>} redactions - Redactions applied to the text
+ * @returns {Promise<Object|null>} The stored record, or null if nothing was stored
  */
-async function saveTranscription(connectionInfo, transcript) {
+async function saveTranscription(connectionInfo, transcript, redactions) {
   if (!connectionInfo || !transcript.trim()) {
-    return;
+    return null;
   }
 
   try {
-    await putTranscription(
+    return await putTranscription(
       connectionInfo.repoId,
       connectionInfo.userName,
       connectionInfo.branch,
       transcript,
-      new Date().toISOString()
+      new Date().toISOString(),
+      redactions
     );
   } catch (error) {
     console.error('Error saving conversation:', error);
+    return null;
+  }
+}
+
+/**
+ * Archive the audio of a stored transcription. A failure is logged and
+ * leaves the transcription without audio.
+ * @param {Object} record - Stored transcription record
+ * @param {Buffer} pcm - PCM audio of the utterance
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Promise<boolean>} True if the audio was archived
+ */
+async function archiveUtteranceAudio(record, pcm, sampleRate) {
+  try {
+    const audioFile = await saveUtteranceAudio(record.git_repo, record.id, pcm, sampleRate);
+    await setTranscriptionAudio(record.id, audioFile);
+    return true;
+  } catch (error) {
+    console.error(`Error archiving audio of transcript ${record.id}:`, error);
+    return false;
   }
 }
 
@@ -73,8 +98,9 @@ async function saveTranscription(connectionInfo, transcript) {
  * @param {Object} data - Recognition data from stream
  * @param {Object} connectionInfo - Connection information
  * @param {Function} onTranscription - Callback for transcriptions
+ * @param {Object|null} recorder - Utterance recorder of the stream, if audio is archived
  */
-async function handleRecognitionData(data, connectionInfo, onTranscription) {
+async function handleRecognitionData(data, connectionInfo, onTranscription, recorder) {
   const result = data.results[0];
   if (!result?.alternatives[0]) {
     return;
@@ -83,17 +109,28 @@ async function handleRecognitionData(data, connectionInfo, onTranscription) {
   const transcript = result.alternatives[0].transcript;
   const isFinal = result.isFinal;
 
-  if (isFinal) {
-    console.log('[FINAL] Transcription:', transcript);
+  if (!isFinal) {
+    onTranscription?.(transcript, false, null, null);
+    return;
   }
 
-  if (onTranscription) {
-    onTranscription(transcript, isFinal, null);
-  }
+  // Cut the utterance before any await, so the next result cannot take its audio
+  const pcm = recorder?.take(result.resultEndTime);
 
-  if (isFinal) {
-    await saveTranscription(connectionInfo, transcript);
+  // Personal data and secrets never reach the logs or the database
+  const { text, redactions } = createRedactor().redact(transcript);
+  console.log('[FINAL] Transcription:', text);
+  if (redactions.length > 0) {
+    console.log('[FINAL] Redacted:', redactions.map(({ rule, count }) => `${rule} x${count}`).join(', '));
   }
+
+  // Final results are stored first so the client gets the ID to correct them by.
+  // The audio still contains whatever was redacted from the text, so it is dropped
+  const record = await saveTranscription(connectionInfo, text, redactions);
+  const hasAudio = record && pcm?.length > 0 && redactions.length === 0
+    ? await archiveUtteranceAudio(record, pcm, recorder.sampleRate)
+    : false;
+  onTranscription?.(text, true, null, record?.id ?? null, hasAudio);
 }
 
 /**
@@ -103,10 +140,11 @@ async function handleRecognitionData(data, connectionInfo, onTranscription) {
  * @param {number} config.sampleRate - Sample rate in Hz (e.g., 16000)
  * @param {string} config.languageCode - Language code (e.g., 'en-US')
  * @param {Object} connectionInfo - Connection information
- * @param {Function} onTranscription - Callback for transcriptions (transcript, isFinal, error)
+ * @param {Function} onTranscription - Callback for transcriptions (transcript, isFinal, error, transcriptId, hasAudio)
+ * @param {Object|null} recorder - Utterance recorder fed with the stream's audio, to archive each final result's audio (optional)
  * @returns {Object} Recognition stream with write and end methods
  */
-export function createRecognitionStream(config, connectionInfo, onTranscription) {
+export function createRecognitionStream(config, connectionInfo, onTranscription, recorder = null) {
   if (!speechClient) {
     throw new Error('Speech-to-Text service not available. Set GOOGLE_APPLICATION_CREDENTIALS.');
   }
@@ -125,7 +163,7 @@ export function createRecognitionStream(config, connectionInfo, onTranscription)
   const recognizeStream = speechClient
     .streamingRecognize(request)
     .on('error', (error) => handleRecognitionError(error, onTranscription))
-    .on('data', (data) => handleRecognitionData(data, connectionInfo, onTranscription));
+    .on('data', (data) => handleRecognitionData(data, connectionInfo, onTranscription, recorder));
 
   return recognizeStream;
 }
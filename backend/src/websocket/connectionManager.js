@@ -4,19 +4,35 @@ import { handleMessage } from './messageHandlers.js';
  * Connection state for a WebSocket connection
  */
 class ConnectionState {
-  constructor() {
+  /**
+   * @param {Object} user - User authenticated by the connection's API token ({id, username})
+   */
+  constructor(user) {
+    this.user = user;
     this.recognizeStream = null;
+    this.utteranceRecorder = null;
     this.connectionInfo = null;
+    this.generationController = null;
+    this.workspaceRequests = new Map();
   }
 
-  setRecognizeStream(stream) {
+  getUser() {
+    return this.user;
+  }
+
+  setRecognizeStream(stream, recorder = null) {
     this.recognizeStream = stream;
+    this.utteranceRecorder = recorder;
   }
 
   getRecognizeStream() {
     return this.recognizeStream;
   }
 
+  getUtteranceRecorder() {
+    return this.utteranceRecorder;
+  }
+
   setConnectionInfo(info) {
     this.connectionInfo = info;
   }
@@ -25,15 +41,57 @@ class ConnectionState {
     return this.connectionInfo;
   }
 
+  setGenerationController(controller) {
+    this.generationController = controller;
+  }
+
+  getGenerationController() {
+    return this.generationController;
+  }
+
+  clearGenerationController(controller) {
+    if (this.generationController === controller) {
+      this.generationController = null;
+    }
+  }
+
+  cancelGeneration() {
+    if (!this.generationController) {
+      return false;
+    }
+    this.generationController.abort();
+    return true;
+  }
+
+  addWorkspaceRequest(requestId, pending) {
+    this.workspaceRequests.set(requestId, pending);
+  }
+
+  takeWorkspaceRequest(requestId) {
+    const pending = this.workspaceRequests.get(requestId);
+    this.workspaceRequests.delete(requestId);
+    return pending || null;
+  }
+
+  rejectWorkspaceRequests(error) {
+    for (const pending of this.workspaceRequests.values()) {
+      pending.reject(error);
+    }
+    this.workspaceRequests.clear();
+  }
+
   stopRecognition() {
     if (this.recognizeStream) {
       this.recognizeStream.end();
       this.recognizeStream = null;
     }
+    this.utteranceRecorder = null;
   }
 
   cleanup() {
     this.stopRecognition();
+    this.cancelGeneration();
+    this.rejectWorkspaceRequests(new Error('Client disconnected'));
     this.connectionInfo = null;
   }
 }
@@ -108,9 +166,10 @@ export function setupWebSocket(wss) {
   wss.on('connection', (ws, req) => {
     const clientIp = req.socket.remoteAddress || 'unknown';
     console.log('\n=== WebSocket Connection Established ===');
-    console.log(`WebSocket client connected from ${clientIp}`);
+    console.log(`WebSocket client connected from ${clientIp} as ${req.user.username}`);
 
-    const state = new ConnectionState();
+    // req.user is set by verifyWebSocketClient() during the upgrade
+    const state = new ConnectionState(req.user);
 
     // Handle incoming messages
     ws.on('message', async (data, isBinary) => {
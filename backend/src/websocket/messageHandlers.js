@@ -1,7 +1,26 @@
+import { randomUUID } from 'crypto';
 import { createRecognitionStream, isSpeechClientAvailable } from '../speech/speechHandler.js';
 import { synthesizeSpeech, isTextToSpeechAvailable } from '../speech/textToSpeech.js';
+import { createUtteranceRecorder, removeUtteranceAudio } from '../speech/audioArchive.js';
 import { generateCodeFromConversation } from '../agent/codeAgent.js';
-import { getRecentTranscriptionsForBranch } from '../db/database.js';
+import { createProvider } from '../agent/providers/index.js';
+import { createLocalWorkspace } from '../agent/localWorkspace.js';
+import { getConversationsForNextRun, CONVERSATION_WINDOW_MINUTES } from '../agent/conversations.js';
+import {
+  createGenerationRun,
+  finishGenerationRun,
+  getRepoCredential,
+  getRepo,
+  getRepoMemberRole,
+  getTranscription,
+  updateTranscription,
+  deleteTranscription
+} from '../db/database.js';
+import { decryptSecret } from '../db/encryption.js';
+import { createRedactor } from '../redaction/redactor.js';
+
+// How long the extension has to answer a local workspace request
+const WORKSPACE_REQUEST_TIMEOUT_MS = 30000;
 
 /**
  * Send message to WebSocket client
@@ -25,24 +44,53 @@ function sendError(ws, errorMessage) {
 }
 
 /**
- * Handle start recognition message
+ * Look up a repository the connection's user is a member of, sending an
+ * error to the client otherwise
+ * @param {Object} ws - WebSocket instance
+ * @param {string} repoId - Repository ID
+ * @param {ConnectionState} state - Connection state
+ * @returns {Promise<Object|null>} Repository record or null
+ */
+async function getAccessibleRepo(ws, repoId, state) {
+  const repo = await getRepo(repoId);
+  if (!repo) {
+    sendError(ws, 'Repository is not registered');
+    return null;
+  }
+
+  if (!(await getRepoMemberRole(repo.id, state.getUser().id))) {
+    sendError(ws, 'You are not a member of this repository');
+    return null;
+  }
+  return repo;
+}
+
+/**
+ * Handle start recognition message. The speaker is the connection's
+ * authenticated user.
  * @param {Object} ws - WebSocket instance
  * @param {Object} message - Message object
  * @param {ConnectionState} state - Connection state
  */
 async function handleStartRecognition(ws, message, state) {
+  const userName = state.getUser().username;
+
   console.log('Starting recognition for:', {
     repoId: message.repoId,
-    userName: message.userName,
+    userName,
     branch: message.branch || 'main',
     encoding: message.encoding || 'LINEAR16',
     sampleRate: message.sampleRate || 16000,
     languageCode: message.languageCode || 'en-US'
   });
 
+  if (!(await getAccessibleRepo(ws, message.repoId, state))) {
+    return;
+  }
+
   const connectionInfo = {
     repoId: message.repoId,
-    userName: message.userName,
+    userName,
     branch: message.branch || 'main'
   };
   state.setConnectionInfo(connectionInfo);
@@ -53,23 +101,26 @@ async function handleStartRecognition(ws, message, state) {
   }
 
   try {
+    const config = {
+      encoding: message.encoding || 'LINEAR16',
+      sampleRate: message.sampleRate || 16000,
+      languageCode: message.languageCode || 'en-US'
+    };
+    const recorder = createUtteranceRecorder(config);
     const recognizeStream = createRecognitionStream(
-      {
-        encoding: message.encoding || 'LINEAR16',
-        sampleRate: message.sampleRate || 16000,
-        languageCode: message.languageCode || 'en-US'
-      },
+      config,
       connectionInfo,
-      (transcript, isFinal, error) => {
+      (transcript, isFinal, error, transcriptId, hasAudio) => {
         if (error) {
           sendError(ws, `Recognition error: ${error.message}`);
         } else if (transcript) {
-          sendTranscription(ws, transcript, isFinal);
+          sendTranscription(ws, transcript, isFinal, transcriptId, hasAudio);
         }
-      }
+      },
+      recorder
     );
 
-    state.setRecognizeStream(recognizeStream);
+    state.setRecognizeStream(recognizeStream, recorder);
     sendMessage(ws, { type: 'started' });
   } catch (error) {
     console.error('Error creating recognition stream:', error);
@@ -93,16 +144,118 @@ function handleStopRecognition(ws, state) {
  * @param {Object} ws - WebSocket instance
  * @param {string} transcript - Transcription text
  * @param {boolean} isFinal - Whether the transcription is final
+ * @param {string|null} transcriptId - ID of the stored transcription (final results only)
+ * @param {boolean} hasAudio - Whether the utterance's audio was archived
  */
-function sendTranscription(ws, transcript, isFinal) {
+function sendTranscription(ws, transcript, isFinal, transcriptId = null, hasAudio = false) {
   sendMessage(ws, {
     type: 'transcription',
     transcript,
     isFinal,
+    ...(transcriptId ? { transcriptId } : {}),
+    ...(hasAudio ? { hasAudio } : {}),
     timestamp: new Date().toISOString()
   });
 }
 
+/**
+ * Send a failed transcript correction to the client
+ * @param {Object} ws - WebSocket instance
+ * @param {string} transcriptId - Transcription ID
+ * @param {string} errorMessage - Error message
+ */
+function sendTranscriptError(ws, transcriptId, errorMessage) {
+  sendMessage(ws, {
+    type: 'transcript_error',
+    transcriptId,
+    message: errorMessage
+  });
+}
+
+/**
+ * Load a transcription the connection's user may change: their own, or
+ * any transcription of a repository they own. Sends a transcript_error
+ * to the client otherwise.
+ * @param {Object} ws - WebSocket instance
+ * @param {string} transcriptId - Transcription ID
+ * @param {ConnectionState} state - Connection state
+ * @returns {Promise<Object|null>} Transcription record or null
+ */
+async function getEditableTranscription(ws, transcriptId, state) {
+  const user = state.getUser();
+  const transcription = /^\d{1,18}$/.test(String(transcriptId)) ? await getTranscription(transcriptId) : null;
+  const role = transcription ? await getRepoMemberRole(transcription.git_repo, user.id) : null;
+
+  if (!transcription || !role) {
+    sendTranscriptError(ws, transcriptId, 'Transcript not found');
+    return null;
+  }
+  if (transcription.username !== user.username && role !== 'owner') {
+    sendTranscriptError(ws, transcriptId, 'Only repository owners can change what others said');
+    return null;
+  }
+  return transcription;
+}
+
+/**
+ * Handle update transcript message: replace a misrecognized transcript with
+ * the corrected text. Later code generations use the corrected text.
+ * @param {Object} ws - WebSocket instance
+ * @param {Object} message - Message with transcriptId and transcript
+ * @param {ConnectionState} state - Connection state
+ */
+async function handleUpdateTranscript(ws, message, state) {
+  const { transcriptId } = message;
+  const transcript = typeof message.transcript === 'string' ? message.transcript.trim() : '';
+
+  if (!transcript) {
+    sendTranscriptError(ws, transcriptId, 'Transcript cannot be empty; delete it instead');
+    return;
+  }
+
+  const transcription = await getEditableTranscription(ws, transcriptId, state);
+  if (!transcription) {
+    return;
+  }
+
+  // Corrections are typed, so they are redacted like recognized speech
+  const { text, redactions } = createRedactor().redact(transcript);
+  const updated = await updateTranscription(transcription.id, text, redactions);
+  if (!updated) {
+    sendTranscriptError(ws, transcriptId, 'Transcript not found');
+    return;
+  }
+
+  console.log(`User ${state.getUser().username} corrected transcript ${updated.id}`);
+  sendMessage(ws, {
+    type: 'transcript_updated',
+    transcriptId: updated.id,
+    transcript: updated.transcription,
+    originalTranscript: updated.original_transcription
+  });
+}
+
+/**
+ * Handle delete transcript message
+ * @param {Object} ws - WebSocket instance
+ * @param {Object} message - Message with transcriptId
+ * @param {ConnectionState} state - Connection state
+ */
+async function handleDeleteTranscript(ws, message, state) {
+  const transcription = await getEditableTranscription(ws, message.transcriptId, state);
+  if (!transcription) {
+    return;
+  }
+
+  await deleteTranscription(transcription.id);
+  await removeUtteranceAudio([transcription.audio_file].filter(Boolean));
+  console.log(`User ${state.getUser().username} deleted transcript ${transcription.id}`);
+  sendMessage(ws, {
+    type: 'transcript_deleted',
+    transcriptId: transcription.id
+  });
+}
+
 /**
  * Handle audio data from WebSocket
  * @param {Object} ws - WebSocket instance
@@ -113,6 +266,7 @@ function handleAudioData(ws, audioData, state) {
   const recognizeStream = state.getRecognizeStream();
 
   if (recognizeStream && recognizeStream.writable) {
+    state.getUtteranceRecorder()?.append(audioData);
     recognizeStream.write(audioData);
   } else {
     console.warn(`Audio data received but recognition stream not started (${audioData.length} bytes)`);
@@ -121,23 +275,193 @@ function handleAudioData(ws, audioData, state) {
 }
 
 /**
- * Generate code from conversations
+ * Send code generation progress to client
+ * @param {Object} ws - WebSocket instance
+ * @param {Object} progress - Progress event ({stage, elapsedMs, ...details})
+ */
+function sendCodeGenerationProgress(ws, progress) {
+  sendMessage(ws, {
+    type: 'code_generation_progress',
+    ...progress
+  });
+}
+
+/**
+ * Create a function that sends local workspace operations to the extension
+ * and resolves with its answer
+ * @param {Object} ws - WebSocket instance
+ * @param {ConnectionState} state - Connection state
+ * @returns {Function} Request function: (operation, args) => Promise<result>
+ */
+function createWorkspaceRequester(ws, state) {
+  return (operation, args) => new Promise((resolve, reject) => {
+    const requestId = randomUUID();
+
+    const timer = setTimeout(() => {
+      state.takeWorkspaceRequest(requestId);
+      reject(new Error(`Local workspace did not answer ${operation} within ${WORKSPACE_REQUEST_TIMEOUT_MS / 1000}s`));
+    }, WORKSPACE_REQUEST_TIMEOUT_MS);
+
+    state.addWorkspaceRequest(requestId, {
+      resolve: (result) => {
+        clearTimeout(timer);
+        resolve(result);
+      },
+      reject: (error) => {
+        clearTimeout(timer);
+        reject(error);
+      }
+    });
+
+    sendMessage(ws, { type: 'workspace_request', requestId, operation, args });
+  });
+}
+
+/**
+ * Handle the extension's answer to a local workspace request
+ * @param {Object} message - Message object with requestId and result or error
+ * @param {ConnectionState} state - Connection state
+ */
+function handleWorkspaceResponse(message, state) {
+  const pending = state.takeWorkspaceRequest(message.requestId);
+  if (!pending) {
+    console.warn(`Workspace response for unknown or expired request ${message.requestId}`);
+    return;
+  }
+
+  if (message.error) {
+    pending.reject(new Error(message.error));
+  } else {
+    pending.resolve(message.result);
+  }
+}
+
+/**
+ * Explain why there is nothing to generate code from
+ * @param {Object} next - Result of getConversationsForNextRun()
+ * @returns {string} Message for the user
+ */
+function describeMissingConversations({ source, session, previousRun }) {
+  if (source === 'selection') {
+    return 'None of the selected transcripts were found on this branch.';
+  }
+  if (source === 'session') {
+    return previousRun
+      ? `No new conversations in session "${session.name}" since the last code generation. Please discuss the next changes first.`
+      : `Session "${session.name}" has no conversations yet. Please have some conversations first.`;
+  }
+  return previousRun
+    ? 'No new conversations since the last code generation. Please discuss the next changes first.'
+    : `No conversations found in the last ${CONVERSATION_WINDOW_MINUTES} minutes. Please have some conversations first.`;
+}
+
+/**
+ * Get the registered clone credentials of a repository with the secret decrypted
  * @param {string} repoId - Repository ID
+ * @returns {Promise<Object|null>} Credentials ({kind, username, secret}) or null if none are registered
+ */
+async function getRepoCredentials(repoId) {
+  const credential = await getRepoCredential(repoId);
+  if (!credential) {
+    return null;
+  }
+
+  return {
+    kind: credential.kind,
+    username: credential.username,
+    secret: decryptSecret(credential.encrypted_secret, repoId)
+  };
+}
+
+/**
+ * Record the outcome of a run. A failure to save is logged but does not
+ * prevent the result from reaching the client.
+ * @param {number} runId - Run ID
+ * @param {Object} outcome - Run outcome for finishGenerationRun()
+ * @returns {Promise<void>}
+ */
+async function saveRunOutcome(runId, outcome) {
+  try {
+    await finishGenerationRun(runId, outcome);
+  } catch (error) {
+    console.warn(`Warning: Failed to save outcome of generation run ${runId}:`, error.message);
+  }
+}
+
+/**
+ * Generate code from conversations and record the run
+ * @param {Object} repo - Registered repository record
  * @param {string} branch - Branch name
  * @param {Array<Object>} conversations - Conversation transcripts
+ * @param {Object} options - Generation options
+ * @param {string} options.requestedBy - Username of the requester
+ * @param {Function} options.onProgress - Called with progress events
+ * @param {AbortSignal} options.signal - Cancels the generation
+ * @param {Object|null} options.previousRun - Previous run on the branch, or null
+ * @param {string} options.source - recent, session or selection
+ * @param {Object|null} options.session - Conversation session of session runs
+ * @param {Object} [options.workspace] - Local workspace, or undefined to use the pushed branch
  * @returns {Promise<Object>} Code generation result
+ * @throws {Error} If the generation was cancelled
  */
-async function generateCode(repoId, branch, conversations) {
+async function generateCode(repo, branch, conversations, { requestedBy, onProgress, signal, previousRun, source, session, workspace }) {
+  const run = await createGenerationRun({
+    gitRepo: repo.id,
+    branch,
+    requestedBy,
+    transcripts: conversations,
+    source,
+    sessionId: session?.id ?? null
+  });
+  const startTime = Date.now();
+  // Counts what is redacted from the run's prompts, also when the run fails
+  const redactor = createRedactor();
+  let provider = null;
+
   try {
-    const result = await generateCodeFromConversation(repoId, branch, conversations);
+    provider = createProvider();
+    const result = await generateCodeFromConversation(repo.url, branch, conversations, {
+      provider,
+      onProgress,
+      signal,
+      previousRun,
+      workspace,
+      redactor,
+      credentials: workspace ? null : await getRepoCredentials(repo.id)
+    });
     console.log('\n=== Code Generation Result ===');
     console.log(JSON.stringify(result, null, 2));
-    return result;
+
+    // Only completed runs count as handled for the next incremental run
+    await saveRunOutcome(run.id, {
+      status: result.incomplete ? 'incomplete' : 'completed',
+      provider: provider.name,
+      model: provider.model,
+      summary: result.summary,
+      files: result.files,
+      verification: result.verification,
+      redactions: redactor.applied(),
+      durationMs: Date.now() - startTime
+    });
+    return { ...result, runId: run.id };
   } catch (error) {
+    await saveRunOutcome(run.id, {
+      status: signal.aborted ? 'cancelled' : 'failed',
+      provider: provider?.name,
+      model: provider?.model,
+      error: error.message,
+      redactions: redactor.applied(),
+      durationMs: Date.now() - startTime
+    });
+
+    if (signal.aborted) {
+      throw error;
+    }
     console.error('Error generating code:', error);
     return {
       summary: `Error during code generation: ${error.message}`,
-      files: []
+      files: [],
+      runId: run.id
     };
   }
 }
@@ -187,7 +511,16 @@ function sendCodeGenerationResult(ws, result, audioBuffer = null) {
 }
 
 /**
- * Handle code generation message
+ * Send code generation cancellation to client
+ * @param {Object} ws - WebSocket instance
+ */
+function sendCodeGenerationCancelled(ws) {
+  sendMessage(ws, { type: 'code_generation_cancelled' });
+}
+
+/**
+ * Handle code generation message. The requester is the connection's
+ * authenticated user.
  * @param {Object} ws - WebSocket instance
  * @param {Object} message - Message object
  * @param {ConnectionState} state - Connection state
@@ -195,10 +528,10 @@ function sendCodeGenerationResult(ws, result, audioBuffer = null) {
 async function handleCodeGeneration(ws, message, state) {
   const connectionInfo = state.getConnectionInfo();
   const repoId = message.repoId || connectionInfo?.repoId;
-  const userName = message.userName || connectionInfo?.userName;
+  const userName = state.getUser().username;
   const branch = message.branch || connectionInfo?.branch;
 
-  console.log(`Generating code for repo: ${repoId}, branch: ${branch}`);
+  console.log(`Generating code for repo: ${repoId}, branch: ${branch}${message.source === 'local' ? ' (local workspace)' : ''}`);
 
   if (!repoId || !userName || !branch) {
     console.error('Missing connection info for code generation');
@@ -206,29 +539,78 @@ async function handleCodeGeneration(ws, message, state) {
     return;
   }
 
+  if (state.getGenerationController()) {
+    sendError(ws, 'Code generation already in progress');
+    return;
+  }
+
+  const controller = new AbortController();
+  state.setGenerationController(controller);
+
   try {
-    const conversations = await getRecentTranscriptionsForBranch(repoId, branch, 60);
+    const repo = await getAccessibleRepo(ws, repoId, state);
+    if (!repo) {
+      return;
+    }
 
-    if (conversations.length === 0) {
-      console.log('No conversations found in the last 60 minutes');
-      sendCodeGenerationResult(ws, {
-        summary: 'No conversations found in the last 60 minutes. Please have some conversations first.',
-        files: []
-      });
+    const next = await getConversationsForNextRun(repoId, branch, {
+      sessionId: message.sessionId,
+      transcriptIds: message.transcriptIds
+    });
+    if (next.error) {
+      sendCodeGenerationResult(ws, { summary: next.error, files: [] });
       return;
     }
 
-    console.log(`Found ${conversations.length} conversation messages from all users`);
+    const { source, session, previousRun, conversations } = next;
+
+    if (conversations.length === 0) {
+      const summary = describeMissingConversations(next);
+      console.log(summary);
+      sendCodeGenerationResult(ws, { summary, files: [] });
+      return;
+    }
 
-    const result = await generateCode(repoId, branch, conversations);
+    console.log(`Found ${conversations.length} conversation messages from all users (${session ? `session ${session.id}` : source})`);
+
+    const result = await generateCode(repo, branch, conversations, {
+      requestedBy: userName,
+      onProgress: (progress) => sendCodeGenerationProgress(ws, progress),
+      signal: controller.signal,
+      previousRun,
+      source,
+      session,
+      workspace: message.source === 'local'
+        ? createLocalWorkspace(repo.url, branch, createWorkspaceRequester(ws, state))
+        : undefined
+    });
     const audioBuffer = await generateAudioFromSummary(result.summary);
     sendCodeGenerationResult(ws, result, audioBuffer);
   } catch (error) {
+    if (controller.signal.aborted) {
+      console.log(`Code generation cancelled for repo: ${repoId}, branch: ${branch}`);
+      sendCodeGenerationCancelled(ws);
+      return;
+    }
     console.error('Error in code generation process:', error);
     sendCodeGenerationResult(ws, {
       summary: `Error: ${error.message}`,
       files: []
     });
+  } finally {
+    state.clearGenerationController(controller);
+  }
+}
+
+/**
+ * Handle cancel generation message
+ * @param {Object} ws - WebSocket instance
+ * @param {ConnectionState} state - Connection state
+ */
+function handleCancelGeneration(ws, state) {
+  console.log('Cancelling code generation');
+  if (!state.cancelGeneration()) {
+    sendError(ws, 'No code generation in progress');
   }
 }
 
@@ -266,6 +648,22 @@ async function routeControlMessage(ws, message, state) {
       await handleCodeGeneration(ws, message, state);
       break;
 
+    case 'cancel_generation':
+      handleCancelGeneration(ws, state);
+      break;
+
+    case 'workspace_response':
+      handleWorkspaceResponse(message, state);
+      break;
+
+    case 'update_transcript':
+      await handleUpdateTranscript(ws, message, state);
+      break;
+
+    case 'delete_transcript':
+      await handleDeleteTranscript(ws, message, state);
+      break;
+
     default:
       sendError(ws, `Unknown message type: ${message.type}`);
   }
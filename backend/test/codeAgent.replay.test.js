@@ -0,0 +1,88 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { createGitRepo } from './helpers/gitRepo.js';
+
+// The workspace cache reads its directory when it is first imported
+const cacheDir = await mkdtemp(join(tmpdir(), 'hiya-test-cache-'));
+process.env.WORKSPACE_CACHE_DIR = cacheDir;
+
+const { generateCodeFromConversation } = await import('../src/agent/codeAgent.js');
+const { createReplayProvider } = await import('../src/agent/providers/replayProvider.js');
+
+const FIXTURE = fileURLToPath(new URL('./fixtures/add-farewell.json', import.meta.url));
+
+const repoPath = await createGitRepo({
+  'src/greet.js': 'export function greet(name) {\n  return `Hello, ${name}!`;\n}\n'
+});
+
+after(async () => {
+  await rm(repoPath, { recursive: true, force: true });
+  await rm(cacheDir, { recursive: true, force: true });
+});
+
+/**
+ * Wrap a provider to record the requests it receives
+ * @param {Object} provider - Provider
+ * @returns {{provider: Object, requests: Array<Object>}} Wrapped provider and its requests
+ */
+function recordRequests(provider) {
+  const requests = [];
+  return {
+    requests,
+    provider: {
+      ...provider,
+      complete: (request) => {
+        requests.push(structuredClone(request.messages));
+        return provider.complete(request);
+      }
+    }
+  };
+}
+
+test('replays a recorded run against a real checkout', async () => {
+  const { provider, requests } = recordRequests(createReplayProvider({ fixturePath: FIXTURE }));
+  const stages = [];
+
+  const result = await generateCodeFromConversation(
+    `file://${repoPath}`,
+    'main',
+    [{ timestamp: '2024-05-02T10:00:00.000Z', username: 'alice', transcription: 'Add a farewell function next to greet.' }],
+    { provider, verifyCommand: null, onProgress: ({ stage }) => stages.push(stage) }
+  );
+
+  // Every recorded response was served: tools, a rejected answer, the corrected answer
+  assert.equal(requests.length, 3);
+  assert.match(requests[0][1].content, /alice: Add a farewell function/);
+
+  const toolResults = requests[1].filter(message => message.role === 'tool');
+  assert.deepEqual(toolResults.map(message => message.tool_call_id), ['call_list', 'call_read']);
+  assert.match(JSON.parse(toolResults[1].content).content, /export function greet/);
+
+  const feedback = requests[2].at(-1);
+  assert.equal(feedback.role, 'user');
+  assert.match(feedback.content, /src\/greet\.js: edit #1 \(search_replace\): search text not found/);
+
+  assert.equal(result.incomplete, undefined);
+  assert.equal(result.summary, 'I added a farewell function next to greet.');
+  assert.equal(result.files.length, 1);
+  assert.equal(result.files[0].filename, 'src/greet.js');
+  assert.match(result.files[0].patch, /^\+export function farewell\(name\) \{$/m);
+  assert.equal(result.files[0].validation.status, 'passed');
+
+  assert.deepEqual(
+    stages.filter(stage => ['preparing_workspace', 'workspace_ready', 'edits_rejected', 'validated', 'completed'].includes(stage)),
+    ['preparing_workspace', 'workspace_ready', 'edits_rejected', 'validated', 'completed']
+  );
+});
+
+test('fails when the run asks for more responses than were recorded', async () => {
+  const replay = createReplayProvider({ fixturePath: FIXTURE });
+  for (let i = 0; i < 3; i++) {
+    await replay.complete();
+  }
+  await assert.rejects(replay.complete(), /exhausted after 3 responses/);
+});
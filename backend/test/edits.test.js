@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyFileEdits } from '../src/agent/edits.js';
+
+const ORIGINAL = 'one\ntwo\nthree\nfour\nfive\n';
+
+test('locates search text in the original file after line edits change the line count', () => {
+  const { content, errors } = applyFileEdits({
+    filename: 'a.txt',
+    edits: [
+      { type: 'replace_lines', startLine: 1, endLine: 1, original: 'one', content: 'one\none and a half' },
+      { type: 'search_replace', search: 'four\nfive', replace: 'FOUR\nFIVE' }
+    ]
+  }, ORIGINAL);
+
+  assert.deepEqual(errors, []);
+  assert.equal(content, 'one\none and a half\ntwo\nthree\nFOUR\nFIVE\n');
+});
+
+test('does not match search text introduced by another edit', () => {
+  const { content, errors } = applyFileEdits({
+    filename: 'a.txt',
+    edits: [
+      { type: 'replace_lines', startLine: 2, endLine: 2, original: 'two', content: 'six' },
+      { type: 'search_replace', search: 'six', replace: 'seven' }
+    ]
+  }, ORIGINAL);
+
+  assert.equal(content, null);
+  assert.deepEqual(errors, ['a.txt: edit #2 (search_replace): search text not found in the file.']);
+});
+
+test('inserts, deletes and replaces lines by their original numbers', () => {
+  const { content, errors } = applyFileEdits({
+    filename: 'a.txt',
+    edits: [
+      { type: 'replace_lines', startLine: 1, endLine: 0, content: 'zero' },
+      { type: 'replace_lines', startLine: 2, endLine: 3, original: 'two\nthree', content: '' },
+      { type: 'replace_lines', startLine: 5, endLine: 5, original: 'five', content: 'FIVE\n' }
+    ]
+  }, ORIGINAL);
+
+  assert.deepEqual(errors, []);
+  assert.equal(content, 'zero\none\nfour\nFIVE\n');
+});
+
+test('rejects edits without replacement text', () => {
+  const { content, errors } = applyFileEdits({
+    filename: 'a.txt',
+    edits: [
+      { type: 'replace_lines', startLine: 2, endLine: 2, original: 'two' },
+      { type: 'search_replace', search: 'four' }
+    ]
+  }, ORIGINAL);
+
+  assert.equal(content, null);
+  assert.deepEqual(errors, [
+    'a.txt: edit #1 (replace_lines 2-2): missing "content" with the new text of the lines; use "" to delete them',
+    'a.txt: edit #2 (search_replace): missing "replace" with the new text; use "" to delete the search text'
+  ]);
+});
+
+test('rejects edits that overlap', () => {
+  const { content, errors } = applyFileEdits({
+    filename: 'a.txt',
+    edits: [
+      { type: 'replace_lines', startLine: 2, endLine: 3, original: 'two\nthree', content: 'TWO\nTHREE' },
+      { type: 'search_replace', search: 'three\nfour', replace: '3\n4' }
+    ]
+  }, ORIGINAL);
+
+  assert.equal(content, null);
+  assert.deepEqual(errors, ['a.txt: edit #2 (search_replace): overlaps edit #1']);
+});
@@ -0,0 +1,44 @@
+import { test, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createFileStore } from '../src/db/fileStore.js';
+
+const dataDir = await mkdtemp(join(tmpdir(), 'hiya-test-db-'));
+const filePath = join(dataDir, 'store.json');
+
+after(() => rm(dataDir, { recursive: true, force: true }));
+
+/**
+ * Read the last use of the only API token from the file
+ * @returns {Promise<string|null>} Stored last_used_at
+ */
+async function readLastUsed() {
+  const { api_tokens: [token] } = JSON.parse(await readFile(filePath, 'utf-8'));
+  return token.last_used_at;
+}
+
+test('writes the last use of an API token at most once a minute', async () => {
+  const store = createFileStore({ filePath });
+  await store.connect();
+  const user = await store.createUser('alice', 'not-a-real-hash');
+  await store.createApiToken(user.id, 'a'.repeat(64), 'laptop', null);
+
+  mock.timers.enable({ apis: ['Date'], now: Date.parse('2024-05-01T10:00:00.000Z') });
+  try {
+    assert.deepEqual(await store.getUserByTokenHash('a'.repeat(64)), { id: user.id, username: 'alice' });
+    assert.equal(await readLastUsed(), '2024-05-01T10:00:00.000Z');
+
+    mock.timers.tick(59 * 1000);
+    assert.ok(await store.getUserByTokenHash('a'.repeat(64)));
+    assert.equal(await readLastUsed(), '2024-05-01T10:00:00.000Z');
+
+    mock.timers.tick(1000);
+    assert.ok(await store.getUserByTokenHash('a'.repeat(64)));
+    assert.equal(await readLastUsed(), '2024-05-01T10:01:00.000Z');
+  } finally {
+    mock.timers.reset();
+    await store.close();
+  }
+});
@@ -0,0 +1,24 @@
+import { execFileSync } from 'child_process';
+import { mkdtemp, mkdir, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+
+/**
+ * Create a git repository with one commit on main
+ * @param {Object<string, string>} files - File contents by path relative to the repository root
+ * @returns {Promise<string>} Repository path
+ */
+export async function createGitRepo(files) {
+  const repoPath = await mkdtemp(join(tmpdir(), 'hiya-test-repo-'));
+  const git = (...args) => execFileSync('git', args, { cwd: repoPath, stdio: 'pipe' });
+
+  git('init', '--quiet', '--initial-branch=main');
+  for (const [path, content] of Object.entries(files)) {
+    await mkdir(dirname(join(repoPath, path)), { recursive: true });
+    await writeFile(join(repoPath, path), content);
+  }
+  git('add', '--all');
+  git('-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'commit', '--quiet', '-m', 'Initial commit');
+
+  return repoPath;
+}
@@ -0,0 +1,21 @@
+/**
+ * Call a route handler with a fake request, as the given user
+ * @param {Function} handler - Route handler
+ * @param {Object} req - Request fields (user, body, query, params)
+ * @returns {Promise<{status: number, body: Object}>} Response status and body, serialized as JSON like Express does
+ */
+export async function callRoute(handler, req) {
+  const response = { status: 200, body: null };
+  const res = {
+    status(code) {
+      response.status = code;
+      return this;
+    },
+    json(data) {
+      response.body = JSON.parse(JSON.stringify(data));
+      return this;
+    }
+  };
+  await handler({ body: {}, query: {}, params: {}, ...req }, res);
+  return response;
+}
@@ -0,0 +1,91 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { randomBytes } from 'crypto';
+import { connectDatabase, closeDatabase, getRepoByCanonicalUrl, getRepoCredential } from '../src/db/database.js';
+import { createPostgresStore } from '../src/db/postgresStore.js';
+import { encryptSecret, decryptSecret } from '../src/db/encryption.js';
+import { migrate } from '../postgres/004_create_repos.js';
+import { startPostgres } from './helpers/postgres.js';
+
+process.env.CREDENTIALS_ENCRYPTION_KEY = randomBytes(32).toString('hex');
+
+const WIDGETS_HTTPS = 'https://github.com/Acme/Widgets.git';
+const WIDGETS_SSH = 'git@github.com:acme/widgets.git';
+const TOOLS_URL = 'https://gitlab.com/acme/tools';
+
+const postgres = await startPostgres();
+
+after(async () => {
+  await closeDatabase();
+  await postgres.stop();
+});
+
+// A database as migrations 001-003 left it, with rows keyed by the URL the client sent
+for (const file of ['001_create_user_transcripts.sql', '002_create_generation_runs.sql', '003_create_repo_credentials.sql']) {
+  await postgres.db.exec(await readFile(new URL(`../postgres/${file}`, import.meta.url), 'utf-8'));
+}
+await postgres.db.exec(`
+  INSERT INTO user_transcripts (git_repo, username, branch, timestamp, transcription) VALUES
+    ('${WIDGETS_HTTPS}', 'alice', 'develop', '2024-05-01 10:00:00', 'Rename the widget factory'),
+    ('${WIDGETS_SSH}', 'bob', 'develop', '2024-05-01 10:01:00', 'And update its tests'),
+    ('${WIDGETS_SSH}', 'bob', 'main', '2024-05-01 10:02:00', 'Then release it'),
+    ('${TOOLS_URL}', 'carol', 'main', '2024-05-02 09:00:00', 'Add a lint script');
+
+  INSERT INTO generation_runs (git_repo, branch, requested_by, status, transcripts, started_at) VALUES
+    ('${WIDGETS_SSH}', 'develop', 'bob', 'completed', '[]', '2024-05-01 10:05:00');
+`);
+await postgres.db.query(
+  `INSERT INTO repo_credentials (git_repo, kind, username, encrypted_secret, created_at, updated_at) VALUES
+     ($1, 'https_token', 'x-access-token', $2, '2024-04-01', '2024-04-20'),
+     ($3, 'https_token', 'x-access-token', $4, '2024-04-01', '2024-04-10')`,
+  [WIDGETS_HTTPS, encryptSecret('ghp_current_token', WIDGETS_HTTPS), WIDGETS_SSH, encryptSecret('ghp_old_token', WIDGETS_SSH)]
+);
+
+await connectDatabase(createPostgresStore({ connectionString: postgres.connectionString }));
+
+test('registers one repository per canonical URL', async () => {
+  const widgets = await getRepoByCanonicalUrl('github.com/acme/widgets');
+  const tools = await getRepoByCanonicalUrl('gitlab.com/acme/tools');
+
+  assert.ok(widgets);
+  assert.ok(tools);
+  assert.equal(widgets.default_branch, 'develop');
+  assert.equal(widgets.created_by, 'migration');
+  assert.equal(tools.url, TOOLS_URL);
+
+  const { rows } = await postgres.db.query('SELECT COUNT(*)::int AS count FROM repos');
+  assert.equal(rows[0].count, 2);
+});
+
+test('rewrites transcripts and generation runs to the repository id', async () => {
+  const widgets = await getRepoByCanonicalUrl('github.com/acme/widgets');
+  const tools = await getRepoByCanonicalUrl('gitlab.com/acme/tools');
+
+  const transcripts = await postgres.db.query('SELECT git_repo FROM user_transcripts ORDER BY timestamp');
+  assert.deepEqual(transcripts.rows.map(row => row.git_repo), [widgets.id, widgets.id, widgets.id, tools.id]);
+
+  const runs = await postgres.db.query('SELECT git_repo FROM generation_runs');
+  assert.deepEqual(runs.rows, [{ git_repo: widgets.id }]);
+});
+
+test('keeps the newest credentials, encrypted for the repository id', async () => {
+  const widgets = await getRepoByCanonicalUrl('github.com/acme/widgets');
+  const credential = await getRepoCredential(widgets.id);
+
+  assert.equal(decryptSecret(credential.encrypted_secret, widgets.id), 'ghp_current_token');
+  assert.throws(() => decryptSecret(credential.encrypted_secret, WIDGETS_HTTPS), /Failed to decrypt/);
+
+  const { rows } = await postgres.db.query('SELECT git_repo FROM repo_credentials');
+  assert.deepEqual(rows, [{ git_repo: widgets.id }]);
+});
+
+test('leaves rows that refer to a repository alone when run again', async () => {
+  const credentials = await postgres.db.query('SELECT git_repo, encrypted_secret FROM repo_credentials');
+  await migrate(postgres.db);
+  const rerun = await postgres.db.query('SELECT git_repo, encrypted_secret FROM repo_credentials');
+
+  assert.deepEqual(rerun.rows, credentials.rows);
+  const { rows } = await postgres.db.query('SELECT COUNT(*)::int AS count FROM repos');
+  assert.equal(rows[0].count, 2);
+});
@@ -0,0 +1,51 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, symlink, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { getFileContent, listDirectory, searchRepo } from '../src/agent/repoTools.js';
+import { createGitRepo } from './helpers/gitRepo.js';
+
+const repoPath = await createGitRepo({
+  'src/app.js': 'const retries = 3;\nexport default retries;\n',
+  'README.md': 'aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa!\n'
+});
+const outsideDir = await mkdtemp(join(tmpdir(), 'hiya-test-outside-'));
+await writeFile(join(outsideDir, '.env'), 'SECRET=hunter2\n');
+await symlink(join(outsideDir, '.env'), join(repoPath, 'env-link'));
+await symlink(outsideDir, join(repoPath, 'outside'));
+
+const workspace = { repoPath };
+
+after(async () => {
+  await rm(repoPath, { recursive: true, force: true });
+  await rm(outsideDir, { recursive: true, force: true });
+});
+
+test('reads files inside the repository', async () => {
+  assert.equal(await getFileContent(workspace, 'src/app.js'), 'const retries = 3;\nexport default retries;\n');
+});
+
+test('rejects paths that lead outside the repository', async () => {
+  await assert.rejects(getFileContent(workspace, '../outside.txt'), /outside the repository/);
+});
+
+test('rejects symlinks that lead outside the repository', async () => {
+  await assert.rejects(getFileContent(workspace, 'env-link'), /outside the repository/);
+  await assert.rejects(getFileContent(workspace, 'outside/.env'), /outside the repository/);
+  await assert.rejects(listDirectory(workspace, { path: 'outside' }), /outside the repository/);
+  await assert.rejects(searchRepo(workspace, { pattern: 'SECRET', path: 'outside' }), /outside the repository/);
+});
+
+test('searches with regular expressions', async () => {
+  const { matches } = await searchRepo(workspace, { pattern: 'retr\\w+', isRegex: true, contextLines: 0 });
+
+  assert.deepEqual(matches.map(match => [match.file, match.line]), [['src/app.js', 1], ['src/app.js', 2]]);
+});
+
+test('stops a search whose pattern backtracks catastrophically', async () => {
+  const started = Date.now();
+
+  await assert.rejects(searchRepo(workspace, { pattern: '(a+)+$', isRegex: true }), /Search timed out/);
+  assert.ok(Date.now() - started < 20000);
+});
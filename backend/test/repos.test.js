@@ -0,0 +1,76 @@
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { connectDatabase, createUser, createRepo, getRepoByCanonicalUrl, getRepoMemberRole } from '../src/db/database.js';
+import { createFileStore } from '../src/db/fileStore.js';
+import { registerRepo } from '../src/routes/repos.js';
+import { assignOwner } from '../src/admin/assignOwner.js';
+import { createGitRepo } from './helpers/gitRepo.js';
+import { callRoute } from './helpers/routes.js';
+
+const dataDir = await mkdtemp(join(tmpdir(), 'hiya-test-db-'));
+await connectDatabase(createFileStore({ filePath: join(dataDir, 'store.json') }));
+
+const alice = await createUser('alice', 'not-a-real-hash');
+const bob = await createUser('bob', 'not-a-real-hash');
+const repoPath = await createGitRepo({ 'README.md': '# Test\n' });
+
+after(async () => {
+  await rm(repoPath, { recursive: true, force: true });
+  await rm(dataDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  delete process.env.ALLOW_LOCAL_REPOS;
+});
+
+test('rejects local paths and file:// URLs', async () => {
+  for (const repoUrl of [repoPath, `file://${repoPath}`, '/etc', 'FILE:///etc']) {
+    const { status, body } = await callRoute(registerRepo, { user: alice, body: { repoUrl } });
+    assert.equal(status, 400, repoUrl);
+    assert.equal(body.error, 'Invalid repository URL');
+  }
+  assert.equal(await getRepoByCanonicalUrl(`file://${repoPath}`), null);
+});
+
+test('registers local paths when ALLOW_LOCAL_REPOS is true', async () => {
+  process.env.ALLOW_LOCAL_REPOS = 'true';
+  const { status, body } = await callRoute(registerRepo, { user: alice, body: { repoUrl: repoPath } });
+
+  assert.equal(status, 201);
+  assert.equal(body.canonical_url, `file://${repoPath}`);
+  assert.equal(body.default_branch, 'main');
+});
+
+test('does not hand a repository without members to a caller who can reach it', async () => {
+  process.env.ALLOW_LOCAL_REPOS = 'true';
+  const legacyPath = await createGitRepo({ 'README.md': '# Legacy\n' });
+  const { repo } = await createRepo({ id: uuidv4(), url: legacyPath, canonicalUrl: `file://${legacyPath}`, defaultBranch: 'main', createdBy: 'migration' });
+
+  try {
+    const { status, body } = await callRoute(registerRepo, { user: bob, body: { repoUrl: legacyPath } });
+    assert.equal(status, 409);
+    assert.match(body.message, /has no owner/);
+    assert.equal(await getRepoMemberRole(repo.id, bob.id), null);
+  } finally {
+    await rm(legacyPath, { recursive: true, force: true });
+  }
+});
+
+test('lets the operator assign the owner of a repository without members', async () => {
+  const { repo } = await createRepo({ id: uuidv4(), url: 'https://github.com/acme/legacy.git', canonicalUrl: 'github.com/acme/legacy', defaultBranch: 'main', createdBy: 'migration' });
+
+  const byUrl = await assignOwner('git@github.com:Acme/legacy.git', 'bob');
+  assert.equal(byUrl.repo.id, repo.id);
+  assert.equal(byUrl.previousRole, null);
+  assert.equal(await getRepoMemberRole(repo.id, bob.id), 'owner');
+
+  await assignOwner(repo.id, 'alice');
+  assert.equal(await getRepoMemberRole(repo.id, alice.id), 'owner');
+
+  await assert.rejects(assignOwner(repo.id, 'nobody'), /User nobody does not exist/);
+  await assert.rejects(assignOwner('https://github.com/acme/unknown', 'bob'), /is not registered/);
+});
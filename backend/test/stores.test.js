@@ -0,0 +1,221 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import {
+  connectDatabase,
+  closeDatabase,
+  createApiToken,
+  createGenerationRun,
+  createRepo,
+  createSession,
+  createUser,
+  getGenerationRun,
+  getRepoMemberRole,
+  getSession,
+  getTranscription,
+  getUserByTokenHash,
+  getUserByUsername,
+  putRepoMember,
+  putTranscription
+} from '../src/db/database.js';
+import { createFileStore } from '../src/db/fileStore.js';
+import { createPostgresStore } from '../src/db/postgresStore.js';
+import { listTranscripts, searchTranscripts } from '../src/routes/transcripts.js';
+import { deleteOwnData } from '../src/routes/retention.js';
+import { startPostgres } from './helpers/postgres.js';
+import { callRoute } from './helpers/routes.js';
+
+// Both stores must give the same results through the routes; each is
+// started, filled with the same transcripts and stopped in turn
+const STORES = {
+  file: async () => {
+    const dataDir = await mkdtemp(join(tmpdir(), 'hiya-test-db-'));
+    return {
+      store: createFileStore({ filePath: join(dataDir, 'store.json') }),
+      stop: () => rm(dataDir, { recursive: true, force: true })
+    };
+  },
+  postgres: async () => {
+    const postgres = await startPostgres();
+    return {
+      store: createPostgresStore({ connectionString: postgres.connectionString }),
+      stop: postgres.stop
+    };
+  }
+};
+
+const TRANSCRIPTS = [
+  ['alice', '2024-05-01T10:00:00.000Z', 'We keep retrying the deploys by hand'],
+  ['bob', '2024-05-01T10:00:00.000Z', 'Retries are flaky & <slow> on the staging cluster'],
+  ['alice', '2024-05-01T10:01:30.250Z', 'The deploy failed again after the cache was cleared'],
+  ['carol', '2024-05-01T10:02:00.000Z', 'Please update the README with the new flaky tests'],
+  ['bob', '2024-05-01T10:03:00.000Z', 'It was deployed on Friday']
+];
+
+for (const [name, start] of Object.entries(STORES)) {
+  describe(`${name} store`, () => {
+    let stop;
+    let repo;
+    let user;
+
+    before(async () => {
+      const started = await start();
+      stop = started.stop;
+      await connectDatabase(started.store);
+
+      user = await createUser('alice', 'not-a-real-hash');
+      ({ repo } = await createRepo({
+        id: uuidv4(),
+        url: 'https://github.com/acme/widgets.git',
+        canonicalUrl: 'github.com/acme/widgets',
+        defaultBranch: 'main',
+        createdBy: 'alice'
+      }));
+      await putRepoMember(repo.id, user.id, 'owner');
+
+      for (const [username, timestamp, transcription] of TRANSCRIPTS) {
+        await putTranscription(repo.id, username, 'main', transcription, timestamp);
+      }
+    });
+
+    after(async () => {
+      await closeDatabase();
+      await stop();
+    });
+
+    /**
+     * Follow nextCursor through every page of the transcript list
+     * @param {Object} query - Query parameters besides repoId and cursor
+     * @returns {Promise<{transcripts: Array<Object>, cursors: Array<string>}>} All transcripts and the cursors followed
+     */
+    async function listAllPages(query) {
+      const transcripts = [];
+      const cursors = [];
+      let cursor;
+
+      do {
+        const { status, body } = await callRoute(listTranscripts, { user, query: { repoId: repo.id, ...query, cursor } });
+        assert.equal(status, 200);
+        transcripts.push(...body.transcripts);
+        cursor = body.nextCursor;
+        if (cursor) cursors.push(cursor);
+      } while (cursor);
+
+      return { transcripts, cursors };
+    }
+
+    /**
+     * Search the transcripts of the test repository
+     * @param {string} q - Search query
+     * @returns {Promise<Array<Object>>} Results
+     */
+    async function search(q) {
+      const { status, body } = await callRoute(searchTranscripts, { user, query: { repoId: repo.id, q } });
+      assert.equal(status, 200);
+      return body.results;
+    }
+
+    test('pages oldest first through transcripts with the same timestamp', async () => {
+      const { transcripts, cursors } = await listAllPages({ limit: '2' });
+
+      assert.deepEqual(transcripts.map(row => row.transcription), TRANSCRIPTS.map(([, , text]) => text));
+      assert.equal(cursors.length, 2);
+    });
+
+    test('pages newest first', async () => {
+      const { transcripts } = await listAllPages({ limit: '2', order: 'desc' });
+
+      assert.deepEqual(transcripts.map(row => row.transcription), TRANSCRIPTS.map(([, , text]) => text).reverse());
+    });
+
+    test('encodes the position and id of the last row of a page in the cursor', async () => {
+      const { body } = await callRoute(listTranscripts, { user, query: { repoId: repo.id, limit: '3' } });
+      const [position, id] = JSON.parse(Buffer.from(body.nextCursor, 'base64url').toString('utf-8'));
+      const last = body.transcripts[2];
+
+      assert.equal(id, String(last.id));
+      assert.equal(Date.parse(position), Date.parse(last.timestamp));
+      assert.equal(body.transcripts.some(row => 'position' in row), false);
+    });
+
+    test('rejects cursors it did not issue', async () => {
+      const { status, body } = await callRoute(listTranscripts, { user, query: { repoId: repo.id, cursor: 'not-a-cursor' } });
+
+      assert.equal(status, 400);
+      assert.equal(body.error, 'Invalid cursor');
+    });
+
+    test('matches inflected forms of the query words', async () => {
+      const retries = await search('retry');
+      assert.deepEqual(retries.map(result => result.username).sort(), ['alice', 'bob']);
+
+      const deploys = await search('deploying');
+      assert.deepEqual(
+        deploys.map(result => result.transcription).sort(),
+        [TRANSCRIPTS[0][2], TRANSCRIPTS[2][2], TRANSCRIPTS[4][2]].sort()
+      );
+    });
+
+    test('supports phrases, OR and excluded words', async () => {
+      const phrase = await search('"flaky tests"');
+      assert.deepEqual(phrase.map(result => result.username), ['carol']);
+
+      const either = await search('readme OR cluster');
+      assert.deepEqual(either.map(result => result.username).sort(), ['bob', 'carol']);
+
+      const excluded = await search('flaky -retries');
+      assert.deepEqual(excluded.map(result => result.username), ['carol']);
+    });
+
+    test('finds nothing for stop words alone', async () => {
+      assert.deepEqual(await search('the'), []);
+    });
+
+    test('returns HTML-escaped snippets with the matched words marked and tags left out', async () => {
+      const [result] = await search('flaky retries');
+
+      // PostgreSQL keeps the spacing around the tag it leaves out
+      assert.equal(result.username, 'bob');
+      assert.equal(result.snippet.replace(/\s+/g, ' '), '<mark>Retries</mark> are <mark>flaky</mark> &amp; on the staging cluster');
+    });
+
+    test('does not match words inside tags', async () => {
+      assert.deepEqual(await search('slow'), []);
+    });
+
+    test('deletes an account with what the user said and keeps their runs and sessions anonymized', async () => {
+      const dave = await createUser('dave', 'not-a-real-hash');
+      await putRepoMember(repo.id, dave.id, 'member');
+      await createApiToken(dave.id, 'd'.repeat(64), 'laptop', null);
+      const session = await createSession({ gitRepo: repo.id, branch: 'dave-branch', name: 'Planning', startedBy: 'dave' });
+      const said = await putTranscription(repo.id, 'dave', 'dave-branch', 'My phone number is on the wiki', '2024-05-02T10:00:00.000Z');
+      const kept = await putTranscription(repo.id, 'alice', 'dave-branch', 'Thanks, I will call you', '2024-05-02T10:01:00.000Z');
+      const run = await createGenerationRun({
+        gitRepo: repo.id,
+        branch: 'dave-branch',
+        requestedBy: 'dave',
+        transcripts: [said, kept],
+        source: 'session',
+        sessionId: session.id
+      });
+
+      const { status, body } = await callRoute(deleteOwnData, { user: { id: dave.id, username: 'dave' } });
+
+      assert.equal(status, 200);
+      assert.deepEqual(body.deleted, { transcripts: 1, runs: 1, requestedRuns: 1, startedSessions: 1, tokens: 1, memberships: 1 });
+      assert.equal(await getUserByUsername('dave'), null);
+      assert.equal(await getUserByTokenHash('d'.repeat(64)), null);
+      assert.equal(await getRepoMemberRole(repo.id, dave.id), null);
+      assert.equal(await getTranscription(said.id), null);
+      assert.ok(await getTranscription(kept.id));
+
+      const anonymized = await getGenerationRun(run.id);
+      assert.equal(anonymized.requested_by, '[deleted]');
+      assert.deepEqual(anonymized.transcripts.map(transcript => transcript.username), ['alice']);
+      assert.equal((await getSession(session.id)).started_by, '[deleted]');
+    });
+  });
+}
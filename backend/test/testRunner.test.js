@@ -0,0 +1,41 @@
+import { test, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { rm } from 'fs/promises';
+import { getVerifyCommand, runVerification } from '../src/agent/testRunner.js';
+import { createGitRepo } from './helpers/gitRepo.js';
+
+const repoPath = await createGitRepo({ 'README.md': 'old\n' });
+const workspace = {
+  createScratchCheckout: async () => ({ path: repoPath, remove: async () => {} })
+};
+const files = [{ filename: 'README.md', patch: '--- README.md\n+++ README.md\n@@ -1 +1 @@\n-old\n+new\n' }];
+
+after(() => rm(repoPath, { recursive: true, force: true }));
+
+afterEach(() => {
+  delete process.env.AGENT_VERIFY_COMMAND;
+  delete process.env.AGENT_VERIFY_WRAPPER;
+});
+
+test('skips verification when no wrapper is configured', () => {
+  process.env.AGENT_VERIFY_COMMAND = 'npm test';
+  assert.equal(getVerifyCommand(), null);
+
+  process.env.AGENT_VERIFY_WRAPPER = 'env';
+  assert.equal(getVerifyCommand(), 'npm test');
+});
+
+test('refuses to run the command without a wrapper', async () => {
+  const result = await runVerification(workspace, files, 'cat README.md');
+
+  assert.equal(result.status, 'error');
+  assert.match(result.output, /AGENT_VERIFY_WRAPPER is not set/);
+});
+
+test('runs the whole command inside the wrapper', async () => {
+  process.env.AGENT_VERIFY_WRAPPER = 'env VERIFY_WRAPPED=1';
+  const result = await runVerification(workspace, files, `cat README.md && echo "wrapped=$VERIFY_WRAPPED" 'it''s'`);
+
+  assert.equal(result.status, 'passed');
+  assert.equal(result.output, 'new\nwrapped=1 its\n');
+});
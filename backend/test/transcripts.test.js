@@ -0,0 +1,42 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import {
+  connectDatabase,
+  createRepo,
+  createUser,
+  putRepoMember,
+  putTranscription,
+  setTranscriptionAudio
+} from '../src/db/database.js';
+import { createFileStore } from '../src/db/fileStore.js';
+import { getTranscriptAudio } from '../src/routes/transcripts.js';
+import { callRoute } from './helpers/routes.js';
+
+const dataDir = await mkdtemp(join(tmpdir(), 'hiya-test-db-'));
+await connectDatabase(createFileStore({ filePath: join(dataDir, 'store.json') }));
+
+const alice = await createUser('alice', 'not-a-real-hash');
+const { repo } = await createRepo({
+  id: uuidv4(),
+  url: 'https://github.com/acme/widgets.git',
+  canonicalUrl: 'github.com/acme/widgets',
+  defaultBranch: 'main',
+  createdBy: 'alice'
+});
+await putRepoMember(repo.id, alice.id, 'owner');
+
+after(() => rm(dataDir, { recursive: true, force: true }));
+
+test('does not play back the audio of a redacted transcript', async () => {
+  const record = await putTranscription(repo.id, 'alice', 'main', 'The token is [REDACTED:github_token]', null, [{ rule: 'github_token', count: 1 }]);
+  await setTranscriptionAudio(record.id, `${repo.id}/${record.id}.wav`);
+
+  const { status, body } = await callRoute(getTranscriptAudio, { user: alice, params: { id: String(record.id) } });
+
+  assert.equal(status, 403);
+  assert.match(body.message, /was redacted/);
+});
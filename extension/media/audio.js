@@ -228,3 +228,21 @@ export function playAudio(base64Data, format) {
     }
 }
 
+
+/**
+ * Play an audio file, such as the archived audio of an utterance
+ * @param {Blob} blob - Audio file
+ * @returns {Promise<void>} Resolves when playback has started
+ */
+export function playAudioBlob(blob) {
+    const blobUrl = URL.createObjectURL(blob);
+    const audio = new Audio(blobUrl);
+
+    audio.addEventListener('ended', () => URL.revokeObjectURL(blobUrl));
+    audio.addEventListener('error', () => URL.revokeObjectURL(blobUrl));
+
+    return audio.play().catch(error => {
+        URL.revokeObjectURL(blobUrl);
+        throw error;
+    });
+}
@@ -1,12 +1,25 @@
-import { unlockAudio, playAudio } from './audio.js';
+import { unlockAudio, playAudio, playAudioBlob } from './audio.js';
 import { 
     showStatus, 
     updateConnectionState, 
     updateRecordingState, 
     addTranscription,
+    showSearchResults,
+    highlightTranscript,
+    showConversationContext,
+    showSessions,
+    setTranscriptSelection,
+    getSelectedTranscriptIds,
+    applyTranscriptUpdate,
+    removeTranscriptMessage,
+    showTranscriptError,
     showLoadingAnimation,
     setGenerateCodeButtonEnabled,
-    handleCodeGenerationResult
+    handleCodeGenerationResult,
+    clearActivityLog,
+    addActivityLogEntry,
+    setCancelGenerationButtonEnabled,
+    handleCodeGenerationCancelled
 } from './ui.js';
 
 const vscode = acquireVsCodeApi();
@@ -15,6 +28,8 @@ let isConnected = false;
 let isRecording = false;
 let connectionInfo = null;
 let httpUrl = '';
+let authToken = null;
+let openSession = null;
 
 /**
  * Initialize URLs from window configuration
@@ -24,15 +39,90 @@ function initializeUrls(backendUrl) {
     httpUrl = backendUrl.replace(/^ws/, 'http');
 }
 
+/**
+ * Show whether the panel holds an API token
+ * @param {string|null} userName - Signed-in user, or null when signed out
+ */
+function updateAuthState(userName) {
+    const userNameInput = document.getElementById('userName');
+    document.getElementById('passwordField').style.display = userName ? 'none' : '';
+    document.getElementById('signOutBtn').style.display = userName ? '' : 'none';
+    userNameInput.disabled = !!userName;
+    if (userName) {
+        userNameInput.value = userName;
+    }
+    showStatus('authStatus', userName ? `Signed in as ${userName}` : '', '');
+}
+
+/**
+ * Forget the API token after the backend rejected it or the user signed out
+ */
+function clearAuth() {
+    authToken = null;
+    updateAuthState(null);
+    vscode.postMessage({ command: 'signedOut' });
+}
+
+/**
+ * Log in with the name and password from the form. The API token is kept
+ * in the extension's secret storage, the password is not stored.
+ * @param {string} userName - User name
+ */
+async function signIn(userName) {
+    const passwordInput = document.getElementById('password');
+    if (!passwordInput.value) {
+        throw new Error('Please enter your password');
+    }
+
+    const response = await fetch(httpUrl + '/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ userName, password: passwordInput.value, tokenName: 'vscode' })
+    });
+
+    if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error('Failed to sign in: ' + (body.message || response.statusText));
+    }
+
+    const data = await response.json();
+    passwordInput.value = '';
+    authToken = data.token;
+    updateAuthState(data.userName);
+    vscode.postMessage({ command: 'signedIn', token: data.token, userName: data.userName });
+}
+
+/**
+ * Revoke the API token and return to the sign-in form
+ */
+async function signOut() {
+    if (authToken) {
+        await fetch(httpUrl + '/api/auth/logout', {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        }).catch(error => console.warn('Failed to revoke token:', error));
+    }
+
+    if (isRecording) {
+        vscode.postMessage({ command: 'stopRecording' });
+    }
+    isConnected = false;
+    connectionInfo = null;
+    updateConnectionState(false);
+    showStatus('connectionStatus', '', '');
+    clearAuth();
+}
+
 /**
  * Connect to repository
  */
 async function connect() {
     const repoUrl = document.getElementById('repoUrl').value;
     const userName = document.getElementById('userName').value;
-    const branch = document.getElementById('branch').value || 'main';
+    // Left empty, the backend uses the repository's default branch
+    const branch = document.getElementById('branch').value || undefined;
 
-    console.log(`${userName} is trying to connect to repo ${repoUrl} on branch ${branch}`);
+    console.log(`${userName} is trying to connect to repo ${repoUrl} on branch ${branch || '(default)'}`);
 
     if (!repoUrl || !userName) {
         showStatus('connectionStatus', 'Please fill in repository URL and your name', 'error');
@@ -51,14 +141,26 @@ async function connect() {
     }
 
     try {
+        if (!authToken) {
+            await signIn(userName);
+        }
+
         const response = await fetch(httpUrl + '/api/repos/connect', {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ repoUrl, userName, branch })
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${authToken}`
+            },
+            body: JSON.stringify({ repoUrl, branch })
         });
 
+        if (response.status === 401) {
+            clearAuth();
+            throw new Error('Your session has expired. Please sign in again.');
+        }
         if (!response.ok) {
-            throw new Error('Failed to connect: ' + response.statusText);
+            const body = await response.json().catch(() => ({}));
+            throw new Error('Failed to connect: ' + (body.message || response.statusText));
         }
 
         const data = await response.json();
@@ -69,7 +171,7 @@ async function connect() {
         };
         
         isConnected = true;
-        showStatus('connectionStatus', 'Connected successfully!', 'connected');
+        showStatus('connectionStatus', `Connected successfully (branch ${data.branch})!`, 'connected');
         updateConnectionState(true);
         
         vscode.postMessage({ 
@@ -77,6 +179,7 @@ async function connect() {
             connectionInfo: connectionInfo
         });
         vscode.postMessage({ command: 'showInfo', text: 'Connected to ' + repoUrl });
+        await loadSessions();
     } catch (error) {
         isConnected = false;
         connectionInfo = null;
@@ -85,6 +188,172 @@ async function connect() {
     }
 }
 
+/**
+ * Send an authenticated request to the backend
+ * @param {string} path - API path with query string
+ * @param {string} [method] - HTTP method
+ * @param {Object} [body] - JSON request body
+ * @returns {Promise<Object>} Response body
+ */
+async function apiRequest(path, method = 'GET', body = undefined) {
+    const response = await sendApiRequest(path, method, body);
+    return response.json();
+}
+
+/**
+ * Send an authenticated request to the backend and check its status
+ * @param {string} path - API path with query string
+ * @param {string} [method] - HTTP method
+ * @param {Object} [body] - JSON request body
+ * @returns {Promise<Response>} Successful response
+ */
+async function sendApiRequest(path, method = 'GET', body = undefined) {
+    const response = await fetch(httpUrl + path, {
+        method,
+        headers: {
+            ...(body ? { 'Content-Type': 'application/json' } : {}),
+            'Authorization': `Bearer ${authToken}`
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (response.status === 401) {
+        clearAuth();
+        throw new Error('Your session has expired. Please sign in again.');
+    }
+    if (!response.ok) {
+        const errorBody = await response.json().catch(() => ({}));
+        throw new Error(errorBody.message || response.statusText);
+    }
+    return response;
+}
+
+/**
+ * Replay the archived audio of a transcription
+ * @param {string} transcriptId - Transcription ID
+ * @returns {Promise<void>} Resolves when playback has started
+ */
+async function playUtterance(transcriptId) {
+    const response = await sendApiRequest(`/api/transcripts/${encodeURIComponent(transcriptId)}/audio`);
+    await playAudioBlob(await response.blob());
+}
+
+/**
+ * Load the conversation sessions of the connected branch
+ */
+async function loadSessions() {
+    if (!connectionInfo) {
+        return;
+    }
+
+    const params = new URLSearchParams({ repoId: connectionInfo.repoId, branch: connectionInfo.branch });
+    try {
+        const { sessions } = await apiRequest('/api/sessions?' + params);
+        openSession = sessions.find(session => !session.ended_at) || null;
+        showSessions(sessions);
+    } catch (error) {
+        showStatus('sessionStatus', 'Failed to load sessions: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Start a named conversation session on the connected branch
+ */
+async function startSession() {
+    const nameInput = document.getElementById('sessionName');
+    const name = nameInput.value.trim();
+    if (!name || !connectionInfo) {
+        showStatus('sessionStatus', 'Please enter a session name', 'error');
+        return;
+    }
+
+    try {
+        await apiRequest('/api/sessions', 'POST', {
+            repoId: connectionInfo.repoId,
+            branch: connectionInfo.branch,
+            name
+        });
+        nameInput.value = '';
+    } catch (error) {
+        showStatus('sessionStatus', 'Failed to start session: ' + error.message, 'error');
+        return;
+    }
+    await loadSessions();
+}
+
+/**
+ * End the open conversation session of the connected branch
+ */
+async function endSession() {
+    if (!openSession) {
+        return;
+    }
+
+    try {
+        await apiRequest(`/api/sessions/${openSession.id}/end`, 'POST');
+    } catch (error) {
+        showStatus('sessionStatus', 'Failed to end session: ' + error.message, 'error');
+        return;
+    }
+    await loadSessions();
+}
+
+/**
+ * Search the repository's conversation history
+ */
+async function searchConversation() {
+    const query = document.getElementById('searchInput').value.trim();
+    if (!query || !connectionInfo) {
+        return;
+    }
+
+    const params = new URLSearchParams({ repoId: connectionInfo.repoId, q: query });
+    if (document.getElementById('searchBranchOnly').checked) {
+        params.set('branch', connectionInfo.branch);
+    }
+
+    showStatus('searchStatus', 'Searching...', '');
+    try {
+        const { results } = await apiRequest('/api/transcripts/search?' + params);
+        showStatus('searchStatus', results.length > 0 ? '' : 'No matches', '');
+        showSearchResults(results, showSearchResult);
+    } catch (error) {
+        showStatus('searchStatus', 'Search failed: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Jump to a search result: in the live conversation if it is shown there,
+ * otherwise load the conversation around it
+ * @param {Object} result - Search result
+ */
+async function showSearchResult(result) {
+    if (highlightTranscript(result.id)) {
+        return;
+    }
+
+    // Five minutes either side of the match
+    const time = new Date(result.timestamp).getTime();
+    const params = new URLSearchParams({
+        repoId: connectionInfo.repoId,
+        branch: result.branch,
+        from: new Date(time - 5 * 60 * 1000).toISOString(),
+        to: new Date(time + 5 * 60 * 1000).toISOString(),
+        limit: '100'
+    });
+
+    try {
+        const { transcripts } = await apiRequest('/api/transcripts?' + params);
+        showConversationContext(transcripts, result.id, (transcriptId) => {
+            playUtterance(transcriptId).catch(error => {
+                showStatus('searchStatus', 'Failed to play audio: ' + error.message, 'error');
+            });
+        });
+    } catch (error) {
+        showStatus('searchStatus', 'Failed to load conversation: ' + error.message, 'error');
+    }
+}
+
 /**
  * Toggle speech recognition
  */
@@ -105,6 +374,19 @@ async function generateCode() {
         return;
     }
 
+    // By default the backend picks the open session or the last hour
+    const source = document.getElementById('generationSource').value;
+    const selection = {};
+    if (source.startsWith('session:')) {
+        selection.sessionId = source.slice('session:'.length);
+    } else if (source === 'selected') {
+        selection.transcriptIds = getSelectedTranscriptIds();
+        if (selection.transcriptIds.length === 0) {
+            showStatus('codeGenStatus', 'Check the transcripts to send to the agent first', 'error');
+            return;
+        }
+    }
+
     unlockAudio();
 
     showStatus('codeGenStatus', '', '');
@@ -113,10 +395,29 @@ async function generateCode() {
 
     vscode.postMessage({ 
         command: 'generateCode',
-        connectionInfo: connectionInfo
+        connectionInfo: connectionInfo,
+        ...selection
     });
 }
 
+/**
+ * Cancel the running code generation
+ */
+function cancelGeneration() {
+    setCancelGenerationButtonEnabled(false);
+    showStatus('codeGenStatus', 'Cancelling...', '');
+    vscode.postMessage({ command: 'cancelGeneration' });
+}
+
+// Corrections of stored transcripts are sent to the backend by the extension
+const transcriptActions = {
+    edit: (transcriptId, transcript) => vscode.postMessage({ command: 'updateTranscript', transcriptId, transcript }),
+    remove: (transcriptId) => vscode.postMessage({ command: 'deleteTranscript', transcriptId }),
+    play: (transcriptId) => playUtterance(transcriptId).catch(error => {
+        showTranscriptError(transcriptId, 'Failed to play audio: ' + error.message);
+    })
+};
+
 /**
  * Handle message from extension
  * @param {MessageEvent} event - Message event
@@ -136,11 +437,25 @@ function handleMessage(event) {
             break;
 
         case 'transcription':
-            addTranscription(message.transcript, message.isFinal);
+            addTranscription(message.transcript, message.isFinal, message.transcriptId, transcriptActions, message.hasAudio);
+            break;
+
+        case 'transcriptUpdated':
+            applyTranscriptUpdate(message.transcriptId, message.transcript, message.originalTranscript);
+            break;
+
+        case 'transcriptDeleted':
+            removeTranscriptMessage(message.transcriptId);
+            break;
+
+        case 'transcriptError':
+            showTranscriptError(message.transcriptId, message.message);
             break;
 
         case 'initialize':
             initializeUrls(message.backendUrl);
+            authToken = message.auth?.token || null;
+            updateAuthState(message.auth?.userName || null);
             break;
 
         case 'recordingStarted':
@@ -165,6 +480,12 @@ function handleMessage(event) {
             showStatus('codeGenStatus', '', '');
             window.lastCodeGenResult = null;
             showLoadingAnimation(true);
+            setCancelGenerationButtonEnabled(true);
+            clearActivityLog();
+            break;
+
+        case 'codeGenProgress':
+            addActivityLogEntry(message.progress);
             break;
 
         case 'code_generation_result':
@@ -175,7 +496,7 @@ function handleMessage(event) {
 
         case 'patchesSaved':
             const resultSummary = window.lastCodeGenResult?.summary || '';
-            handleCodeGenerationResult(message.count, resultSummary);
+            handleCodeGenerationResult(message.count, resultSummary, window.lastCodeGenResult?.verification);
             break;
 
         case 'playAudio':
@@ -191,6 +512,10 @@ function handleMessage(event) {
             }
             break;
 
+        case 'codeGenCancelled':
+            handleCodeGenerationCancelled();
+            break;
+
         case 'codeGenError':
             showStatus('codeGenStatus', 'Error: ' + message.message, 'error');
             showLoadingAnimation(false);
@@ -219,10 +544,49 @@ function initializeEventListeners() {
     const connectButton = document.getElementById('connectBtn');
     const speechButton = document.getElementById('speechBtn');
     const generateCodeButton = document.getElementById('generateCodeBtn');
+    const cancelGenerationButton = document.getElementById('cancelGenerationBtn');
+    const signOutButton = document.getElementById('signOutBtn');
+    const searchButton = document.getElementById('searchBtn');
+    const searchInput = document.getElementById('searchInput');
+    const startSessionButton = document.getElementById('startSessionBtn');
+    const endSessionButton = document.getElementById('endSessionBtn');
+    const generationSource = document.getElementById('generationSource');
 
     if (connectButton) {
         connectButton.addEventListener('click', connect);
     }
+
+    if (signOutButton) {
+        signOutButton.addEventListener('click', signOut);
+    }
+
+    if (searchButton) {
+        searchButton.addEventListener('click', searchConversation);
+    }
+
+    if (searchInput) {
+        searchInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                searchConversation();
+            }
+        });
+    }
+    
+    if (startSessionButton) {
+        startSessionButton.addEventListener('click', startSession);
+    }
+
+    if (endSessionButton) {
+        endSessionButton.addEventListener('click', endSession);
+    }
+
+    if (generationSource) {
+        // Teammates may have started or ended sessions since the list was loaded
+        generationSource.addEventListener('focus', loadSessions);
+        generationSource.addEventListener('change', () => {
+            setTranscriptSelection(generationSource.value === 'selected');
+        });
+    }
     
     if (speechButton) {
         speechButton.addEventListener('click', toggleSpeech);
@@ -231,6 +595,10 @@ function initializeEventListeners() {
     if (generateCodeButton) {
         generateCodeButton.addEventListener('click', generateCode);
     }
+
+    if (cancelGenerationButton) {
+        cancelGenerationButton.addEventListener('click', cancelGeneration);
+    }
 }
 
 // Setup message listener
@@ -11,7 +11,11 @@
 export function showStatus(elementId, message, type = '') {
     const element = document.getElementById(elementId);
     if (element) {
-        element.innerHTML = '<div class="status ' + type + '">' + message + '</div>';
+        // Messages may come from the server, so they are set as text
+        const statusDiv = document.createElement('div');
+        statusDiv.className = 'status' + (type ? ' ' + type : '');
+        statusDiv.textContent = message;
+        element.replaceChildren(statusDiv);
     }
 }
 
@@ -22,6 +26,8 @@ export function showStatus(elementId, message, type = '') {
 export function updateConnectionState(connected) {
     const speechBtn = document.getElementById('speechBtn');
     const generateCodeBtn = document.getElementById('generateCodeBtn');
+    const searchInput = document.getElementById('searchInput');
+    const searchBtn = document.getElementById('searchBtn');
     
     if (speechBtn) {
         speechBtn.disabled = !connected;
@@ -29,6 +35,18 @@ export function updateConnectionState(connected) {
     if (generateCodeBtn) {
         generateCodeBtn.disabled = !connected;
     }
+    if (searchInput) {
+        searchInput.disabled = !connected;
+    }
+    if (searchBtn) {
+        searchBtn.disabled = !connected;
+    }
+    for (const id of ['sessionName', 'startSessionBtn', 'endSessionBtn', 'generationSource']) {
+        const element = document.getElementById(id);
+        if (element) {
+            element.disabled = !connected;
+        }
+    }
 }
 
 /**
@@ -45,17 +63,137 @@ export function updateRecordingState(recording) {
 }
 
 /**
- * Add transcription to the transcription area
+ * Find the message element of a stored transcription
+ * @param {string} transcriptId - Transcription ID
+ * @returns {HTMLElement|null} Message element
+ */
+function findTranscriptMessage(transcriptId) {
+    return document.querySelector(`.message[data-transcript-id="${CSS.escape(String(transcriptId))}"]`);
+}
+
+/**
+ * Replace the text of a transcription with an input to correct it. Enter
+ * sends the correction, Escape or leaving the input cancels.
+ * @param {HTMLElement} messageDiv - Message element
+ * @param {Function} onSave - Called with the corrected text
+ */
+function startTranscriptEdit(messageDiv, onSave) {
+    const textSpan = messageDiv.querySelector('.transcript-text');
+    if (!textSpan || messageDiv.classList.contains('editing')) return;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'transcript-input';
+    input.value = textSpan.textContent;
+
+    let finished = false;
+    const finish = (save) => {
+        if (finished) return;
+        finished = true;
+        const text = input.value.trim();
+        input.replaceWith(textSpan);
+        messageDiv.classList.remove('editing');
+        if (save && text && text !== textSpan.textContent) {
+            messageDiv.dataset.previousText = textSpan.textContent;
+            textSpan.textContent = text;
+            messageDiv.classList.add('pending');
+            onSave(text);
+        }
+    };
+
+    input.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            finish(true);
+        } else if (event.key === 'Escape') {
+            finish(false);
+        }
+    });
+    input.addEventListener('blur', () => finish(false));
+
+    messageDiv.classList.add('editing');
+    textSpan.replaceWith(input);
+    input.focus();
+    input.select();
+}
+
+/**
+ * Create the Edit and Delete buttons of a stored transcription
+ * @param {HTMLElement} messageDiv - Message element
+ * @param {string} transcriptId - Transcription ID
+ * @param {Object} actions - Handlers: edit(transcriptId, text) and remove(transcriptId)
+ * @returns {HTMLElement} Button container
+ */
+function createTranscriptActions(messageDiv, transcriptId, actions, hasAudio) {
+    const container = document.createElement('span');
+    container.className = 'transcript-actions';
+
+    if (hasAudio && actions.play) {
+        container.appendChild(createPlayButton(() => actions.play(transcriptId)));
+    }
+
+    const editButton = document.createElement('button');
+    editButton.textContent = 'Edit';
+    editButton.title = 'Correct this transcript';
+    editButton.addEventListener('click', () => {
+        startTranscriptEdit(messageDiv, (text) => actions.edit(transcriptId, text));
+    });
+
+    const deleteButton = document.createElement('button');
+    deleteButton.textContent = 'Delete';
+    deleteButton.title = 'Delete this transcript';
+    deleteButton.addEventListener('click', () => {
+        messageDiv.classList.add('pending');
+        actions.remove(transcriptId);
+    });
+
+    container.append(editButton, deleteButton);
+    return container;
+}
+
+/**
+ * Create a button that replays the archived audio of a transcript
+ * @param {Function} onPlay - Click handler
+ * @returns {HTMLButtonElement} Button
+ */
+function createPlayButton(onPlay) {
+    const playButton = document.createElement('button');
+    playButton.className = 'play-audio';
+    playButton.textContent = 'Play';
+    playButton.title = 'Play what was said';
+    playButton.addEventListener('click', onPlay);
+    return playButton;
+}
+
+/**
+ * Add transcription to the transcription area. Final transcriptions that
+ * were stored can be corrected or deleted, and replayed if their audio was
+ * archived.
  * @param {string} transcript - Transcription text
  * @param {boolean} isFinal - Whether the transcription is final
+ * @param {string} [transcriptId] - ID of the stored transcription
+ * @param {Object} [actions] - Handlers: edit(transcriptId, text), remove(transcriptId) and play(transcriptId)
+ * @param {boolean} [hasAudio] - Whether the transcription's audio was archived
  */
-export function addTranscription(transcript, isFinal) {
+export function addTranscription(transcript, isFinal, transcriptId, actions, hasAudio = false) {
     const area = document.getElementById('transcriptionArea');
     if (!area) return;
     
     const messageDiv = document.createElement('div');
     messageDiv.className = 'message ' + (isFinal ? 'final' : 'interim');
-    messageDiv.textContent = transcript;
+
+    if (isFinal && transcriptId && actions) {
+        const textSpan = document.createElement('span');
+        textSpan.className = 'transcript-text';
+        textSpan.textContent = transcript;
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'transcript-select';
+        checkbox.title = 'Send this transcript to the agent';
+        messageDiv.dataset.transcriptId = transcriptId;
+        messageDiv.append(checkbox, textSpan, createTranscriptActions(messageDiv, transcriptId, actions, hasAudio));
+    } else {
+        messageDiv.textContent = transcript;
+    }
     
     if (isFinal) {
         // Remove any interim messages
@@ -73,6 +211,209 @@ export function addTranscription(transcript, isFinal) {
     area.scrollTop = area.scrollHeight;
 }
 
+/**
+ * Show a correction the backend has stored
+ * @param {string} transcriptId - Transcription ID
+ * @param {string} transcript - Corrected text
+ * @param {string} originalTranscript - Text as it was recognized
+ */
+export function applyTranscriptUpdate(transcriptId, transcript, originalTranscript) {
+    const messageDiv = findTranscriptMessage(transcriptId);
+    if (!messageDiv) return;
+
+    messageDiv.classList.remove('pending');
+    messageDiv.classList.add('edited');
+    messageDiv.querySelector('.transcript-error')?.remove();
+    messageDiv.querySelector('.transcript-text').textContent = transcript;
+    messageDiv.title = 'Recognized as: ' + originalTranscript;
+    delete messageDiv.dataset.previousText;
+}
+
+/**
+ * Remove a transcription the backend has deleted
+ * @param {string} transcriptId - Transcription ID
+ */
+export function removeTranscriptMessage(transcriptId) {
+    findTranscriptMessage(transcriptId)?.remove();
+}
+
+/**
+ * Undo a correction or deletion the backend refused and show why
+ * @param {string} transcriptId - Transcription ID
+ * @param {string} message - Error message
+ */
+export function showTranscriptError(transcriptId, message) {
+    const messageDiv = findTranscriptMessage(transcriptId);
+    if (!messageDiv) return;
+
+    messageDiv.classList.remove('pending');
+    if (messageDiv.dataset.previousText !== undefined) {
+        messageDiv.querySelector('.transcript-text').textContent = messageDiv.dataset.previousText;
+        delete messageDiv.dataset.previousText;
+    }
+
+    messageDiv.querySelector('.transcript-error')?.remove();
+    const errorDiv = document.createElement('div');
+    errorDiv.className = 'transcript-error';
+    errorDiv.textContent = message;
+    messageDiv.appendChild(errorDiv);
+}
+
+/**
+ * Show or hide the checkboxes for choosing which transcripts the agent receives
+ * @param {boolean} selecting - Whether transcripts are being selected
+ */
+export function setTranscriptSelection(selecting) {
+    document.getElementById('transcriptionArea')?.classList.toggle('selecting', selecting);
+}
+
+/**
+ * Get the IDs of the transcripts checked in the conversation
+ * @returns {Array<string>} Transcription IDs, oldest first
+ */
+export function getSelectedTranscriptIds() {
+    return Array.from(document.querySelectorAll('.message[data-transcript-id] .transcript-select:checked'))
+        .map(checkbox => checkbox.closest('.message').dataset.transcriptId);
+}
+
+/**
+ * Format a transcript timestamp for display
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} Local date and time
+ */
+function formatTimestamp(timestamp) {
+    return new Date(timestamp).toLocaleString();
+}
+
+/**
+ * Show full-text search results
+ * @param {Array<Object>} results - Results with snippet, username, branch and timestamp
+ * @param {Function} onSelect - Called with the result the user clicks
+ */
+export function showSearchResults(results, onSelect) {
+    const container = document.getElementById('searchResults');
+    if (!container) return;
+
+    container.innerHTML = '';
+    container.style.display = results.length > 0 ? 'block' : 'none';
+
+    for (const result of results) {
+        const item = document.createElement('div');
+        item.className = 'search-result';
+        item.title = 'Show this in the conversation';
+
+        const meta = document.createElement('div');
+        meta.className = 'search-result-meta';
+        meta.textContent = `${result.username} on ${result.branch}, ${formatTimestamp(result.timestamp)}`;
+
+        // Snippets are HTML-escaped by the backend, with <mark> around matches
+        const snippet = document.createElement('div');
+        snippet.innerHTML = result.snippet;
+
+        item.append(meta, snippet);
+        item.addEventListener('click', () => onSelect(result));
+        container.appendChild(item);
+    }
+}
+
+/**
+ * Scroll to a transcription in the conversation and highlight it briefly
+ * @param {string} transcriptId - Transcription ID
+ * @returns {boolean} False if the transcription is not in the conversation
+ */
+export function highlightTranscript(transcriptId) {
+    const messageDiv = findTranscriptMessage(transcriptId);
+    if (!messageDiv) return false;
+
+    messageDiv.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    messageDiv.classList.add('highlighted');
+    setTimeout(() => messageDiv.classList.remove('highlighted'), 2000);
+    return true;
+}
+
+/**
+ * Show an earlier part of the conversation below the search results,
+ * scrolled to the selected transcription
+ * @param {Array<Object>} transcripts - Transcriptions around the selected one, oldest first
+ * @param {string} transcriptId - ID of the selected transcription
+ * @param {Function} [onPlay] - Replays the archived audio of a transcription, called with its ID
+ */
+export function showConversationContext(transcripts, transcriptId, onPlay) {
+    const container = document.getElementById('searchResults');
+    if (!container) return;
+
+    container.querySelector('.search-context')?.remove();
+    const context = document.createElement('div');
+    context.className = 'search-context';
+
+    let selected = null;
+    for (const transcript of transcripts) {
+        const line = document.createElement('div');
+        line.className = 'message';
+        line.textContent = `[${formatTimestamp(transcript.timestamp)}] ${transcript.username}: ${transcript.transcription}`;
+        if (transcript.audio_file && onPlay) {
+            line.appendChild(createPlayButton(() => onPlay(transcript.id)));
+        }
+        if (String(transcript.id) === String(transcriptId)) {
+            line.classList.add('highlighted');
+            selected = line;
+        }
+        context.appendChild(line);
+    }
+
+    container.appendChild(context);
+    selected?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+}
+
+/**
+ * Show the sessions of the branch: the open one in the session section and
+ * all of them as choices for code generation
+ * @param {Array<Object>} sessions - Sessions, newest first
+ */
+export function showSessions(sessions) {
+    const openSession = sessions.find(session => !session.ended_at);
+    const startButton = document.getElementById('startSessionBtn');
+    const endButton = document.getElementById('endSessionBtn');
+    const nameInput = document.getElementById('sessionName');
+
+    // Session names are user input, so the status is set as text
+    const status = document.getElementById('sessionStatus');
+    if (status) {
+        const statusDiv = document.createElement('div');
+        statusDiv.className = 'status' + (openSession ? ' connected' : '');
+        statusDiv.textContent = openSession
+            ? `"${openSession.name}" started by ${openSession.started_by} at ${formatTimestamp(openSession.started_at)}`
+            : 'No open session; code generation uses the last hour';
+        status.replaceChildren(statusDiv);
+    }
+    if (startButton) {
+        startButton.style.display = openSession ? 'none' : '';
+    }
+    if (nameInput) {
+        nameInput.style.display = openSession ? 'none' : '';
+    }
+    if (endButton) {
+        endButton.style.display = openSession ? '' : 'none';
+    }
+
+    const select = document.getElementById('generationSource');
+    if (!select) return;
+
+    const selected = select.value;
+    select.querySelectorAll('option[data-session]').forEach(option => option.remove());
+    const selectionOption = select.querySelector('option[value="selected"]');
+    for (const session of sessions) {
+        const option = document.createElement('option');
+        option.value = 'session:' + session.id;
+        option.dataset.session = 'true';
+        const state = session.ended_at ? 'ended' : 'open';
+        option.textContent = `Session "${session.name}" (${state}, ${session.transcript_count} transcripts)`;
+        select.insertBefore(option, selectionOption);
+    }
+    // Keep the choice if the session is still listed
+    select.value = Array.from(select.options).some(option => option.value === selected) ? selected : '';
+}
+
 /**
  * Show loading animation
  * @param {boolean} show - Whether to show the animation
@@ -84,6 +425,98 @@ export function showLoadingAnimation(show) {
     }
 }
 
+/**
+ * Summarize tool call arguments for the activity log
+ * @param {Object} args - Tool arguments
+ * @returns {string} Short argument list
+ */
+function formatToolArgs(args) {
+    return Object.entries(args || {})
+        .map(([key, value]) => {
+            const text = typeof value === 'string' ? value : JSON.stringify(value);
+            return key + '=' + (text.length > 60 ? text.substring(0, 60) + '...' : text);
+        })
+        .join(', ');
+}
+
+/**
+ * Describe a code generation progress event
+ * @param {Object} progress - Progress event from the backend
+ * @returns {string} Human-readable description
+ */
+function describeProgress(progress) {
+    switch (progress.stage) {
+        case 'preparing_workspace':
+            return progress.local
+                ? `Using local workspace on ${progress.branch}`
+                : `Preparing workspace for ${progress.branch}`;
+        case 'workspace_ready':
+            return progress.local
+                ? 'Local workspace ready'
+                : `Workspace ready at ${(progress.sha || '').substring(0, 7)}`;
+        case 'iteration':
+            return `Agent iteration ${progress.iteration}/${progress.maxIterations}`;
+        case 'tool_call':
+            return `${progress.tool}(${formatToolArgs(progress.args)})`;
+        case 'file_read':
+            return `Read ${progress.filePath}`;
+        case 'applying_edits':
+            return `Applying edits to ${progress.fileCount} file(s)`;
+        case 'edits_rejected':
+            return `${progress.errors.length} edit(s) did not match, agent is retrying`;
+        case 'validating':
+            return `Validating ${progress.files.length} file(s)`;
+        case 'validated':
+            return `Validation: ${progress.passed} passed, ${progress.failed} failed`;
+        case 'repairing':
+            return `Repair round ${progress.round}/${progress.maxRounds} after failed ${progress.reason}`;
+        case 'verifying':
+            return `Running ${progress.command}`;
+        case 'verified':
+            return `Verification ${progress.status}`;
+        case 'context_compacted':
+            return `Compacted ${progress.results} old tool result(s) to free context space`;
+        case 'finalizing':
+            return `Budget reached (${progress.reason}), asking agent to finalize`;
+        case 'completed':
+            return `Completed with ${progress.fileCount} changed file(s)`;
+        default:
+            return progress.stage;
+    }
+}
+
+/**
+ * Clear and show the code generation activity log
+ */
+export function clearActivityLog() {
+    const log = document.getElementById('activityLog');
+    if (log) {
+        log.innerHTML = '';
+        log.style.display = 'block';
+    }
+}
+
+/**
+ * Append a progress event to the code generation activity log
+ * @param {Object} progress - Progress event from the backend
+ */
+export function addActivityLogEntry(progress) {
+    const log = document.getElementById('activityLog');
+    if (!log) return;
+
+    const entry = document.createElement('div');
+    entry.className = 'activity-entry';
+
+    const elapsed = document.createElement('span');
+    elapsed.className = 'elapsed';
+    elapsed.textContent = `[${(progress.elapsedMs / 1000).toFixed(1)}s]`;
+
+    entry.appendChild(elapsed);
+    entry.appendChild(document.createTextNode(describeProgress(progress)));
+    log.appendChild(entry);
+    log.scrollTop = log.scrollHeight;
+}
+
 /**
  * Enable/disable generate code button
  * @param {boolean} enabled - Whether to enable the button
@@ -95,19 +528,43 @@ export function setGenerateCodeButtonEnabled(enabled) {
     }
 }
 
+/**
+ * Enable/disable cancel generation button
+ * @param {boolean} enabled - Whether to enable the button
+ */
+export function setCancelGenerationButtonEnabled(enabled) {
+    const button = document.getElementById('cancelGenerationBtn');
+    if (button) {
+        button.disabled = !enabled;
+    }
+}
+
+/**
+ * Handle code generation cancellation display
+ */
+export function handleCodeGenerationCancelled() {
+    showLoadingAnimation(false);
+    setGenerateCodeButtonEnabled(true);
+    showStatus('codeGenStatus', 'Code generation cancelled', '');
+}
+
 /**
  * Handle code generation result display
  * @param {number} count - Number of patches saved
  * @param {string} summary - Result summary
+ * @param {Object} [verification] - Result of the verification command, if one ran
  */
-export function handleCodeGenerationResult(count, summary) {
+export function handleCodeGenerationResult(count, summary, verification) {
     showLoadingAnimation(false);
     setGenerateCodeButtonEnabled(true);
     
     const isError = summary.toLowerCase().includes('error') || summary.toLowerCase().includes('failed');
     
-    if (count > 0) {
-        showStatus('codeGenStatus', `Code generation complete. ${count} patch file(s) saved to patches/ directory.`, 'connected');
+    if (count > 0 && verification && verification.status !== 'passed') {
+        showStatus('codeGenStatus', `${count} patch file(s) saved to patches/ directory, but verification (${verification.command}) ${verification.status}.`, 'error');
+    } else if (count > 0) {
+        const verified = verification ? ' Verification passed.' : '';
+        showStatus('codeGenStatus', `Code generation complete. ${count} patch file(s) saved to patches/ directory.${verified}`, 'connected');
     } else if (isError) {
         showStatus('codeGenStatus', summary || 'Code generation failed.', 'error');
     } else {
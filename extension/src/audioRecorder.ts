@@ -22,6 +22,7 @@ export class AudioRecorder {
     private ws: WebSocket | null = null;
     private isRecording: boolean = false;
     private connectionInfo: any = null;
+    private authToken: string | null = null;
     private callbacks: MessageCallbacks = {};
 
     constructor() {}
@@ -115,11 +116,27 @@ export class AudioRecorder {
         this.disconnectCallback = callback;
     }
 
+    /**
+     * Set the API token sent when the WebSocket connects. The backend takes
+     * the user's identity from it.
+     * @param token - API token, or null when signed out
+     */
+    setAuthToken(token: string | null): void {
+        this.authToken = token;
+    }
+
     private connectWebSocket(wsUrl: string): Promise<void> {
         return new Promise((resolve, reject) => {
             this.closeExistingConnection();
 
-            this.ws = new WebSocket(wsUrl);
+            if (!this.authToken) {
+                reject(new Error('Not signed in'));
+                return;
+            }
+
+            this.ws = new WebSocket(wsUrl, {
+                headers: { Authorization: `Bearer ${this.authToken}` }
+            });
             this.setupWebSocketHandlers(resolve, reject);
         });
     }
@@ -203,14 +220,30 @@ export class AudioRecorder {
         this.disconnect();
     }
 
-    setTranscriptionCallback(callback: (transcript: string, isFinal: boolean) => void): void {
+    setTranscriptionCallback(callback: (transcript: string, isFinal: boolean, transcriptId?: string, hasAudio?: boolean) => void): void {
         this.callbacks.transcription = callback;
     }
 
+    setTranscriptChangeCallback(callback: (change: any) => void): void {
+        this.callbacks.transcriptChange = callback;
+    }
+
     setCodeGenerationCallback(callback: (result: any) => void): void {
         this.callbacks.codeGeneration = callback;
     }
 
+    setCodeGenerationProgressCallback(callback: (progress: any) => void): void {
+        this.callbacks.codeGenerationProgress = callback;
+    }
+
+    setCodeGenerationCancelledCallback(callback: () => void): void {
+        this.callbacks.codeGenerationCancelled = callback;
+    }
+
+    setWorkspaceRequestCallback(callback: (requestId: string, operation: string, args: any) => void): void {
+        this.callbacks.workspaceRequest = callback;
+    }
+
     setAudioPlaybackCallback(callback: (audioData: string, format: string) => void): void {
         this.callbacks.audioPlayback = callback;
     }
@@ -10,7 +10,7 @@ export function activate(context: vscode.ExtensionContext) {
     const backendUrl = vscode.workspace.getConfiguration('hiyaCoordinator').get<string>('backendUrl', 'http://localhost:3000');
 
     // Create coordinator panel
-    coordinatorPanel = new CoordinatorPanel(context.extensionUri, backendUrl);
+    coordinatorPanel = new CoordinatorPanel(context.extensionUri, backendUrl, context.secrets);
 
     // Register commands
     const connectCommand = vscode.commands.registerCommand('hiyaCoordinator.connect', async () => {
@@ -21,7 +21,11 @@ export function activate(context: vscode.ExtensionContext) {
         coordinatorPanel?.toggleSpeech();
     });
 
-    context.subscriptions.push(connectCommand, toggleSpeechCommand);
+    const exportMeetingNotesCommand = vscode.commands.registerCommand('hiyaCoordinator.exportMeetingNotes', async () => {
+        await coordinatorPanel?.exportMeetingNotes();
+    });
+
+    context.subscriptions.push(connectCommand, toggleSpeechCommand, exportMeetingNotesCommand);
 }
 
 export function deactivate() {
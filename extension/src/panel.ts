@@ -2,11 +2,17 @@ import * as vscode from 'vscode';
 import { AudioRecorder } from './audioRecorder';
 import { sendToWebview, showError, showInfo } from './utils/webviewMessages';
 import { generateWebviewHtml } from './utils/htmlGenerator';
-import { savePatches } from './utils/fileOperations';
+import { savePatches, saveMeetingNotes } from './utils/fileOperations';
+import { chooseMeetingNotes, downloadMeetingNotes } from './utils/meetingNotes';
+import { loadAuth, saveAuth, clearAuth } from './utils/authStorage';
 import {
     createTranscriptionCallback,
+    createTranscriptChangeCallback,
     createDisconnectCallback,
     createCodeGenerationCallback,
+    createCodeGenerationProgressCallback,
+    createCodeGenerationCancelledCallback,
+    createWorkspaceRequestCallback,
     createAudioPlaybackCallback
 } from './utils/callbacks';
 
@@ -20,7 +26,11 @@ export class CoordinatorPanel {
     private connectionInfo: any = null;
     private setPendingAudio: ((data: string, format: string) => void) | null = null;
 
-    constructor(private readonly _extensionUri: vscode.Uri, backendUrl: string) {
+    constructor(
+        private readonly _extensionUri: vscode.Uri,
+        backendUrl: string,
+        private readonly secrets: vscode.SecretStorage
+    ) {
         this.backendUrl = backendUrl;
         this.wsUrl = this.backendUrl.replace(/^http/, 'ws');
         this.audioRecorder = new AudioRecorder();
@@ -33,6 +43,9 @@ export class CoordinatorPanel {
         this.audioRecorder.setTranscriptionCallback(
             createTranscriptionCallback(getPanel)
         );
+        this.audioRecorder.setTranscriptChangeCallback(
+            createTranscriptChangeCallback(getPanel)
+        );
 
         this.audioRecorder.setDisconnectCallback(
             createDisconnectCallback(getPanel, () => {
@@ -48,6 +61,15 @@ export class CoordinatorPanel {
 
         this.setPendingAudio = setPendingAudio;
         this.audioRecorder.setCodeGenerationCallback(codeGenCallback);
+        this.audioRecorder.setCodeGenerationProgressCallback(
+            createCodeGenerationProgressCallback(getPanel)
+        );
+        this.audioRecorder.setCodeGenerationCancelledCallback(
+            createCodeGenerationCancelledCallback(getPanel)
+        );
+        this.audioRecorder.setWorkspaceRequestCallback(
+            createWorkspaceRequestCallback((message) => this.audioRecorder.sendMessage(message, this.wsUrl))
+        );
         this.audioRecorder.setAudioPlaybackCallback(
             createAudioPlaybackCallback(setPendingAudio)
         );
@@ -63,7 +85,7 @@ export class CoordinatorPanel {
         this._panel.webview.html = await this.getWebviewHtml();
         this._panel.onDidDispose(() => this.dispose(), null, this._disposables);
 
-        this.initializeWebview();
+        await this.initializeWebview();
         this.setupMessageHandlers();
     }
 
@@ -80,10 +102,14 @@ export class CoordinatorPanel {
         );
     }
 
-    private initializeWebview(): void {
+    private async initializeWebview(): Promise<void> {
+        const auth = await loadAuth(this.secrets);
+        this.audioRecorder.setAuthToken(auth?.token || null);
+
         sendToWebview(this._panel, {
             type: 'initialize',
-            backendUrl: this.backendUrl
+            backendUrl: this.backendUrl,
+            auth
         });
     }
 
@@ -114,6 +140,19 @@ export class CoordinatorPanel {
                 this.audioRecorder.disconnect();
                 break;
 
+            case 'signedIn':
+                await saveAuth(this.secrets, { token: message.token, userName: message.userName });
+                this.audioRecorder.setAuthToken(message.token);
+                this.audioRecorder.disconnect();
+                break;
+
+            case 'signedOut':
+                await clearAuth(this.secrets);
+                this.connectionInfo = null;
+                this.audioRecorder.setAuthToken(null);
+                this.audioRecorder.disconnect();
+                break;
+
             case 'startRecording':
                 await this.handleStartRecording();
                 break;
@@ -123,7 +162,26 @@ export class CoordinatorPanel {
                 break;
 
             case 'generateCode':
-                await this.handleGenerateCode(message.connectionInfo);
+                await this.handleGenerateCode(message.connectionInfo, message.sessionId, message.transcriptIds);
+                break;
+
+            case 'cancelGeneration':
+                await this.handleCancelGeneration();
+                break;
+
+            case 'updateTranscript':
+                await this.handleTranscriptChange(message.transcriptId, {
+                    type: 'update_transcript',
+                    transcriptId: message.transcriptId,
+                    transcript: message.transcript
+                });
+                break;
+
+            case 'deleteTranscript':
+                await this.handleTranscriptChange(message.transcriptId, {
+                    type: 'delete_transcript',
+                    transcriptId: message.transcriptId
+                });
                 break;
         }
     }
@@ -196,7 +254,31 @@ export class CoordinatorPanel {
         }
     }
 
-    private async handleGenerateCode(connectionInfo: any) {
+    public async exportMeetingNotes() {
+        const auth = await loadAuth(this.secrets);
+        if (!auth || !this.connectionInfo) {
+            vscode.window.showErrorMessage('Not connected to repository. Please connect first.');
+            return;
+        }
+
+        try {
+            const request = await chooseMeetingNotes(this.backendUrl, auth.token, this.connectionInfo);
+            if (!request) {
+                return;
+            }
+
+            const notes = await downloadMeetingNotes(this.backendUrl, auth.token, this.connectionInfo.repoId, request);
+            const uri = saveMeetingNotes(notes.filename, notes.content);
+            await vscode.window.showTextDocument(uri);
+            showInfo(this._panel, `Saved meeting notes to meeting-notes/${notes.filename}`);
+        } catch (error: any) {
+            const errorMessage = error.message || 'Failed to export meeting notes';
+            showError(this._panel, `Error exporting meeting notes: ${errorMessage}`);
+            console.error('Error exporting meeting notes:', error);
+        }
+    }
+
+    private async handleGenerateCode(connectionInfo: any, sessionId?: string, transcriptIds?: string[]) {
         if (!connectionInfo) {
             sendToWebview(this._panel, {
                 type: 'codeGenError',
@@ -209,12 +291,19 @@ export class CoordinatorPanel {
             type: 'codeGenStarted'
         });
 
+        const useLocalWorkspace = vscode.workspace
+            .getConfiguration('hiyaCoordinator')
+            .get<boolean>('useLocalWorkspace', false);
+
         try {
             await this.audioRecorder.sendMessage({
                 type: 'generate_code',
                 repoId: connectionInfo.repoId,
                 userName: connectionInfo.userName,
-                branch: connectionInfo.branch
+                branch: connectionInfo.branch,
+                ...(sessionId ? { sessionId } : {}),
+                ...(transcriptIds ? { transcriptIds } : {}),
+                ...(useLocalWorkspace ? { source: 'local' } : {})
             }, this.wsUrl);
         } catch (error: any) {
             const errorMessage = error.message || 'Failed to generate code';
@@ -225,6 +314,30 @@ export class CoordinatorPanel {
         }
     }
 
+    private async handleCancelGeneration() {
+        try {
+            await this.audioRecorder.sendMessage({ type: 'cancel_generation' }, this.wsUrl);
+        } catch (error: any) {
+            const errorMessage = error.message || 'Failed to cancel code generation';
+            sendToWebview(this._panel, {
+                type: 'codeGenError',
+                message: errorMessage
+            });
+        }
+    }
+
+    private async handleTranscriptChange(transcriptId: string, message: any) {
+        try {
+            await this.audioRecorder.sendMessage(message, this.wsUrl);
+        } catch (error: any) {
+            sendToWebview(this._panel, {
+                type: 'transcriptError',
+                transcriptId,
+                message: error.message || 'Failed to change transcript'
+            });
+        }
+    }
+
     private async getWebviewHtml(): Promise<string> {
         if (!this._panel) {
             throw new Error('Panel not initialized');
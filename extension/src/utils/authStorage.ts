@@ -0,0 +1,44 @@
+import * as vscode from 'vscode';
+
+const AUTH_SECRET_KEY = 'hiyaCoordinator.auth';
+
+export interface StoredAuth {
+    token: string;
+    userName: string;
+}
+
+/**
+ * Load the API token saved after the last sign-in
+ * @param secrets - Extension secret storage
+ * @returns Token and user name, or null when signed out
+ */
+export async function loadAuth(secrets: vscode.SecretStorage): Promise<StoredAuth | null> {
+    const value = await secrets.get(AUTH_SECRET_KEY);
+    if (!value) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(value);
+    } catch {
+        await secrets.delete(AUTH_SECRET_KEY);
+        return null;
+    }
+}
+
+/**
+ * Save the API token in the OS keychain through VS Code secret storage
+ * @param secrets - Extension secret storage
+ * @param auth - Token and user name
+ */
+export async function saveAuth(secrets: vscode.SecretStorage, auth: StoredAuth): Promise<void> {
+    await secrets.store(AUTH_SECRET_KEY, JSON.stringify(auth));
+}
+
+/**
+ * Forget the saved API token
+ * @param secrets - Extension secret storage
+ */
+export async function clearAuth(secrets: vscode.SecretStorage): Promise<void> {
+    await secrets.delete(AUTH_SECRET_KEY);
+}
@@ -1,5 +1,6 @@
 import * as vscode from 'vscode';
 import { sendToWebview } from './webviewMessages';
+import { handleWorkspaceRequest } from './localWorkspace';
 
 /**
  * Create transcription callback
@@ -7,15 +8,52 @@ import { sendToWebview } from './webviewMessages';
  * @returns Callback function
  */
 export function createTranscriptionCallback(getPanel: () => vscode.WebviewPanel | undefined) {
-    return (transcript: string, isFinal: boolean) => {
+    return (transcript: string, isFinal: boolean, transcriptId?: string, hasAudio?: boolean) => {
         sendToWebview(getPanel(), {
             type: 'transcription',
             transcript,
-            isFinal
+            isFinal,
+            transcriptId,
+            hasAudio
         });
     };
 }
 
+/**
+ * Create callback for the backend's answers to transcript corrections
+ * @param getPanel - Function to get current webview panel
+ * @returns Callback function
+ */
+export function createTranscriptChangeCallback(getPanel: () => vscode.WebviewPanel | undefined) {
+    return (change: any) => {
+        switch (change.type) {
+            case 'transcript_updated':
+                sendToWebview(getPanel(), {
+                    type: 'transcriptUpdated',
+                    transcriptId: change.transcriptId,
+                    transcript: change.transcript,
+                    originalTranscript: change.originalTranscript
+                });
+                break;
+
+            case 'transcript_deleted':
+                sendToWebview(getPanel(), {
+                    type: 'transcriptDeleted',
+                    transcriptId: change.transcriptId
+                });
+                break;
+
+            case 'transcript_error':
+                sendToWebview(getPanel(), {
+                    type: 'transcriptError',
+                    transcriptId: change.transcriptId,
+                    message: change.message
+                });
+                break;
+        }
+    };
+}
+
 /**
  * Create disconnect callback
  * @param panel - Webview panel (function to get current panel)
@@ -68,6 +106,55 @@ export function createCodeGenerationCallback(
     };
 }
 
+/**
+ * Create code generation progress callback
+ * @param getPanel - Function to get current webview panel
+ * @returns Callback function
+ */
+export function createCodeGenerationProgressCallback(getPanel: () => vscode.WebviewPanel | undefined) {
+    return (progress: any) => {
+        sendToWebview(getPanel(), {
+            type: 'codeGenProgress',
+            progress
+        });
+    };
+}
+
+/**
+ * Create code generation cancelled callback
+ * @param getPanel - Function to get current webview panel
+ * @returns Callback function
+ */
+export function createCodeGenerationCancelledCallback(getPanel: () => vscode.WebviewPanel | undefined) {
+    return () => {
+        sendToWebview(getPanel(), {
+            type: 'codeGenCancelled'
+        });
+    };
+}
+
+/**
+ * Create workspace request callback
+ * @param respond - Function to send the answer to the backend
+ * @returns Callback function
+ */
+export function createWorkspaceRequestCallback(respond: (message: any) => Promise<void>) {
+    return async (requestId: string, operation: string, args: any) => {
+        let response: any;
+        try {
+            response = { type: 'workspace_response', requestId, result: await handleWorkspaceRequest(operation, args) };
+        } catch (error: any) {
+            response = { type: 'workspace_response', requestId, error: error.message || 'Workspace request failed' };
+        }
+
+        try {
+            await respond(response);
+        } catch (error) {
+            console.error('Error answering workspace request:', error);
+        }
+    };
+}
+
 /**
  * Create audio playback callback
  * @param setPendingAudio - Function to set pending audio
@@ -3,16 +3,29 @@ import * as fs from 'fs';
 import * as path from 'path';
 
 /**
- * Create patches directory if it doesn't exist
+ * Get the first workspace folder
+ * @returns Workspace folder
+ */
+function getWorkspaceFolder(): vscode.WorkspaceFolder {
+    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+    if (!workspaceFolder) {
+        throw new Error('No workspace folder open. Please open a workspace first.');
+    }
+    return workspaceFolder;
+}
+
+/**
+ * Create a workspace directory if it doesn't exist
  * @param workspaceFolder - Workspace folder
- * @returns Patches directory path
+ * @param name - Directory name
+ * @returns Directory path
  */
-function createPatchesDirectory(workspaceFolder: vscode.WorkspaceFolder): string {
-    const patchesDir = path.join(workspaceFolder.uri.fsPath, 'patches');
-    if (!fs.existsSync(patchesDir)) {
-        fs.mkdirSync(patchesDir, { recursive: true });
+function createWorkspaceDirectory(workspaceFolder: vscode.WorkspaceFolder, name: string): string {
+    const dir = path.join(workspaceFolder.uri.fsPath, name);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
     }
-    return patchesDir;
+    return dir;
 }
 
 /**
@@ -49,12 +62,7 @@ function savePatchFile(patchesDir: string, file: any): string | null {
  * @returns Array of saved filenames
  */
 export function savePatches(result: any): string[] {
-    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
-    if (!workspaceFolder) {
-        throw new Error('No workspace folder open. Please open a workspace first.');
-    }
-
-    const patchesDir = createPatchesDirectory(workspaceFolder);
+    const patchesDir = createWorkspaceDirectory(getWorkspaceFolder(), 'patches');
     const savedFiles: string[] = [];
 
     for (const file of result.files || []) {
@@ -67,3 +75,18 @@ export function savePatches(result: any): string[] {
     return savedFiles;
 }
 
+
+/**
+ * Save exported meeting notes to the meeting-notes directory of the workspace,
+ * replacing an earlier export of the same conversation
+ * @param filename - Filename suggested by the backend
+ * @param content - Markdown or JSON content
+ * @returns URI of the saved file
+ */
+export function saveMeetingNotes(filename: string, content: string): vscode.Uri {
+    const notesDir = createWorkspaceDirectory(getWorkspaceFolder(), 'meeting-notes');
+    const notesPath = path.join(notesDir, getSafeFilename(path.basename(filename)));
+
+    fs.writeFileSync(notesPath, content, 'utf-8');
+    return vscode.Uri.file(notesPath);
+}
@@ -0,0 +1,262 @@
+import * as vscode from 'vscode';
+import * as fs from 'fs';
+import * as path from 'path';
+import { execFile } from 'child_process';
+// Directories skipped when the workspace is not a git repository
+const FALLBACK_IGNORED_DIRS = ['node_modules', 'out', 'dist'];
+
+const GIT_MAX_BUFFER = 64 * 1024 * 1024;
+
+/**
+ * Get the root folder of the open workspace
+ * @returns Absolute path of the first workspace folder
+ */
+function getWorkspaceRoot(): string {
+    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+    if (!workspaceFolder) {
+        throw new Error('No workspace folder open');
+    }
+    return fs.realpathSync(workspaceFolder.uri.fsPath);
+}
+
+/**
+ * Get the configured size limit for files sent to the backend
+ * @returns Maximum file size in bytes
+ */
+function getMaxFileBytes(): number {
+    const config = vscode.workspace.getConfiguration('hiyaCoordinator');
+    return config.get<number>('localWorkspace.maxFileSizeKb', 512) * 1024;
+}
+
+/**
+ * Resolve a workspace-relative path, refusing paths (and symlinks) that
+ * lead outside the workspace or into the .git directory
+ * @param root - Workspace root
+ * @param relativePath - Path relative to the workspace root
+ * @returns Absolute path
+ */
+function resolveWorkspacePath(root: string, relativePath: string = ''): string {
+    const fullPath = path.resolve(root, relativePath);
+    const isInside = (candidate: string) => candidate === root || candidate.startsWith(root + path.sep);
+
+    if (!isInside(fullPath) || path.relative(root, fullPath).split(path.sep).includes('.git')) {
+        throw new Error(`Path is outside the workspace: ${relativePath}`);
+    }
+    if (fs.existsSync(fullPath) && !isInside(fs.realpathSync(fullPath))) {
+        throw new Error(`Path is outside the workspace: ${relativePath}`);
+    }
+    return fullPath;
+}
+
+/**
+ * Run git in the workspace
+ * @param root - Workspace root
+ * @param args - Git arguments
+ * @param input - Standard input
+ * @returns Standard output
+ */
+function runGit(root: string, args: string[], input?: string): Promise<string> {
+    return new Promise((resolve, reject) => {
+        const child = execFile('git', args, { cwd: root, maxBuffer: GIT_MAX_BUFFER }, (error, stdout) => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve(stdout);
+            }
+        });
+        child.stdin?.end(input);
+    });
+}
+
+/**
+ * Find which of the given paths are ignored by .gitignore
+ * @param root - Workspace root
+ * @param relativePaths - Paths relative to the workspace root; directories end with '/'
+ * @returns Set of ignored paths
+ */
+async function findIgnored(root: string, relativePaths: string[]): Promise<Set<string>> {
+    if (relativePaths.length === 0) {
+        return new Set();
+    }
+
+    try {
+        const output = await runGit(root, ['check-ignore', '-z', '--stdin'], relativePaths.join('\0'));
+        return new Set(output.split('\0').filter(Boolean));
+    } catch {
+        // Exit code 1 means none of the paths are ignored; anything else means this is not a git repository
+        return new Set();
+    }
+}
+
+/**
+ * List files of a folder that is not a git repository
+ * @param dir - Directory path
+ * @param root - Workspace root
+ * @returns File paths relative to the workspace root
+ */
+function walkFiles(dir: string, root: string): string[] {
+    const files: string[] = [];
+
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (entry.name.startsWith('.') || FALLBACK_IGNORED_DIRS.includes(entry.name)) {
+            continue;
+        }
+
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...walkFiles(fullPath, root));
+        } else if (entry.isFile()) {
+            files.push(path.relative(root, fullPath).split(path.sep).join('/'));
+        }
+    }
+
+    return files;
+}
+
+/**
+ * List all files that are tracked or untracked but not ignored
+ * @param root - Workspace root
+ * @returns File paths relative to the workspace root
+ */
+async function listFiles(root: string): Promise<string[]> {
+    let output: string;
+    try {
+        output = await runGit(root, ['ls-files', '-z', '--cached', '--others', '--exclude-standard']);
+    } catch {
+        return walkFiles(root, root);
+    }
+
+    // Deleted files stay in the index until the deletion is staged
+    const files = output.split('\0').filter(Boolean);
+    return [...new Set(files)].filter(file => fs.existsSync(path.join(root, file)));
+}
+
+/**
+ * Read a text file, refusing ignored, oversized and binary files
+ * @param root - Workspace root
+ * @param relativePath - Path relative to the workspace root
+ * @returns File content
+ */
+async function readFile(root: string, relativePath: string): Promise<string> {
+    const fullPath = resolveWorkspacePath(root, relativePath);
+
+    if (!fs.existsSync(fullPath) || !fs.statSync(fullPath).isFile()) {
+        throw new Error(`File not found: ${relativePath}`);
+    }
+    if ((await findIgnored(root, [relativePath])).size > 0) {
+        throw new Error(`File is excluded by .gitignore: ${relativePath}`);
+    }
+
+    const maxBytes = getMaxFileBytes();
+    const { size } = fs.statSync(fullPath);
+    if (size > maxBytes) {
+        throw new Error(`File is larger than the ${maxBytes / 1024} KB limit: ${relativePath}`);
+    }
+
+    const content = fs.readFileSync(fullPath, 'utf-8');
+    if (content.includes('\0')) {
+        throw new Error(`File is binary: ${relativePath}`);
+    }
+    return content;
+}
+
+/**
+ * List the entries of a directory, leaving out ignored entries
+ * @param root - Workspace root
+ * @param relativePath - Directory relative to the workspace root
+ * @returns Directory path and entries
+ */
+async function listDirectory(root: string, relativePath: string = '') {
+    const dir = resolveWorkspacePath(root, relativePath);
+    const prefix = path.relative(root, dir).split(path.sep).join('/');
+    const dirEntries = fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => entry.name !== '.git' && (entry.isDirectory() || entry.isFile()));
+
+    const toRelative = (entry: fs.Dirent) =>
+        (prefix ? `${prefix}/${entry.name}` : entry.name) + (entry.isDirectory() ? '/' : '');
+    const ignored = await findIgnored(root, dirEntries.map(toRelative));
+
+    const entries = dirEntries
+        .filter(entry => !ignored.has(toRelative(entry)))
+        .map(entry => entry.isDirectory()
+            ? { name: entry.name, type: 'directory' }
+            : { name: entry.name, type: 'file', size: fs.statSync(path.join(dir, entry.name)).size });
+
+    entries.sort((a, b) => a.type.localeCompare(b.type) || a.name.localeCompare(b.name));
+    return { path: prefix || '.', entries };
+}
+
+/**
+ * Search the contents of all non-ignored files. Arguments are normalized by
+ * the backend, which applies the same limits as for remote branches.
+ * @param root - Workspace root
+ * @param args - Search arguments
+ * @returns Matches with file, line, text and context
+ */
+async function search(root: string, args: any) {
+    const source = args.isRegex ? args.pattern : args.pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const regex = new RegExp(source, args.caseSensitive ? '' : 'i');
+    const prefix = args.path ? path.relative(root, resolveWorkspacePath(root, args.path)).split(path.sep).join('/') : '';
+    const maxBytes = getMaxFileBytes();
+    const matches: any[] = [];
+    let truncated = false;
+
+    const files = (await listFiles(root)).filter(file => !prefix || file.startsWith(prefix + '/'));
+
+    for (const file of files) {
+        const fullPath = path.join(root, file);
+        if (fs.statSync(fullPath).size > maxBytes) continue;
+
+        const content = fs.readFileSync(fullPath, 'utf-8');
+        if (content.includes('\0')) continue;
+
+        const lines = content.split('\n');
+        for (let i = 0; i < lines.length; i++) {
+            if (!regex.test(lines[i])) continue;
+
+            if (matches.length >= args.maxResults) {
+                truncated = true;
+                break;
+            }
+
+            const from = Math.max(0, i - args.contextLines);
+            const to = Math.min(lines.length, i + args.contextLines + 1);
+            matches.push({
+                file,
+                line: i + 1,
+                text: lines[i],
+                context: lines.slice(from, to).map((line, index) => `${from + index + 1}: ${line}`).join('\n')
+            });
+        }
+
+        if (truncated) break;
+    }
+
+    return {
+        matches,
+        ...(truncated ? { truncated: true, note: `Stopped after ${args.maxResults} matches. Narrow the pattern or path.` } : {})
+    };
+}
+
+/**
+ * Answer a workspace request from the backend
+ * @param operation - list_files, read_file, list_directory or search
+ * @param args - Operation arguments
+ * @returns Operation result
+ */
+export async function handleWorkspaceRequest(operation: string, args: any): Promise<any> {
+    const root = getWorkspaceRoot();
+
+    switch (operation) {
+        case 'list_files':
+            return { files: await listFiles(root) };
+        case 'read_file':
+            return { content: await readFile(root, args.path) };
+        case 'list_directory':
+            return listDirectory(root, args.path);
+        case 'search':
+            return search(root, args);
+        default:
+            throw new Error(`Unknown workspace operation: ${operation}`);
+    }
+}
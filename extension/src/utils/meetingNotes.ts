@@ -0,0 +1,150 @@
+import * as vscode from 'vscode';
+
+export interface MeetingNotesRequest {
+    // sessionId, or from and to with the branch
+    params: Record<string, string>;
+    format: 'markdown' | 'json';
+}
+
+export interface MeetingNotes {
+    filename: string;
+    content: string;
+}
+
+interface ConversationItem extends vscode.QuickPickItem {
+    params?: () => Record<string, string>;
+}
+
+/**
+ * Send an authenticated GET request to the backend
+ * @param backendUrl - Backend URL
+ * @param token - API token
+ * @param path - API path with query string
+ * @returns Response
+ */
+async function apiGet(backendUrl: string, token: string, path: string): Promise<Response> {
+    const response = await fetch(backendUrl + path, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+
+    if (!response.ok) {
+        const body: any = await response.json().catch(() => ({}));
+        throw new Error(body.message || response.statusText);
+    }
+    return response;
+}
+
+/**
+ * Ask for a time range in local time
+ * @returns Start and end as ISO timestamps, or undefined if cancelled
+ */
+async function askTimeRange(): Promise<Record<string, string> | undefined> {
+    const validate = (value: string) => !value || !Number.isNaN(Date.parse(value))
+        ? null
+        : 'Enter a date and time, e.g. 2024-05-02 14:00';
+
+    const from = await vscode.window.showInputBox({
+        prompt: 'Start of the conversation (local time)',
+        placeHolder: 'e.g. 2024-05-02 14:00',
+        validateInput: (value) => value ? validate(value) : 'A start is required'
+    });
+    if (!from) {
+        return undefined;
+    }
+
+    const to = await vscode.window.showInputBox({
+        prompt: 'End of the conversation (local time, empty for now)',
+        placeHolder: 'e.g. 2024-05-02 15:30',
+        validateInput: validate
+    });
+    if (to === undefined) {
+        return undefined;
+    }
+
+    return {
+        from: new Date(from).toISOString(),
+        to: to ? new Date(to).toISOString() : new Date().toISOString()
+    };
+}
+
+/**
+ * Ask which conversation of the connected branch to export and in which format
+ * @param backendUrl - Backend URL
+ * @param token - API token
+ * @param connectionInfo - Connected repository and branch
+ * @returns Export request, or undefined if cancelled
+ */
+export async function chooseMeetingNotes(
+    backendUrl: string,
+    token: string,
+    connectionInfo: any
+): Promise<MeetingNotesRequest | undefined> {
+    const query = new URLSearchParams({ repoId: connectionInfo.repoId, branch: connectionInfo.branch });
+    const { sessions } = await (await apiGet(backendUrl, token, `/api/sessions?${query}`)).json() as any;
+    const hoursAgo = (hours: number) => () => ({
+        branch: connectionInfo.branch,
+        from: new Date(Date.now() - hours * 60 * 60 * 1000).toISOString()
+    });
+
+    const items: ConversationItem[] = [
+        ...sessions.map((session: any) => ({
+            label: session.name,
+            description: session.ended_at ? 'session' : 'open session',
+            detail: `Started by ${session.started_by} at ${new Date(session.started_at).toLocaleString()}, ${session.transcript_count} transcripts`,
+            params: () => ({ sessionId: String(session.id) })
+        })),
+        { label: 'Last hour', description: connectionInfo.branch, params: hoursAgo(1) },
+        { label: 'Last 24 hours', description: connectionInfo.branch, params: hoursAgo(24) },
+        { label: 'Time range...', description: connectionInfo.branch }
+    ];
+
+    const conversation = await vscode.window.showQuickPick(items, { placeHolder: 'Conversation to export' });
+    if (!conversation) {
+        return undefined;
+    }
+
+    let params: Record<string, string> | undefined;
+    if (conversation.params) {
+        params = conversation.params();
+    } else {
+        const range = await askTimeRange();
+        params = range && { branch: connectionInfo.branch, ...range };
+    }
+    if (!params) {
+        return undefined;
+    }
+
+    const format = await vscode.window.showQuickPick(
+        [
+            { label: 'Markdown', format: 'markdown' as const },
+            { label: 'JSON', format: 'json' as const }
+        ],
+        { placeHolder: 'Format of the meeting notes' }
+    );
+    return format && { params, format: format.format };
+}
+
+/**
+ * Download meeting notes from the backend
+ * @param backendUrl - Backend URL
+ * @param token - API token
+ * @param repoId - Repository ID
+ * @param request - What to export
+ * @returns Suggested filename and content
+ */
+export async function downloadMeetingNotes(
+    backendUrl: string,
+    token: string,
+    repoId: string,
+    request: MeetingNotesRequest
+): Promise<MeetingNotes> {
+    const query = new URLSearchParams({ repoId, ...request.params, format: request.format });
+    const response = await apiGet(backendUrl, token, `/api/transcripts/export?${query}`);
+    const disposition = response.headers.get('content-disposition') || '';
+    const extension = request.format === 'json' ? 'json' : 'md';
+
+    return {
+        filename: disposition.match(/filename="([^"]+)"/)?.[1] || `meeting-notes.${extension}`,
+        content: await response.text()
+    };
+}
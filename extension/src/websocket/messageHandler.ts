@@ -1,8 +1,12 @@
 import WebSocket = require('ws');
 
 export interface MessageCallbacks {
-    transcription?: (transcript: string, isFinal: boolean) => void;
+    transcription?: (transcript: string, isFinal: boolean, transcriptId?: string, hasAudio?: boolean) => void;
+    transcriptChange?: (change: any) => void;
     codeGeneration?: (result: any) => void;
+    codeGenerationProgress?: (progress: any) => void;
+    codeGenerationCancelled?: () => void;
+    workspaceRequest?: (requestId: string, operation: string, args: any) => void;
     audioPlayback?: (audioData: string, format: string) => void;
 }
 
@@ -19,7 +23,15 @@ export function handleWebSocketMessage(data: WebSocket.Data, callbacks: MessageC
         switch (message.type) {
             case 'transcription':
                 if (callbacks.transcription) {
-                    callbacks.transcription(message.transcript, message.isFinal);
+                    callbacks.transcription(message.transcript, message.isFinal, message.transcriptId, message.hasAudio === true);
+                }
+                break;
+
+            case 'transcript_updated':
+            case 'transcript_deleted':
+            case 'transcript_error':
+                if (callbacks.transcriptChange) {
+                    callbacks.transcriptChange(message);
                 }
                 break;
 
@@ -34,6 +46,25 @@ export function handleWebSocketMessage(data: WebSocket.Data, callbacks: MessageC
                 }
                 break;
 
+            case 'code_generation_progress':
+                if (callbacks.codeGenerationProgress) {
+                    callbacks.codeGenerationProgress(message);
+                }
+                break;
+
+            case 'code_generation_cancelled':
+                console.log('\n=== Code Generation Cancelled ===');
+                if (callbacks.codeGenerationCancelled) {
+                    callbacks.codeGenerationCancelled();
+                }
+                break;
+
+            case 'workspace_request':
+                if (callbacks.workspaceRequest) {
+                    callbacks.workspaceRequest(message.requestId, message.operation, message.args || {});
+                }
+                break;
+
             case 'code_generation_error':
                 console.error('\n=== Code Generation Error ===');
                 console.error(message.error);